@@ -1,89 +1,55 @@
 const EventEmitter = require('events');
 const PlaylistTransformer = require('./playlist-transformer');
+const StreamHealthProber = require('./stream-health-prober');
+const StreamQualityProber = require('./stream-quality-prober');
+const ChannelFavourites = require('./channel-favourites');
+const ChannelHistory = require('./channel-history');
+const EPGManager = require('./epg-manager');
+const { fetchSource, parseSourceList, describeSources } = require('./source-reader');
+const { isXtreamSource } = require('./xtream-client');
 const initSqlJs = require('sql.js');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
+// Campi della configurazione che determinano il contenuto della lista canali:
+// due configurazioni che differiscono solo per altri campi condividono la stessa cache
+// (la lingua conta perché le descrizioni dei canali vengono salvate già tradotte)
+const CACHE_KEY_FIELDS = ['m3u', 'id_suffix', 'remapper_path', 'rules_path', 'merge_quality', 'numbering_map', 'language'];
+
 class CacheManager extends EventEmitter {
-    constructor() {
+    constructor(pool, cacheKey) {
         super();
+        this.pool = pool;
+        this.cacheKey = cacheKey;
         this.transformer = new PlaylistTransformer();
         this.config = null;
         this.cache = null;
         this.pollingInterval = null;
-        this.lastFilter = null;
-        this.db = null;
-        this.dbPath = path.join(__dirname, 'data', 'cache.db');
-        // Database initialization and loading moved to module exports
+        this.lastSourceCheck = null;
     }
 
-    async initializeDatabase() {
-        try {
-            // Crea directory data se non esiste
-            const dataDir = path.join(__dirname, 'data');
-            if (!fs.existsSync(dataDir)) {
-                fs.mkdirSync(dataDir, { recursive: true });
-            }
-
-            // Inizializza SQL.js
-            const SQL = await initSqlJs();
-
-            // Carica database esistente o crea nuovo
-            if (fs.existsSync(this.dbPath)) {
-                const buffer = fs.readFileSync(this.dbPath);
-                this.db = new SQL.Database(buffer);
-                console.log('✓ Database cache caricato da disco');
-            } else {
-                this.db = new SQL.Database();
-                console.log('✓ Nuovo database cache creato');
-            }
-
-            // Crea schema
-            this.db.run(`
-                CREATE TABLE IF NOT EXISTS channels (
-                    id TEXT PRIMARY KEY,
-                    data TEXT NOT NULL
-                );
-
-                CREATE TABLE IF NOT EXISTS genres (
-                    genre TEXT PRIMARY KEY
-                );
-
-                CREATE TABLE IF NOT EXISTS metadata (
-                    key TEXT PRIMARY KEY,
-                    value TEXT
-                );
-            `);
-
-            console.log('✓ Schema database cache inizializzato');
-        } catch (error) {
-            console.error('❌ Errore inizializzazione database cache:', error);
-        }
-    }
-
-    saveDatabase() {
-        try {
-            const data = this.db.export();
-            const buffer = Buffer.from(data);
-            fs.writeFileSync(this.dbPath, buffer);
-        } catch (error) {
-            console.error('❌ Errore salvataggio database cache:', error);
-        }
+    get db() {
+        return this.pool.db;
     }
 
     loadCacheFromDB() {
         try {
             // Carica metadata
-            const metadataResult = this.db.exec('SELECT key, value FROM metadata');
+            const metadataResult = this.db.exec(
+                'SELECT m3u_url, epg_urls, last_updated FROM caches WHERE cache_key = ?',
+                [this.cacheKey]
+            );
             const metadata = {};
-            if (metadataResult.length > 0 && metadataResult[0].values) {
-                metadataResult[0].values.forEach(row => {
-                    metadata[row[0]] = row[1];
-                });
+            if (metadataResult.length > 0 && metadataResult[0].values.length > 0) {
+                const [m3uUrl, epgUrls, lastUpdated] = metadataResult[0].values[0];
+                metadata.m3uUrl = m3uUrl;
+                metadata.epgUrls = epgUrls;
+                metadata.lastUpdated = lastUpdated;
             }
 
             // Carica canali
-            const channelsResult = this.db.exec('SELECT id, data FROM channels');
+            const channelsResult = this.db.exec('SELECT id, data FROM channels WHERE cache_key = ?', [this.cacheKey]);
             const channels = [];
             if (channelsResult.length > 0 && channelsResult[0].values) {
                 channelsResult[0].values.forEach(row => {
@@ -97,7 +63,7 @@ class CacheManager extends EventEmitter {
             }
 
             // Carica generi
-            const genresResult = this.db.exec('SELECT genre FROM genres');
+            const genresResult = this.db.exec('SELECT genre FROM genres WHERE cache_key = ?', [this.cacheKey]);
             const genres = [];
             if (genresResult.length > 0 && genresResult[0].values) {
                 genresResult[0].values.forEach(row => {
@@ -105,16 +71,34 @@ class CacheManager extends EventEmitter {
                 });
             }
 
+            // Carica film e serie on-demand
+            const vodResult = this.db.exec('SELECT id, type, data FROM vod_items WHERE cache_key = ?', [this.cacheKey]);
+            const movies = [];
+            const series = [];
+            if (vodResult.length > 0 && vodResult[0].values) {
+                vodResult[0].values.forEach(([id, type, data]) => {
+                    try {
+                        (type === 'series' ? series : movies).push(JSON.parse(data));
+                    } catch (e) {
+                        console.error('Errore parsing contenuto on-demand:', id, e);
+                    }
+                });
+            }
+
+            const hasData = channels.length > 0 || movies.length > 0 || series.length > 0;
+
             // Ricostruisci cache
             this.cache = {
-                stremioData: channels.length > 0 ? { channels, genres } : null,
+                stremioData: hasData ? { channels, genres, movies, series } : null,
                 lastUpdated: metadata.lastUpdated ? parseInt(metadata.lastUpdated) : null,
                 updateInProgress: false,
                 m3uUrl: metadata.m3uUrl || null,
                 epgUrls: metadata.epgUrls ? JSON.parse(metadata.epgUrls) : []
             };
 
-            console.log(`✓ Caricati ${channels.length} canali e ${genres.length} generi dal database`);
+            if (hasData) {
+                console.log(`✓ Caricati ${channels.length} canali, ${genres.length} generi, ${movies.length} film e ${series.length} serie dal database (cache ${this.cacheKey})`);
+            }
         } catch (error) {
             console.error('❌ Errore caricamento cache dal database:', error);
             this.initCache();
@@ -124,25 +108,26 @@ class CacheManager extends EventEmitter {
     saveCacheToDB() {
         try {
             // Salva metadata
-            if (this.cache.lastUpdated) {
-                this.db.run('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)', ['lastUpdated', this.cache.lastUpdated.toString()]);
-            }
-            if (this.cache.m3uUrl) {
-                this.db.run('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)', ['m3uUrl', this.cache.m3uUrl]);
-            }
-            if (this.cache.epgUrls && Array.isArray(this.cache.epgUrls)) {
-                this.db.run('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)', ['epgUrls', JSON.stringify(this.cache.epgUrls)]);
-            }
+            this.db.run(`
+                INSERT OR REPLACE INTO caches (cache_key, m3u_url, epg_urls, last_updated, last_access)
+                VALUES (?, ?, ?, ?, ?)
+            `, [
+                this.cacheKey,
+                this.cache.m3uUrl || null,
+                JSON.stringify(Array.isArray(this.cache.epgUrls) ? this.cache.epgUrls : []),
+                this.cache.lastUpdated || null,
+                Date.now()
+            ]);
 
             // Salva canali
             if (this.cache.stremioData?.channels) {
-                // Pulisci tabella canali
-                this.db.run('DELETE FROM channels');
+                // Pulisci i canali di questa cache
+                this.db.run('DELETE FROM channels WHERE cache_key = ?', [this.cacheKey]);
 
-                const stmt = this.db.prepare('INSERT INTO channels (id, data) VALUES (?, ?)');
+                const stmt = this.db.prepare('INSERT INTO channels (cache_key, id, data) VALUES (?, ?, ?)');
                 this.cache.stremioData.channels.forEach(channel => {
                     try {
-                        stmt.run([channel.id, JSON.stringify(channel)]);
+                        stmt.run([this.cacheKey, channel.id, JSON.stringify(channel)]);
                     } catch (e) {
                         console.error('Errore salvataggio canale:', channel.id, e);
                     }
@@ -150,20 +135,35 @@ class CacheManager extends EventEmitter {
                 stmt.free();
             }
 
+            // Salva film e serie on-demand
+            if (this.cache.stremioData) {
+                this.db.run('DELETE FROM vod_items WHERE cache_key = ?', [this.cacheKey]);
+
+                const stmt = this.db.prepare('INSERT OR REPLACE INTO vod_items (cache_key, id, type, data) VALUES (?, ?, ?, ?)');
+                [...(this.cache.stremioData.movies || []), ...(this.cache.stremioData.series || [])].forEach(item => {
+                    try {
+                        stmt.run([this.cacheKey, item.id, item.type, JSON.stringify(item)]);
+                    } catch (e) {
+                        console.error('Errore salvataggio contenuto on-demand:', item.id, e);
+                    }
+                });
+                stmt.free();
+            }
+
             // Salva generi
             if (this.cache.stremioData?.genres) {
-                // Pulisci tabella generi
-                this.db.run('DELETE FROM genres');
+                // Pulisci i generi di questa cache
+                this.db.run('DELETE FROM genres WHERE cache_key = ?', [this.cacheKey]);
 
-                const stmt = this.db.prepare('INSERT INTO genres (genre) VALUES (?)');
+                const stmt = this.db.prepare('INSERT OR IGNORE INTO genres (cache_key, genre) VALUES (?, ?)');
                 this.cache.stremioData.genres.forEach(genre => {
-                    stmt.run([genre]);
+                    stmt.run([this.cacheKey, genre]);
                 });
                 stmt.free();
             }
 
-            this.saveDatabase();
-            console.log('✓ Cache salvata nel database');
+            this.pool.saveDatabase();
+            console.log(`✓ Cache ${this.cacheKey} salvata nel database`);
         } catch (error) {
             console.error('❌ Errore salvataggio cache nel database:', error);
         }
@@ -177,12 +177,11 @@ class CacheManager extends EventEmitter {
             m3uUrl: null,
             epgUrls: []
         };
-        this.lastFilter = null;
     }
 
     async updateConfig(newConfig) {
         // Verifica separatamente i cambiamenti di M3U e EPG
-        const hasM3UChanges = this.config?.m3u !== newConfig.m3u;
+        const hasM3UChanges = this.cache?.m3uUrl !== newConfig.m3u;
         const hasEPGChanges =
             this.config?.epg_enabled !== newConfig.epg_enabled ||
             this.config?.epg !== newConfig.epg;
@@ -261,7 +260,105 @@ class CacheManager extends EventEmitter {
         return id.endsWith(suffix) ? id : `${id}${suffix}`;
     }
 
-    async rebuildCache(m3uUrl, config) {
+    // Validatori (ETag, Last-Modified, hash) delle sorgenti scaricate all'ultima ricostruzione
+    getSourceStates() {
+        const states = new Map();
+        const prefix = `source:${this.cacheKey}:`;
+        const result = this.db.exec('SELECT key, value FROM metadata WHERE key LIKE ?', [`${prefix}%`]);
+
+        (result[0]?.values || []).forEach(([key, value]) => {
+            try {
+                states.set(key.substring(prefix.length), JSON.parse(value));
+            } catch (e) {
+                console.error('Errore parsing stato sorgente:', key, e);
+            }
+        });
+        return states;
+    }
+
+    saveSourceStates(states) {
+        const prefix = `source:${this.cacheKey}:`;
+        this.db.run('DELETE FROM metadata WHERE key LIKE ?', [`${prefix}%`]);
+
+        const stmt = this.db.prepare('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)');
+        states.forEach((state, url) => stmt.run([`${prefix}${url}`, JSON.stringify(state)]));
+        stmt.free();
+    }
+
+    /**
+     * Verifica con richieste condizionali se le sorgenti della playlist sono cambiate dall'ultima ricostruzione.
+     * Si ferma alla prima sorgente modificata, il cui contenuto viene riutilizzato dalla ricostruzione.
+     * @param {string} m3uUrl - Sorgenti M3U separate da virgola
+     * @returns {Promise<{unchanged: boolean, prefetched: Map, sources: Array}>}
+     */
+    async checkSources(m3uUrl) {
+        const states = this.getSourceStates();
+        const prefetched = new Map();
+        const sources = [];
+
+        const check = async (url) => {
+            const previous = states.get(url);
+            // Sorgente mai scaricata: va ricostruito tutto
+            if (!previous) return null;
+
+            const result = await fetchSource(url, previous);
+            sources.push({ url, unchanged: result.unchanged });
+            if (!result.unchanged) {
+                prefetched.set(url, result);
+            }
+            return result;
+        };
+
+        for (const url of m3uUrl.split(',').map(u => u.trim()).filter(u => u)) {
+            // Le API Xtream Codes non supportano richieste condizionali
+            if (isXtreamSource(url)) {
+                return { unchanged: false, prefetched, sources };
+            }
+
+            const result = await check(url);
+            if (!result?.unchanged) {
+                return { unchanged: false, prefetched, sources };
+            }
+
+            // Per le liste di URL vanno verificate anche le playlist elencate
+            const children = result.content === null
+                ? states.get(url).children || []
+                : this.getListedSources(result.content);
+
+            for (const childUrl of children) {
+                const childResult = await check(childUrl);
+                if (!childResult?.unchanged) {
+                    return { unchanged: false, prefetched, sources };
+                }
+            }
+        }
+
+        // Anche una modifica di remapping EPG, regole canali o file di numerazione richiede la ricostruzione
+        for (const field of ['remapper_path', 'rules_path', 'numbering_map']) {
+            const filePath = this.config?.[field]?.trim();
+            if (!filePath) continue;
+
+            const result = await check(filePath);
+            if (!result?.unchanged) {
+                return { unchanged: false, prefetched, sources };
+            }
+        }
+
+        return { unchanged: true, prefetched, sources };
+    }
+
+    getListedSources(content) {
+        return typeof content === 'string' && !content.startsWith('#EXTM3U') ? parseSourceList(content) : [];
+    }
+
+    /**
+     * Ricostruisce la cache dalle sorgenti M3U. Senza force, se la cache è già popolata
+     * e nessuna sorgente è cambiata, parsing e riscrittura del database vengono saltati.
+     * @param {string} m3uUrl - Sorgenti M3U
+     * @param {Object} config - Configurazione utente
+     * @param {{force: boolean}} options
+     */
+    async rebuildCache(m3uUrl, config, { force = false } = {}) {
         if (this.cache.updateInProgress) {
             console.log('⚠️  Ricostruzione cache già in corso, skip...');
             return;
@@ -270,13 +367,49 @@ class CacheManager extends EventEmitter {
         try {
             this.cache.updateInProgress = true;
             console.log('\n=== Inizio Ricostruzione Cache ===');
-            console.log('URL M3U:', m3uUrl);
+            console.log('URL M3U:', describeSources(m3uUrl));
 
             if (config) {
                 this.config = { ...this.config, ...config };
             }
 
-            const data = await this.transformer.loadAndTransform(m3uUrl, this.config);
+            let prefetched = new Map();
+            if (!force && this.cache.stremioData && this.cache.m3uUrl === m3uUrl) {
+                const check = await this.checkSources(m3uUrl).catch(error => {
+                    console.error('❌ Errore verifica sorgenti:', error.message);
+                    return { unchanged: false, prefetched, sources: [] };
+                });
+                prefetched = check.prefetched;
+                this.lastSourceCheck = { checkedAt: Date.now(), skipped: check.unchanged, sources: check.sources };
+
+                if (check.unchanged) {
+                    this.cache.lastUpdated = Date.now();
+                    this.cache.updateInProgress = false;
+                    this.db.run('UPDATE caches SET last_updated = ? WHERE cache_key = ?', [this.cache.lastUpdated, this.cacheKey]);
+                    this.pool.saveDatabase();
+                    console.log('✓ Sorgenti invariate, ricostruzione saltata');
+                    console.log('=== Cache Invariata ===\n');
+                    return;
+                }
+            } else {
+                this.lastSourceCheck = { checkedAt: Date.now(), skipped: false, sources: [] };
+            }
+
+            // Registra i validatori di ogni sorgente scaricata per le verifiche successive
+            const sourceStates = new Map();
+            const readContent = async (url) => {
+                const result = prefetched.get(url) || await fetchSource(url);
+                const state = { ...result.validators };
+                const children = this.getListedSources(result.content);
+                if (children.length > 0) {
+                    state.children = children;
+                }
+                sourceStates.set(url, state);
+                return result.content;
+            };
+
+            const data = await this.transformer.loadAndTransform(m3uUrl, this.config, readContent);
+            const previousChannels = this.cache.stremioData?.channels || null;
 
             this.cache = {
                 stremioData: data,
@@ -288,12 +421,14 @@ class CacheManager extends EventEmitter {
 
             console.log(`✓ Canali in cache: ${data.channels.length}`);
             console.log(`✓ Generi trovati: ${data.genres.length}`);
+            console.log(`✓ Film: ${data.movies.length}, serie: ${data.series.length}`);
             console.log('\n=== Cache Ricostruita ===\n');
 
             // Salva nel database
+            this.saveSourceStates(sourceStates);
             this.saveCacheToDB();
 
-            this.emit('cacheUpdated', this.cache);
+            this.emit('cacheUpdated', this.cache, previousChannels);
 
         } catch (error) {
             console.error('\n❌ ERRORE nella ricostruzione della cache:', error);
@@ -303,14 +438,58 @@ class CacheManager extends EventEmitter {
         }
     }
 
+    getStatus() {
+        return {
+            cacheKey: this.cacheKey,
+            m3uUrl: this.cache?.m3uUrl || null,
+            lastUpdated: this.cache?.lastUpdated || null,
+            updateInProgress: Boolean(this.cache?.updateInProgress),
+            channelsCount: this.cache?.stremioData?.channels?.length || 0,
+            lastSourceCheck: this.lastSourceCheck
+        };
+    }
+
     getCachedData() {
-        if (!this.cache || !this.cache.stremioData) return { channels: [], genres: [] };
+        if (!this.cache || !this.cache.stremioData) return { channels: [], genres: [], movies: [], series: [] };
         return {
             channels: this.cache.stremioData.channels,
-            genres: this.cache.stremioData.genres
+            genres: this.cache.stremioData.genres,
+            movies: this.cache.stremioData.movies || [],
+            series: this.cache.stremioData.series || []
         };
     }
 
+    getVodItems(type) {
+        const data = this.getCachedData();
+        return type === 'series' ? data.series : data.movies;
+    }
+
+    /**
+     * Cerca un film o una serie per id (movie|<id> o series|<id>)
+     * @param {string} id - Id Stremio del contenuto
+     * @returns {Object|null}
+     */
+    getVodItem(id) {
+        const type = id?.split('|')[0];
+        if (type !== 'movie' && type !== 'series') return null;
+        return this.getVodItems(type).find(item => item.id === id) || null;
+    }
+
+    getFilteredVodItems(type, { genre, search } = {}) {
+        let items = this.getVodItems(type);
+
+        if (genre) {
+            items = items.filter(item => Array.isArray(item.genre) && item.genre.includes(genre));
+        }
+
+        if (search) {
+            const normalizedQuery = this.normalizeId(search);
+            items = items.filter(item => this.normalizeId(item.name).includes(normalizedQuery));
+        }
+
+        return items;
+    }
+
     getChannel(channelId) {
         if (!channelId || !this.cache?.stremioData?.channels) return null;
         const normalizedSearchId = this.normalizeId(channelId);
@@ -386,29 +565,34 @@ class CacheManager extends EventEmitter {
         return needsUpdate;
     }
 
-    setLastFilter(filterType, value) {
-        this.lastFilter = { type: filterType, value };
-    }
-
-    getLastFilter() {
-        return this.lastFilter;
-    }
-
-    clearLastFilter() {
-        this.lastFilter = null;
-    }
-
-    getFilteredChannels() {
+    /**
+     * Filtra i canali in base ai soli parametri della richiesta, senza stato condiviso
+     * tra client: genere, ricerca e playlist di origine possono essere combinati
+     * @param {{genre?: string, search?: string, playlistIndex?: number}} filters
+     * @returns {Array} - Canali filtrati, nell'ordine stabile della playlist
+     */
+    getFilteredChannels({ genre, search, playlistIndex } = {}) {
         if (!this.cache?.stremioData?.channels) return [];
 
         let channels = this.cache.stremioData.channels;
 
-        if (this.lastFilter) {
-            if (this.lastFilter.type === 'genre') {
-                channels = this.getChannelsByGenre(this.lastFilter.value);
-            } else if (this.lastFilter.type === 'search') {
-                channels = this.searchChannels(this.lastFilter.value);
-            }
+        if (playlistIndex !== undefined && playlistIndex !== null) {
+            channels = channels.filter(channel =>
+                Array.isArray(channel.playlistIndexes) && channel.playlistIndexes.includes(playlistIndex)
+            );
+        }
+
+        if (genre) {
+            channels = channels.filter(channel =>
+                Array.isArray(channel.genre) && channel.genre.includes(genre)
+            );
+        }
+
+        if (search) {
+            const normalizedQuery = this.normalizeId(search);
+            channels = channels.filter(channel =>
+                this.normalizeId(channel.name).includes(normalizedQuery)
+            );
         }
 
         return channels;
@@ -422,11 +606,226 @@ class CacheManager extends EventEmitter {
     }
 }
 
+/**
+ * Gestisce una cache isolata per ogni configurazione utente, con eviction LRU.
+ * Tutte le cache condividono lo stesso database SQLite, partizionato per cache_key.
+ */
+class CacheManagerPool {
+    constructor(config) {
+        this.config = config;
+        this.managers = new Map();
+        this.maxCaches = config?.cacheSettings?.maxUserCaches || 20;
+        this.db = null;
+        this.dataDir = config?.dataDir || path.join(__dirname, 'data');
+        this.dbPath = path.join(this.dataDir, 'cache.db');
+        this.healthProber = new StreamHealthProber(this);
+        this.qualityProber = new StreamQualityProber(this);
+        this.channelHistory = new ChannelHistory(this);
+        this.channelFavourites = new ChannelFavourites(this);
+    }
+
+    async initializeDatabase() {
+        try {
+            // Crea directory data se non esiste
+            if (!fs.existsSync(this.dataDir)) {
+                fs.mkdirSync(this.dataDir, { recursive: true });
+            }
+
+            // Inizializza SQL.js
+            const SQL = await initSqlJs();
+
+            // Carica database esistente o crea nuovo
+            if (fs.existsSync(this.dbPath)) {
+                const buffer = fs.readFileSync(this.dbPath);
+                this.db = new SQL.Database(buffer);
+                console.log('✓ Database cache caricato da disco');
+            } else {
+                this.db = new SQL.Database();
+                console.log('✓ Nuovo database cache creato');
+            }
+
+            this.migrateLegacySchema();
+
+            // Crea schema
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS channels (
+                    cache_key TEXT NOT NULL,
+                    id TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    PRIMARY KEY (cache_key, id)
+                );
+
+                CREATE TABLE IF NOT EXISTS genres (
+                    cache_key TEXT NOT NULL,
+                    genre TEXT NOT NULL,
+                    PRIMARY KEY (cache_key, genre)
+                );
+
+                CREATE TABLE IF NOT EXISTS vod_items (
+                    cache_key TEXT NOT NULL,
+                    id TEXT NOT NULL,
+                    type TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    PRIMARY KEY (cache_key, id)
+                );
+
+                CREATE TABLE IF NOT EXISTS caches (
+                    cache_key TEXT PRIMARY KEY,
+                    m3u_url TEXT,
+                    epg_urls TEXT,
+                    last_updated INTEGER,
+                    last_access INTEGER
+                );
+
+                CREATE TABLE IF NOT EXISTS metadata (
+                    key TEXT PRIMARY KEY,
+                    value TEXT
+                );
+            `);
+
+            this.channelHistory.initializeTable();
+            this.channelFavourites.initializeTable();
+            this.pruneStoredCaches();
+            this.healthProber.initializeTable();
+            this.qualityProber.initializeTable();
+
+            console.log('✓ Schema database cache inizializzato');
+        } catch (error) {
+            console.error('❌ Errore inizializzazione database cache:', error);
+        }
+    }
+
+    migrateLegacySchema() {
+        // Il vecchio schema aveva una sola cache globale senza cache_key:
+        // i dati sono ricostruibili, quindi le tabelle vengono ricreate
+        const columns = this.db.exec('PRAGMA table_info(channels)');
+        if (columns.length === 0) return;
+
+        const hasCacheKey = columns[0].values.some(row => row[1] === 'cache_key');
+        if (hasCacheKey) return;
+
+        console.log('⚠️  Schema cache obsoleto, ricreo le tabelle per le cache per utente');
+        this.db.run(`
+            DROP TABLE IF EXISTS channels;
+            DROP TABLE IF EXISTS genres;
+            DELETE FROM metadata WHERE key IN ('lastUpdated', 'm3uUrl', 'epgUrls');
+        `);
+    }
+
+    saveDatabase() {
+        try {
+            const data = this.db.export();
+            const buffer = Buffer.from(data);
+            fs.writeFileSync(this.dbPath, buffer);
+        } catch (error) {
+            console.error('❌ Errore salvataggio database cache:', error);
+        }
+    }
+
+    getCacheKey(userConfig = {}) {
+        const keySource = CACHE_KEY_FIELDS
+            .map(field => `${field}=${userConfig[field] || ''}`)
+            .join('&');
+        return crypto.createHash('sha1').update(keySource).digest('hex').substring(0, 16);
+    }
+
+    /**
+     * Restituisce la cache associata alla configurazione utente, creandola
+     * (e caricandola dal database se presente) al primo utilizzo
+     * @param {Object} userConfig - Configurazione decodificata dell'utente
+     * @returns {Promise<CacheManager>}
+     */
+    async getManager(userConfig = {}) {
+        const cacheKey = this.getCacheKey(userConfig);
+        let manager = this.managers.get(cacheKey);
+
+        if (manager) {
+            // Sposta in coda per l'ordine LRU
+            this.managers.delete(cacheKey);
+            this.managers.set(cacheKey, manager);
+            this.touch(cacheKey);
+            return manager;
+        }
+
+        manager = new CacheManager(this, cacheKey);
+        manager.loadCacheFromDB();
+        manager.config = { ...userConfig };
+        manager.startPolling();
+        manager.on('cacheUpdated', (cache, previousChannels) => {
+            this.channelHistory.record(cacheKey, previousChannels, cache.stremioData?.channels);
+            // Abbina per nome i canali nuovi o modificati che non hanno una guida
+            if (EPGManager.isEPGAvailable()) {
+                EPGManager.checkMissingEPG(cache.stremioData?.channels || [], cacheKey);
+            }
+        });
+
+        this.managers.set(cacheKey, manager);
+        this.touch(cacheKey);
+        this.evictLeastRecentlyUsed();
+
+        return manager;
+    }
+
+    getManagers() {
+        return Array.from(this.managers.values());
+    }
+
+    touch(cacheKey) {
+        try {
+            this.db.run('UPDATE caches SET last_access = ? WHERE cache_key = ?', [Date.now(), cacheKey]);
+        } catch (error) {
+            console.error('❌ Errore aggiornamento accesso cache:', error);
+        }
+    }
+
+    evictLeastRecentlyUsed() {
+        while (this.managers.size > this.maxCaches) {
+            const [oldestKey, oldestManager] = this.managers.entries().next().value;
+            console.log(`♻️  Eviction cache ${oldestKey} (limite ${this.maxCaches} cache raggiunto)`);
+            oldestManager.cleanup();
+            this.managers.delete(oldestKey);
+            this.deleteStoredCache(oldestKey);
+        }
+    }
+
+    deleteStoredCache(cacheKey) {
+        try {
+            this.db.run('DELETE FROM channels WHERE cache_key = ?', [cacheKey]);
+            this.db.run('DELETE FROM genres WHERE cache_key = ?', [cacheKey]);
+            this.db.run('DELETE FROM vod_items WHERE cache_key = ?', [cacheKey]);
+            this.db.run('DELETE FROM caches WHERE cache_key = ?', [cacheKey]);
+            this.db.run('DELETE FROM metadata WHERE key LIKE ?', [`source:${cacheKey}:%`]);
+            this.channelHistory.deleteCache(cacheKey);
+            EPGManager.deleteCacheMatches(cacheKey);
+            this.saveDatabase();
+        } catch (error) {
+            console.error('❌ Errore eliminazione cache dal database:', error);
+        }
+    }
+
+    pruneStoredCaches() {
+        const result = this.db.exec(
+            'SELECT cache_key FROM caches ORDER BY last_access DESC LIMIT -1 OFFSET ?',
+            [this.maxCaches]
+        );
+        const staleKeys = result[0]?.values.map(row => row[0]) || [];
+        staleKeys.forEach(cacheKey => this.deleteStoredCache(cacheKey));
+
+        if (staleKeys.length > 0) {
+            console.log(`✓ Rimosse ${staleKeys.length} cache utente inutilizzate`);
+        }
+    }
+
+    cleanup() {
+        this.managers.forEach(manager => manager.cleanup());
+        this.healthProber.stop();
+        this.qualityProber.stop();
+    }
+}
+
 module.exports = async (config) => {
-    const instance = new CacheManager();
-    await instance.initializeDatabase();
-    instance.loadCacheFromDB();
-    instance.config = config;
-    instance.startPolling();
-    return instance;
+    const pool = new CacheManagerPool(config);
+    await pool.initializeDatabase();
+    pool.healthProber.start();
+    return pool;
 };
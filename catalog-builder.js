@@ -0,0 +1,434 @@
+const crypto = require('crypto');
+const config = require('./config');
+const EPGManager = require('./epg-manager');
+const { getNumberingScheme, getChannelNumbers, getNumberRanges } = require('./channel-numbering');
+const { createTranslator } = require('./messages');
+
+// single: un solo catalogo con filtro generi
+// group: un catalogo per ogni group-title
+// playlist: un catalogo per ogni URL della lista M3U separata da virgole
+const CATALOG_MODES = ['single', 'group', 'playlist'];
+
+// Finestra predefinita del catalogo "Prossimi programmi", in ore
+const DEFAULT_UPCOMING_HOURS = 3;
+const MAX_UPCOMING_HOURS = 48;
+
+function getCatalogMode(userConfig = {}) {
+    return CATALOG_MODES.includes(userConfig.catalog_mode) ? userConfig.catalog_mode : 'single';
+}
+
+function getBaseCatalog() {
+    return config.manifest.catalogs[0];
+}
+
+function hashKey(value) {
+    return crypto.createHash('sha1').update(String(value)).digest('hex').substring(0, 10);
+}
+
+/**
+ * Genera un id di catalogo stabile per una riga
+ * @param {string} mode - Modalità catalogo (group o playlist)
+ * @param {string} key - Nome del gruppo o indice della playlist
+ * @returns {string}
+ */
+function getCatalogId(mode, key) {
+    const baseId = getBaseCatalog().id;
+    return mode === 'group'
+        ? `${baseId}_group_${hashKey(key)}`
+        : `${baseId}_playlist_${key}`;
+}
+
+function getPlaylistName(url, index) {
+    try {
+        const parsed = new URL(url);
+        const fileName = parsed.pathname.split('/').filter(Boolean).pop();
+        return fileName || parsed.hostname;
+    } catch {
+        return `Playlist ${index + 1}`;
+    }
+}
+
+function getPlaylistUrls(userConfig = {}) {
+    return (userConfig.m3u || '').split(',').map(u => u.trim()).filter(u => u);
+}
+
+function channelHasGenre(channel, genre) {
+    return Array.isArray(channel.genre) && channel.genre.includes(genre);
+}
+
+function channelInPlaylist(channel, playlistIndex) {
+    return Array.isArray(channel.playlistIndexes) && channel.playlistIndexes.includes(playlistIndex);
+}
+
+/**
+ * Elenca tutte le righe disponibili per la modalità configurata, nell'ordine naturale
+ * @param {Object} userConfig - Configurazione utente
+ * @param {Object} cachedData - Dati in cache ({ channels, genres })
+ * @returns {Array<{key: string, name: string, count: number}>}
+ */
+function getCatalogRows(userConfig, cachedData) {
+    const mode = getCatalogMode(userConfig);
+    const channels = cachedData?.channels || [];
+
+    if (mode === 'group') {
+        return (cachedData?.genres || [])
+            .map(genre => ({
+                key: genre,
+                name: genre,
+                count: channels.filter(channel => channelHasGenre(channel, genre)).length
+            }))
+            .filter(row => row.count > 0);
+    }
+
+    if (mode === 'playlist') {
+        return getPlaylistUrls(userConfig)
+            .map((url, index) => ({
+                key: String(index),
+                name: getPlaylistName(url, index),
+                count: channels.filter(channel => channelInPlaylist(channel, index)).length
+            }))
+            .filter(row => row.count > 0);
+    }
+
+    return [];
+}
+
+function parseSelectedRows(value) {
+    if (!value) return [];
+
+    try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) {
+            return parsed.map(String);
+        }
+    } catch {
+        // Formato semplice separato da virgole
+    }
+
+    return String(value).split(',').map(v => v.trim()).filter(v => v);
+}
+
+/**
+ * Applica la selezione e l'ordinamento scelti dall'utente (catalog_rows)
+ * @param {Object} userConfig - Configurazione utente
+ * @param {Object} cachedData - Dati in cache
+ * @returns {Array<{key: string, name: string, count: number}>}
+ */
+function getSelectedRows(userConfig, cachedData) {
+    const rows = getCatalogRows(userConfig, cachedData);
+    const selectedKeys = parseSelectedRows(userConfig.catalog_rows);
+
+    if (selectedKeys.length === 0) {
+        return rows;
+    }
+
+    const rowsByKey = new Map(rows.map(row => [row.key, row]));
+    return selectedKeys
+        .map(key => rowsByKey.get(key))
+        .filter(row => row);
+}
+
+function getGenresForChannels(channels, genres) {
+    return genres.filter(genre => channels.some(channel => channelHasGenre(channel, genre)));
+}
+
+/**
+ * Costruisce la lista dei cataloghi del manifest in base alla modalità configurata
+ * @param {Object} userConfig - Configurazione utente
+ * @param {Object} cachedData - Dati in cache ({ channels, genres })
+ * @returns {Array} - Cataloghi per il manifest
+ */
+function buildManifestCatalogs(userConfig, cachedData) {
+    // Nomi dei cataloghi aggiuntivi nella lingua configurata
+    const t = createTranslator(userConfig.language || config.defaultLanguage);
+
+    return [
+        ...buildChannelCatalogs(userConfig, cachedData),
+        ...buildEPGCatalogs(userConfig, t),
+        ...buildFavouritesCatalogs(userConfig, t),
+        ...buildHistoryCatalogs(userConfig, t),
+        ...buildVodCatalogs(cachedData, t)
+    ];
+}
+
+function getVodCatalogId(type) {
+    return `${getBaseCatalog().id}_${type === 'series' ? 'series' : 'movies'}`;
+}
+
+function getVodGenres(items) {
+    const genres = new Set();
+    items.forEach(item => (item.genre || []).forEach(genre => genres.add(genre)));
+    return Array.from(genres);
+}
+
+// Cataloghi Film e Serie, presenti solo se la playlist contiene contenuti on-demand
+function buildVodCatalogs(cachedData, t) {
+    const baseCatalog = getBaseCatalog();
+    const vodTypes = [
+        { type: 'movie', items: cachedData?.movies || [], label: t('moviesCatalog') },
+        { type: 'series', items: cachedData?.series || [], label: t('seriesCatalog') }
+    ];
+
+    return vodTypes
+        .filter(({ items }) => items.length > 0)
+        .map(({ type, items, label }) => ({
+            type,
+            id: getVodCatalogId(type),
+            name: `${baseCatalog.name} - ${label}`,
+            extra: [
+                {
+                    name: 'genre',
+                    isRequired: false,
+                    options: getVodGenres(items)
+                },
+                {
+                    name: 'search',
+                    isRequired: false
+                },
+                {
+                    name: 'skip',
+                    isRequired: false
+                }
+            ]
+        }));
+}
+
+// Extra "range" per saltare a un intervallo di numeri (1-99, 100-199...), solo con uno schema di numerazione
+function getRangeExtra(numbers, channels) {
+    const channelNumbers = new Map(channels.filter(channel => numbers.has(channel.id)).map(channel => [channel.id, numbers.get(channel.id)]));
+    const options = getNumberRanges(channelNumbers);
+    return options.length > 0 ? [{ name: 'range', isRequired: false, options }] : [];
+}
+
+function buildChannelCatalogs(userConfig, cachedData) {
+    const baseCatalog = getBaseCatalog();
+    const mode = getCatalogMode(userConfig);
+    const genres = cachedData?.genres || [];
+    const rows = mode === 'single' ? [] : getSelectedRows(userConfig, cachedData);
+    const numbers = getNumberingScheme(userConfig)
+        ? getChannelNumbers(userConfig, cachedData?.channels || [], genres)
+        : new Map();
+
+    // Senza righe disponibili (cache vuota o selezione non valida) si torna al catalogo unico
+    if (rows.length === 0) {
+        return [{
+            ...baseCatalog,
+            extra: [
+                {
+                    name: 'genre',
+                    isRequired: false,
+                    options: genres
+                },
+                {
+                    name: 'search',
+                    isRequired: false
+                },
+                {
+                    name: 'skip',
+                    isRequired: false
+                },
+                ...getRangeExtra(numbers, cachedData?.channels || [])
+            ]
+        }];
+    }
+
+    return rows.map(row => {
+        const extra = [
+            {
+                name: 'search',
+                isRequired: false
+            },
+            {
+                name: 'skip',
+                isRequired: false
+            }
+        ];
+
+        const rowChannels = (cachedData?.channels || []).filter(channel => mode === 'playlist'
+            ? channelInPlaylist(channel, parseInt(row.key, 10))
+            : channelHasGenre(channel, row.key));
+
+        if (mode === 'playlist') {
+            extra.unshift({
+                name: 'genre',
+                isRequired: false,
+                options: getGenresForChannels(rowChannels, genres)
+            });
+        }
+        extra.push(...getRangeExtra(numbers, rowChannels));
+
+        return {
+            type: baseCatalog.type,
+            id: getCatalogId(mode, row.key),
+            name: mode === 'playlist' ? `${baseCatalog.name} - ${row.name}` : row.name,
+            extra
+        };
+    });
+}
+
+function getUpcomingHours(userConfig = {}) {
+    const hours = parseInt(userConfig.epg_upcoming_hours, 10);
+    if (isNaN(hours) || hours <= 0) return DEFAULT_UPCOMING_HOURS;
+    return Math.min(hours, MAX_UPCOMING_HOURS);
+}
+
+function getEPGCatalogId(kind) {
+    return `${getBaseCatalog().id}_epg_${kind}`;
+}
+
+/**
+ * Cataloghi opzionali costruiti dalla guida TV ("In onda ora" e "Prossimi programmi")
+ * @param {Object} userConfig - Configurazione utente
+ * @param {Function} t - Traduzione dei testi (createTranslator)
+ * @returns {Array} - Cataloghi per il manifest
+ */
+function buildEPGCatalogs(userConfig, t) {
+    if (userConfig.epg_enabled !== 'true') return [];
+
+    const baseCatalog = getBaseCatalog();
+    const catalogs = [];
+
+    if (userConfig.epg_now_catalog === 'true') {
+        catalogs.push({
+            type: baseCatalog.type,
+            id: getEPGCatalogId('now'),
+            name: t('nowCatalog'),
+            extra: [
+                {
+                    name: 'search',
+                    isRequired: false
+                },
+                {
+                    name: 'skip',
+                    isRequired: false
+                }
+            ]
+        });
+    }
+
+    if (userConfig.epg_upcoming_catalog === 'true') {
+        const hours = getUpcomingHours(userConfig);
+        catalogs.push({
+            type: baseCatalog.type,
+            id: getEPGCatalogId('upcoming'),
+            name: t('upcomingCatalog', { hours }),
+            extra: [
+                {
+                    name: 'genre',
+                    isRequired: false,
+                    options: EPGManager.getUpcomingCategories(hours)
+                },
+                {
+                    name: 'search',
+                    isRequired: false
+                },
+                {
+                    name: 'skip',
+                    isRequired: false
+                }
+            ]
+        });
+    }
+
+    return catalogs;
+}
+
+function getNewChannelsCatalogId() {
+    return `${getBaseCatalog().id}_new`;
+}
+
+// Catalogo opzionale dei canali comparsi di recente nella playlist
+function buildHistoryCatalogs(userConfig, t) {
+    if (userConfig.new_channels_catalog !== 'true') return [];
+
+    return [{
+        type: getBaseCatalog().type,
+        id: getNewChannelsCatalogId(),
+        name: t('newChannelsCatalog'),
+        extra: [
+            {
+                name: 'search',
+                isRequired: false
+            },
+            {
+                name: 'skip',
+                isRequired: false
+            }
+        ]
+    }];
+}
+
+function getFavouritesCatalogId() {
+    return `${getBaseCatalog().id}_favourites`;
+}
+
+// Catalogo "Preferiti" del profilo utente (campo profile), gestito dalla pagina di configurazione
+function buildFavouritesCatalogs(userConfig, t) {
+    if (!String(userConfig.profile || '').trim()) return [];
+
+    return [{
+        type: getBaseCatalog().type,
+        id: getFavouritesCatalogId(),
+        name: t('favouritesCatalog'),
+        extra: [
+            {
+                name: 'search',
+                isRequired: false
+            },
+            {
+                name: 'skip',
+                isRequired: false
+            }
+        ]
+    }];
+}
+
+/**
+ * Traduce l'id del catalogo richiesto nei filtri da applicare ai canali.
+ * Un gruppo non più presente nella playlist (o un indice non valido) dà un catalogo vuoto.
+ * @param {string} id - Id del catalogo richiesto da Stremio
+ * @param {Object} userConfig - Configurazione utente
+ * @param {Object} cachedData - Dati in cache
+ * @returns {{genre?: string, playlistIndex?: number, epgCatalog?: string, hours?: number, newChannels?: boolean, favourites?: boolean, empty?: boolean}}
+ */
+function resolveCatalogFilter(id, userConfig, cachedData) {
+    const baseId = getBaseCatalog().id;
+    if (!id || id === baseId) return {};
+
+    if (id.startsWith(`${baseId}_group_`)) {
+        const genre = (cachedData?.genres || []).find(g => getCatalogId('group', g) === id);
+        return genre ? { genre } : { empty: true };
+    }
+
+    if (id === getEPGCatalogId('now')) {
+        return { epgCatalog: 'now' };
+    }
+
+    if (id === getEPGCatalogId('upcoming')) {
+        return { epgCatalog: 'upcoming', hours: getUpcomingHours(userConfig) };
+    }
+
+    if (id === getNewChannelsCatalogId()) {
+        return { newChannels: true };
+    }
+
+    if (id === getFavouritesCatalogId()) {
+        return { favourites: true };
+    }
+
+    if (id.startsWith(`${baseId}_playlist_`)) {
+        const playlistIndex = parseInt(id.substring(`${baseId}_playlist_`.length), 10);
+        return isNaN(playlistIndex) ? { empty: true } : { playlistIndex };
+    }
+
+    return {};
+}
+
+module.exports = {
+    CATALOG_MODES,
+    getCatalogMode,
+    getCatalogRows,
+    getSelectedRows,
+    buildManifestCatalogs,
+    resolveCatalogFilter
+};
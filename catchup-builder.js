@@ -0,0 +1,174 @@
+// Modalità catch-up supportate (attributo catchup delle playlist M3U)
+// default: catchup-source è l'URL completo di replay
+// append: catchup-source viene accodato all'URL del flusso
+// shift: accoda ?utc={utc}&lutc={lutc} all'URL del flusso
+// flussonic (flussonic-hls, flussonic-ts, fs): URL di archivio Flussonic generato dal flusso
+// xc: URL /timeshift/ di Xtream Codes generato dal flusso
+const CATCHUP_MODES = ['default', 'append', 'shift', 'flussonic', 'flussonic-hls', 'flussonic-ts', 'fs', 'xc'];
+
+const CATCHUP_VIDEO_TAG = 'catchup';
+
+function getCatchupStreams(channel) {
+    return (channel?.streamInfo?.urls || [])
+        .filter(stream => stream.catchup && CATCHUP_MODES.includes(stream.catchup.type));
+}
+
+/**
+ * Giorni di archivio disponibili per il canale (massimo tra i suoi flussi)
+ * @param {Object} channel - Canale in cache
+ * @returns {number} - 0 se il canale non supporta il catch-up
+ */
+function getCatchupDays(channel) {
+    return getCatchupStreams(channel)
+        .reduce((max, stream) => Math.max(max, stream.catchup.days || 1), 0);
+}
+
+function getCatchupVideoId(channel, program) {
+    return `${channel.id}|${CATCHUP_VIDEO_TAG}|${program.startTime}`;
+}
+
+/**
+ * Riconosce gli id dei video di catch-up (tv|<canale>|catchup|<inizio>)
+ * @param {string} id - Id richiesto da Stremio
+ * @returns {{channelId: string, startTime: number}|null}
+ */
+function parseCatchupVideoId(id) {
+    const parts = String(id || '').split('|');
+    if (parts.length !== 4 || parts[2] !== CATCHUP_VIDEO_TAG) return null;
+
+    const startTime = parseInt(parts[3], 10);
+    return isNaN(startTime) ? null : { channelId: parts[1], startTime };
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// Formatta un timestamp (secondi) con le lettere Y m d H M S, es. {utc:Y-m-d:H-M}
+function formatTimestamp(seconds, format) {
+    const date = new Date(seconds * 1000);
+    const parts = {
+        Y: date.getUTCFullYear(),
+        m: pad(date.getUTCMonth() + 1),
+        d: pad(date.getUTCDate()),
+        H: pad(date.getUTCHours()),
+        M: pad(date.getUTCMinutes()),
+        S: pad(date.getUTCSeconds())
+    };
+    return format.replace(/[YmdHMS]/g, letter => parts[letter]);
+}
+
+/**
+ * Sostituisce i segnaposto del template di catch-up.
+ * {utc}/{start}, {utcend}/{end}, {lutc}/{now}, {duration}, {offset} sono in secondi;
+ * {duration:60} divide il valore, {utc:Ymd} lo formatta; {Y} {m} {d} {H} {M} {S} si riferiscono all'inizio (UTC).
+ * @param {string} template - Template con segnaposto
+ * @param {Object} program - Programma EPG (startTime e stopTime in ms)
+ * @param {number} now - Istante corrente in ms
+ * @returns {string}
+ */
+function fillCatchupTemplate(template, program, now = Date.now()) {
+    const start = Math.floor(program.startTime / 1000);
+    const end = Math.floor(program.stopTime / 1000);
+    const current = Math.floor(now / 1000);
+    const values = {
+        utc: start,
+        start,
+        timestamp: start,
+        utcend: end,
+        end,
+        lutc: current,
+        now: current,
+        duration: end - start,
+        offset: current - start
+    };
+    const timeKeys = ['utc', 'start', 'timestamp', 'utcend', 'end', 'lutc', 'now'];
+
+    return template.replace(/\$?\{(\w+)(?::([^}]+))?\}/g, (placeholder, key, modifier) => {
+        if (/^[YmdHMS]$/.test(key)) {
+            return formatTimestamp(start, key);
+        }
+        if (!(key in values)) {
+            return placeholder;
+        }
+        if (modifier && /^\d+$/.test(modifier)) {
+            return String(Math.floor(values[key] / parseInt(modifier, 10)));
+        }
+        if (modifier && timeKeys.includes(key)) {
+            return formatTimestamp(values[key], modifier);
+        }
+        return String(values[key]);
+    });
+}
+
+function appendQuery(url, query) {
+    return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+}
+
+function buildFlussonicTemplate(url) {
+    const hlsMatch = url.match(/^(.+\/)([^/?]+)\.m3u8(\?.*)?$/);
+    if (hlsMatch) {
+        return `${hlsMatch[1]}${hlsMatch[2]}-{utc}-{duration}.m3u8${hlsMatch[3] || ''}`;
+    }
+
+    const tsMatch = url.match(/^(.+\/)(?:mpegts|[^/?]+\.ts)(\?.*)?$/);
+    if (tsMatch) {
+        return `${tsMatch[1]}timeshift_abs-{utc}.ts${tsMatch[2] || ''}`;
+    }
+
+    return null;
+}
+
+// http://host/[live/]user/pass/id.ext -> http://host/timeshift/user/pass/<minuti>/<Y-m-d:H-M>/id.ext
+function buildXtreamTemplate(url) {
+    const match = url.match(/^(https?:\/\/[^/]+)\/(?:live\/)?([^/]+)\/([^/]+)\/(\d+)(\.\w+)?(\?.*)?$/);
+    if (!match) return null;
+
+    const [, host, username, password, streamId, extension] = match;
+    return `${host}/timeshift/${username}/${password}/{duration:60}/{Y}-{m}-{d}:{H}-{M}/${streamId}${extension || '.ts'}`;
+}
+
+/**
+ * Costruisce l'URL di replay di un flusso per un programma passato
+ * @param {Object} stream - Flusso del canale con attributo catchup
+ * @param {Object} program - Programma EPG da riprodurre
+ * @param {number} now - Istante corrente in ms
+ * @returns {string|null} - null se la modalità non è applicabile all'URL
+ */
+function buildCatchupUrl(stream, program, now = Date.now()) {
+    const { type, source } = stream.catchup || {};
+    let template = null;
+
+    switch (type) {
+        case 'default':
+            template = source || null;
+            break;
+        case 'append':
+            template = source ? `${stream.url}${source}` : null;
+            break;
+        case 'shift':
+            template = appendQuery(stream.url, 'utc={utc}&lutc={lutc}');
+            break;
+        case 'flussonic':
+        case 'flussonic-hls':
+        case 'flussonic-ts':
+        case 'fs':
+            template = buildFlussonicTemplate(stream.url);
+            break;
+        case 'xc':
+            template = buildXtreamTemplate(stream.url);
+            break;
+    }
+
+    return template ? fillCatchupTemplate(template, program, now) : null;
+}
+
+module.exports = {
+    CATCHUP_MODES,
+    getCatchupStreams,
+    getCatchupDays,
+    getCatchupVideoId,
+    parseCatchupVideoId,
+    fillCatchupTemplate,
+    buildCatchupUrl
+};
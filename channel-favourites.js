@@ -0,0 +1,141 @@
+/**
+ * Preferiti, ordine personalizzato e canali nascosti di ogni profilo utente (campo profile
+ * della configurazione), salvati nel database della cache. I canali sono identificati dal
+ * tvg-id normalizzato, così le preferenze restano valide dopo ogni ricostruzione della playlist.
+ */
+class ChannelFavourites {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    get db() {
+        return this.pool.db;
+    }
+
+    initializeTable() {
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS channel_preferences (
+                profile TEXT NOT NULL,
+                channel_key TEXT NOT NULL,
+                favourite INTEGER NOT NULL DEFAULT 0,
+                hidden INTEGER NOT NULL DEFAULT 0,
+                position INTEGER,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (profile, channel_key)
+            );
+        `);
+    }
+
+    normalizeKey(id) {
+        return id?.toLowerCase().replace(/[^\w.]/g, '').trim() || '';
+    }
+
+    /**
+     * Nome del profilo valido (lettere, numeri, - e _), stringa vuota se assente
+     * @param {string} profile
+     * @returns {string}
+     */
+    normalizeProfile(profile) {
+        return String(profile || '').trim().replace(/[^\w-]/g, '').substring(0, 64);
+    }
+
+    getChannelKey(channel) {
+        return this.normalizeKey(channel.streamInfo?.tvg?.id) || this.normalizeKey(String(channel.id || '').replace(/^tv\|/, ''));
+    }
+
+    /**
+     * Preferenze di un profilo
+     * @param {string} profile
+     * @returns {{order: Array<string>, favourites: Array<string>, hidden: Array<string>}} - Chiavi dei canali, nell'ordine personalizzato
+     */
+    getPreferences(profile) {
+        const preferences = { order: [], favourites: [], hidden: [] };
+        const normalizedProfile = this.normalizeProfile(profile);
+        if (!normalizedProfile) return preferences;
+
+        const result = this.db.exec(`
+            SELECT channel_key, favourite, hidden, position FROM channel_preferences
+            WHERE profile = ?
+            ORDER BY position IS NULL, position, channel_key
+        `, [normalizedProfile]);
+
+        (result[0]?.values || []).forEach(([channelKey, favourite, hidden, position]) => {
+            if (position !== null) preferences.order.push(channelKey);
+            if (favourite) preferences.favourites.push(channelKey);
+            if (hidden) preferences.hidden.push(channelKey);
+        });
+        return preferences;
+    }
+
+    /**
+     * Sostituisce le preferenze di un profilo
+     * @param {string} profile
+     * @param {{order?: Array<string>, favourites?: Array<string>, hidden?: Array<string>}} preferences - Chiavi (o tvg-id) dei canali
+     * @returns {{order: Array<string>, favourites: Array<string>, hidden: Array<string>}}
+     */
+    setPreferences(profile, { order = [], favourites = [], hidden = [] } = {}) {
+        const normalizedProfile = this.normalizeProfile(profile);
+        if (!normalizedProfile) {
+            throw new Error('Profilo richiesto');
+        }
+
+        const rows = new Map();
+        const getRow = key => {
+            if (!rows.has(key)) rows.set(key, { favourite: 0, hidden: 0, position: null });
+            return rows.get(key);
+        };
+
+        order.map(key => this.normalizeKey(key)).filter(Boolean).forEach((key, index) => {
+            if (getRow(key).position === null) getRow(key).position = index;
+        });
+        favourites.map(key => this.normalizeKey(key)).filter(Boolean).forEach(key => { getRow(key).favourite = 1; });
+        hidden.map(key => this.normalizeKey(key)).filter(Boolean).forEach(key => { getRow(key).hidden = 1; });
+
+        const updatedAt = Date.now();
+        this.db.run('DELETE FROM channel_preferences WHERE profile = ?', [normalizedProfile]);
+        rows.forEach((row, key) => {
+            this.db.run(`
+                INSERT INTO channel_preferences (profile, channel_key, favourite, hidden, position, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [normalizedProfile, key, row.favourite, row.hidden, row.position, updatedAt]);
+        });
+        this.pool.saveDatabase();
+
+        console.log(`✓ Preferenze profilo ${normalizedProfile}: ${favourites.length} preferiti, ${hidden.length} nascosti`);
+        return this.getPreferences(normalizedProfile);
+    }
+
+    /**
+     * Applica le preferenze a una lista di canali: toglie i nascosti e mette in testa
+     * i canali ordinati dall'utente; gli altri seguono nell'ordine ricevuto
+     * @param {string} profile
+     * @param {Array} channels
+     * @param {{favouritesOnly?: boolean, keepOrder?: boolean, includeHidden?: boolean}} options - Solo preferiti;
+     *   mantiene l'ordine ricevuto; non toglie i nascosti (per l'editor della pagina di configurazione)
+     * @returns {Array} - Nuovo array
+     */
+    apply(profile, channels, { favouritesOnly = false, keepOrder = false, includeHidden = false } = {}) {
+        const { order, favourites, hidden } = this.getPreferences(profile);
+        if (!favouritesOnly && order.length === 0 && hidden.length === 0) return channels;
+
+        const positions = new Map(order.map((key, index) => [key, index]));
+        const favouriteKeys = new Set(favourites);
+        const hiddenKeys = new Set(hidden);
+
+        const entries = channels
+            .map((channel, index) => ({ channel, index, key: this.getChannelKey(channel) }))
+            .filter(({ key }) => (includeHidden || !hiddenKeys.has(key)) && (!favouritesOnly || favouriteKeys.has(key)));
+
+        if (!keepOrder) {
+            entries.sort((a, b) => (positions.get(a.key) ?? Infinity) - (positions.get(b.key) ?? Infinity) || a.index - b.index);
+        }
+        return entries.map(({ channel }) => channel);
+    }
+
+    deleteProfile(profile) {
+        this.db.run('DELETE FROM channel_preferences WHERE profile = ?', [this.normalizeProfile(profile)]);
+        this.pool.saveDatabase();
+    }
+}
+
+module.exports = ChannelFavourites;
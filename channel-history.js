@@ -0,0 +1,191 @@
+const config = require('./config');
+
+/**
+ * Storico delle modifiche alla lista canali: a ogni ricostruzione della cache
+ * confronta i canali nuovi con i precedenti e salva le differenze nel database della cache.
+ */
+class ChannelHistory {
+    constructor(pool) {
+        this.pool = pool;
+        this.settings = {
+            maxEntries: 50,
+            newChannelsDays: 7,
+            ...config.historySettings
+        };
+    }
+
+    get db() {
+        return this.pool.db;
+    }
+
+    initializeTable() {
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS channel_changes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                cache_key TEXT NOT NULL,
+                changed_at INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+        `);
+    }
+
+    getStreamUrls(channel) {
+        return (channel.streamInfo?.urls || []).map(stream => stream.url).filter(Boolean).sort();
+    }
+
+    getGroups(channel) {
+        return Array.isArray(channel.genre) ? [...channel.genre].sort() : [];
+    }
+
+    isSameList(a, b) {
+        return a.length === b.length && a.every((value, index) => value === b[index]);
+    }
+
+    /**
+     * Confronta due liste di canali. Un canale con id diverso ma stessi flussi
+     * è considerato rinominato, non rimosso e aggiunto.
+     * @param {Array} previousChannels - Canali della ricostruzione precedente
+     * @param {Array} channels - Canali attuali
+     * @returns {{added: Array, removed: Array, renamed: Array, streamsChanged: Array, groupChanged: Array}}
+     */
+    diff(previousChannels = [], channels = []) {
+        const previousById = new Map(previousChannels.map(channel => [channel.id, channel]));
+        const currentIds = new Set(channels.map(channel => channel.id));
+        const changes = { added: [], removed: [], renamed: [], streamsChanged: [], groupChanged: [] };
+
+        channels.forEach(channel => {
+            const previous = previousById.get(channel.id);
+            if (!previous) {
+                changes.added.push(channel);
+                return;
+            }
+
+            if (previous.name !== channel.name) {
+                changes.renamed.push({ id: channel.id, previousId: channel.id, from: previous.name, to: channel.name });
+            }
+
+            const previousUrls = this.getStreamUrls(previous);
+            const urls = this.getStreamUrls(channel);
+            if (!this.isSameList(previousUrls, urls)) {
+                changes.streamsChanged.push({
+                    id: channel.id,
+                    name: channel.name,
+                    added: urls.filter(url => !previousUrls.includes(url)),
+                    removed: previousUrls.filter(url => !urls.includes(url))
+                });
+            }
+
+            const previousGroups = this.getGroups(previous);
+            const groups = this.getGroups(channel);
+            if (!this.isSameList(previousGroups, groups)) {
+                changes.groupChanged.push({ id: channel.id, name: channel.name, from: previousGroups, to: groups });
+            }
+        });
+
+        let removed = previousChannels.filter(channel => !currentIds.has(channel.id));
+
+        // Cambio di id (es. tvg-id o nome modificati) con gli stessi flussi: è una rinomina
+        changes.added = changes.added.filter(channel => {
+            const urls = this.getStreamUrls(channel);
+            const match = urls.length > 0 && removed.find(previous => this.isSameList(this.getStreamUrls(previous), urls));
+            if (!match) return true;
+
+            changes.renamed.push({ id: channel.id, previousId: match.id, from: match.name, to: channel.name });
+            removed = removed.filter(previous => previous !== match);
+            return false;
+        });
+
+        changes.added = changes.added.map(channel => ({ id: channel.id, name: channel.name }));
+        changes.removed = removed.map(channel => ({ id: channel.id, name: channel.name }));
+        return changes;
+    }
+
+    hasChanges(changes) {
+        return Object.values(changes).some(list => list.length > 0);
+    }
+
+    /**
+     * Registra le differenze di una ricostruzione, mantenendo solo le ultime maxEntries voci per cache
+     * @param {string} cacheKey - Cache ricostruita
+     * @param {Array|null} previousChannels - Canali precedenti (null alla prima costruzione)
+     * @param {Array} channels - Canali attuali
+     */
+    record(cacheKey, previousChannels, channels) {
+        // Alla prima costruzione tutti i canali risulterebbero aggiunti
+        if (!previousChannels) return null;
+
+        try {
+            const changes = this.diff(previousChannels, channels || []);
+            if (!this.hasChanges(changes)) return null;
+
+            const changedAt = Date.now();
+            this.db.run('INSERT INTO channel_changes (cache_key, changed_at, data) VALUES (?, ?, ?)',
+                [cacheKey, changedAt, JSON.stringify(changes)]);
+            this.db.run(`
+                DELETE FROM channel_changes WHERE cache_key = ? AND id NOT IN (
+                    SELECT id FROM channel_changes WHERE cache_key = ? ORDER BY id DESC LIMIT ?
+                )
+            `, [cacheKey, cacheKey, this.settings.maxEntries]);
+            this.pool.saveDatabase();
+
+            console.log(`✓ Modifiche canali: ${changes.added.length} aggiunti, ${changes.removed.length} rimossi, ` +
+                `${changes.renamed.length} rinominati, ${changes.streamsChanged.length} con flussi modificati, ` +
+                `${changes.groupChanged.length} con gruppo modificato`);
+            return { changedAt, ...changes };
+        } catch (error) {
+            console.error('❌ Errore registrazione modifiche canali:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Voci dello storico di una cache, dalla più recente
+     * @param {string} cacheKey - Cache
+     * @param {{limit?: number, since?: number}} options
+     * @returns {Array<{changedAt: number, added: Array, removed: Array, renamed: Array, streamsChanged: Array, groupChanged: Array}>}
+     */
+    getChanges(cacheKey, { limit = this.settings.maxEntries, since = 0 } = {}) {
+        const result = this.db.exec(
+            'SELECT changed_at, data FROM channel_changes WHERE cache_key = ? AND changed_at >= ? ORDER BY id DESC LIMIT ?',
+            [cacheKey, since, limit]
+        );
+
+        return (result[0]?.values || []).map(([changedAt, data]) => {
+            try {
+                return { changedAt, ...JSON.parse(data) };
+            } catch (e) {
+                console.error('Errore parsing modifiche canali:', e);
+                return null;
+            }
+        }).filter(entry => entry);
+    }
+
+    /**
+     * Canali aggiunti (o rinominati con un nuovo id) negli ultimi newChannelsDays giorni
+     * @param {string} cacheKey - Cache
+     * @returns {Map<string, number>} - Id del canale e data di aggiunta
+     */
+    getNewChannelIds(cacheKey) {
+        const since = Date.now() - this.settings.newChannelsDays * 24 * 60 * 60 * 1000;
+        const ids = new Map();
+
+        // Dalla voce più recente: conta l'ultima aggiunta di ogni canale
+        this.getChanges(cacheKey, { since }).forEach(entry => {
+            const addedIds = [
+                ...entry.added.map(channel => channel.id),
+                ...entry.renamed.filter(change => change.previousId !== change.id).map(change => change.id)
+            ];
+            addedIds.forEach(id => {
+                if (!ids.has(id)) ids.set(id, entry.changedAt);
+            });
+        });
+
+        return ids;
+    }
+
+    deleteCache(cacheKey) {
+        this.db.run('DELETE FROM channel_changes WHERE cache_key = ?', [cacheKey]);
+    }
+}
+
+module.exports = ChannelHistory;
@@ -0,0 +1,185 @@
+const { readSource } = require('./source-reader');
+const EPGManager = require('./epg-manager');
+
+// chno: tvg-chno della playlist; lcn: <lcn> dei canali XMLTV; auto: numerazione progressiva per gruppo;
+// map: file di numerazione dell'utente (numbering_map)
+const NUMBERING_SCHEMES = ['chno', 'lcn', 'auto', 'map'];
+
+// Ampiezza degli intervalli proposti nell'extra "range" dei cataloghi
+const RANGE_SIZE = 100;
+
+function normalizeId(id) {
+    return id?.toLowerCase().replace(/[^\w.]/g, '').trim() || '';
+}
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function parseNumber(value) {
+    const number = parseInt(value, 10);
+    return number > 0 ? number : null;
+}
+
+function getNumberingScheme(userConfig = {}) {
+    return NUMBERING_SCHEMES.includes(userConfig.numbering) ? userConfig.numbering : null;
+}
+
+/**
+ * File di numerazione, una regola per riga: tvg-id=numero oppure name:Nome canale=numero
+ * @param {string} content
+ * @returns {{byId: Map<string, number>, byName: Map<string, number>, errors: Array<string>}}
+ */
+function parseNumberMap(content) {
+    const byId = new Map();
+    const byName = new Map();
+    const errors = [];
+
+    String(content || '').split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) return;
+
+        const separator = line.lastIndexOf('=');
+        const key = line.substring(0, separator).trim();
+        const number = parseNumber(line.substring(separator + 1).trim());
+        if (separator <= 0 || !key || !number) {
+            errors.push(`Riga ${index + 1}: formato non valido, atteso id=numero o name:Nome=numero`);
+            return;
+        }
+
+        if (/^name:/i.test(key)) {
+            byName.set(normalizeName(key.substring(5)), number);
+        } else {
+            byId.set(normalizeId(key), number);
+        }
+    });
+
+    return { byId, byName, errors };
+}
+
+/**
+ * Assegna ai canali il numero indicato dal file numbering_map (campo mappedNumber)
+ * @param {Array} channels - Canali della playlist
+ * @param {Object} userConfig - Configurazione utente
+ * @param {Function} readContent - Lettura della sorgente (predefinita: readSource)
+ * @returns {Promise<number>} - Canali numerati
+ */
+async function applyNumberMap(channels, userConfig = {}, readContent = readSource) {
+    const mapPath = userConfig.numbering_map?.trim();
+    if (!mapPath) return 0;
+
+    try {
+        const { byId, byName, errors } = parseNumberMap(await readContent(mapPath));
+        errors.forEach(error => console.warn(`⚠️ Numerazione: ${error}`));
+
+        let numbered = 0;
+        channels.forEach(channel => {
+            const number = byId.get(normalizeId(channel.streamInfo?.tvg?.id)) ?? byName.get(normalizeName(channel.name));
+            if (number) {
+                channel.mappedNumber = number;
+                numbered++;
+            }
+        });
+
+        console.log(`✓ Numerazione da ${mapPath}: ${numbered} canali numerati`);
+        return numbered;
+    } catch (error) {
+        console.error('❌ Errore caricamento file di numerazione:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Numeri dei canali secondo lo schema configurato (numbering). Con lcn e map i canali
+ * senza numero nella sorgente scelta usano tvg-chno, se presente.
+ * @param {Object} userConfig - Configurazione utente
+ * @param {Array} channels - Tutti i canali della cache, nell'ordine della playlist
+ * @param {Array<string>} genres - Gruppi nell'ordine della playlist (per lo schema auto)
+ * @returns {Map<string, number>} - Id del canale -> numero
+ */
+function getChannelNumbers(userConfig, channels = [], genres = []) {
+    const scheme = getNumberingScheme(userConfig);
+    const numbers = new Map();
+    if (!scheme) return numbers;
+
+    if (scheme === 'auto') {
+        const start = parseNumber(userConfig.numbering_start) || 1;
+        const groupOrder = new Map(genres.map((genre, index) => [genre, index]));
+        const ordered = channels
+            .map((channel, index) => ({ channel, index, group: groupOrder.get(channel.genre?.[0]) ?? genres.length }))
+            .sort((a, b) => a.group - b.group || a.index - b.index);
+        ordered.forEach(({ channel }, index) => numbers.set(channel.id, start + index));
+        return numbers;
+    }
+
+    const lcns = scheme === 'lcn' ? EPGManager.getChannelLcns() : null;
+    const cacheKey = scheme === 'lcn' ? global.CacheManager?.getCacheKey(userConfig) : null;
+    channels.forEach(channel => {
+        let number = null;
+        if (scheme === 'lcn') {
+            number = lcns.get(EPGManager.resolveChannelId(channel.streamInfo?.tvg?.id, cacheKey)) || null;
+        } else if (scheme === 'map') {
+            number = channel.mappedNumber || null;
+        }
+        number = number || parseNumber(channel.streamInfo?.tvg?.chno);
+        if (number) numbers.set(channel.id, number);
+    });
+    return numbers;
+}
+
+/**
+ * Ordina per numero; i canali senza numero seguono nell'ordine ricevuto
+ * @param {Array} channels
+ * @param {Map<string, number>} numbers
+ * @returns {Array} - Nuovo array ordinato
+ */
+function sortByNumber(channels, numbers) {
+    return channels
+        .map((channel, index) => ({ channel, index, number: numbers.get(channel.id) ?? Infinity }))
+        .sort((a, b) => (a.number === b.number ? 0 : a.number < b.number ? -1 : 1) || a.index - b.index)
+        .map(({ channel }) => channel);
+}
+
+function getRangeLabel(number) {
+    const start = Math.floor(number / RANGE_SIZE) * RANGE_SIZE;
+    return `${Math.max(start, 1)}-${start + RANGE_SIZE - 1}`;
+}
+
+/**
+ * Intervalli di numeri presenti (1-99, 100-199...), per l'extra "range" del catalogo
+ * @param {Map<string, number>} numbers
+ * @returns {Array<string>}
+ */
+function getNumberRanges(numbers) {
+    const starts = Array.from(new Set(Array.from(numbers.values()).map(number => Math.floor(number / RANGE_SIZE))));
+    return starts.sort((a, b) => a - b).map(start => getRangeLabel(start * RANGE_SIZE));
+}
+
+/**
+ * Canali con numero compreso nell'intervallo ("100-199")
+ * @param {Array} channels
+ * @param {Map<string, number>} numbers
+ * @param {string} range
+ * @returns {Array}
+ */
+function filterByRange(channels, numbers, range) {
+    const match = String(range || '').match(/^(\d+)-(\d+)$/);
+    if (!match) return channels;
+
+    const [from, to] = [parseInt(match[1], 10), parseInt(match[2], 10)];
+    return channels.filter(channel => {
+        const number = numbers.get(channel.id);
+        return number >= from && number <= to;
+    });
+}
+
+module.exports = {
+    NUMBERING_SCHEMES,
+    getNumberingScheme,
+    parseNumberMap,
+    applyNumberMap,
+    getChannelNumbers,
+    sortByNumber,
+    getNumberRanges,
+    filterByRange
+};
@@ -0,0 +1,280 @@
+const { readSource } = require('./source-reader');
+
+// Azioni disponibili, applicate nell'ordine in cui compaiono nel file delle regole
+const RULE_ACTIONS = ['hide', 'rename', 'group', 'logo', 'tvg_id', 'drop_streams', 'merge'];
+
+// Condizioni che selezionano i canali a cui si applica una regola (espressioni regolari)
+const CONDITION_FIELDS = ['name', 'group', 'id', 'url'];
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^\w]/g, '');
+}
+
+function compileRegex(pattern, flags) {
+    return new RegExp(pattern, flags ?? 'i');
+}
+
+/**
+ * Valida e compila le regole. Le regole non valide vengono scartate e segnalate in errors.
+ * Formato: array JSON (o oggetto { rules: [...] }) di oggetti { action, name?, group?, id?, url?, flags?, ...parametri }
+ * @param {string|Object|Array} content - Contenuto del file delle regole
+ * @returns {{rules: Array, errors: Array<string>}}
+ */
+function parseRules(content) {
+    let parsed = content;
+    if (typeof parsed === 'string' || Buffer.isBuffer(parsed)) {
+        parsed = JSON.parse(String(parsed));
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.rules;
+    if (!Array.isArray(list)) {
+        throw new Error('Il file delle regole deve contenere un array di regole');
+    }
+
+    const rules = [];
+    const errors = [];
+
+    list.forEach((rule, index) => {
+        try {
+            if (!RULE_ACTIONS.includes(rule?.action)) {
+                throw new Error(`azione non valida "${rule?.action}" (consentite: ${RULE_ACTIONS.join(', ')})`);
+            }
+
+            const conditions = {};
+            CONDITION_FIELDS.forEach(field => {
+                if (rule[field] !== undefined && rule[field] !== '') {
+                    conditions[field] = compileRegex(rule[field], rule.flags);
+                }
+            });
+
+            const compiled = { index, action: rule.action, source: rule, conditions };
+
+            switch (rule.action) {
+                case 'rename':
+                    if (!rule.pattern || rule.replace === undefined) throw new Error('rename richiede pattern e replace');
+                    compiled.pattern = compileRegex(rule.pattern, rule.flags);
+                    compiled.replace = String(rule.replace);
+                    break;
+                case 'group':
+                    if (!rule.to) throw new Error('group richiede to');
+                    break;
+                case 'logo':
+                    if (!rule.logo) throw new Error('logo richiede logo');
+                    break;
+                case 'tvg_id':
+                    if (!rule.tvg_id) throw new Error('tvg_id richiede tvg_id');
+                    break;
+                case 'drop_streams':
+                    if (!conditions.url) throw new Error('drop_streams richiede url');
+                    break;
+            }
+
+            rules.push(compiled);
+        } catch (error) {
+            errors.push(`Regola ${index + 1}: ${error.message}`);
+        }
+    });
+
+    return { rules, errors };
+}
+
+/**
+ * Legge le regole indicate da rules_path (URL HTTP o file locale)
+ * @param {Object} userConfig - Configurazione utente
+ * @param {Function} readContent - Lettura della sorgente (predefinita: readSource)
+ * @returns {Promise<{rules: Array, errors: Array<string>}>}
+ */
+async function loadRules(userConfig = {}, readContent = readSource) {
+    const rulesPath = userConfig.rules_path?.trim();
+    if (!rulesPath) return { rules: [], errors: [] };
+
+    try {
+        const result = parseRules(await readContent(rulesPath));
+        console.log(`✓ Caricate ${result.rules.length} regole canali da ${rulesPath}`);
+        result.errors.forEach(error => console.warn(`⚠️ ${error}`));
+        return result;
+    } catch (error) {
+        console.error('❌ Errore caricamento regole canali:', error.message);
+        return { rules: [], errors: [error.message] };
+    }
+}
+
+// Verifica le condizioni della regola; restituisce il match del gruppo, usato dai segnaposto $1.. di "to"
+function matchChannel(rule, channel) {
+    const { name, group, id, url } = rule.conditions;
+    if (name && !name.test(channel.name)) return null;
+    if (id && !id.test(channel.streamInfo?.tvg?.id || '') && !id.test(channel.id)) return null;
+    // Per drop_streams la condizione url seleziona i flussi, non il canale
+    if (url && rule.action !== 'drop_streams' && !(channel.streamInfo?.urls || []).some(stream => url.test(stream.url))) return null;
+
+    if (group) {
+        const groupMatch = (channel.genre || []).map(genre => genre.match(group)).find(match => match);
+        return groupMatch || null;
+    }
+    return true;
+}
+
+function expandTemplate(template, match) {
+    if (!Array.isArray(match)) return template;
+    return template.replace(/\$(\d+)/g, (placeholder, index) => match[parseInt(index, 10)] ?? '');
+}
+
+function setChannelName(channel, name) {
+    channel.name = name;
+    if (channel.streamInfo?.tvg) channel.streamInfo.tvg.name = name;
+}
+
+function mergeChannels(target, source) {
+    const urls = new Set(target.streamInfo.urls.map(stream => stream.url));
+    source.streamInfo.urls.forEach(stream => {
+        if (!urls.has(stream.url)) {
+            target.streamInfo.urls.push(stream);
+            urls.add(stream.url);
+        }
+    });
+    (source.playlistIndexes || []).forEach(index => {
+        if (!target.playlistIndexes.includes(index)) target.playlistIndexes.push(index);
+    });
+    (source.genre || []).forEach(genre => {
+        if (!target.genre.includes(genre)) target.genre.push(genre);
+    });
+    target.logo = target.logo || source.logo;
+    target.poster = target.poster || source.poster;
+    target.background = target.background || source.background;
+}
+
+/**
+ * Applica le regole ai canali, nell'ordine. I canali vengono copiati: l'input non viene modificato.
+ * @param {Array} channels - Canali prodotti dal parsing della playlist
+ * @param {Array} rules - Regole compilate da parseRules
+ * @returns {{channels: Array, report: Object}} - Canali risultanti e dettaglio delle modifiche (per l'anteprima)
+ */
+function applyRules(channels, rules) {
+    let result = channels.map(channel => JSON.parse(JSON.stringify(channel)));
+    const report = {
+        channelsBefore: channels.length,
+        channelsAfter: 0,
+        rules: [],
+        hidden: [],
+        renamed: [],
+        regrouped: [],
+        logos: [],
+        tvgIds: [],
+        droppedStreams: [],
+        merged: []
+    };
+
+    rules.forEach(rule => {
+        let matched = 0;
+        const merges = new Map();
+
+        result = result.filter(channel => {
+            const match = matchChannel(rule, channel);
+            if (!match) return true;
+
+            switch (rule.action) {
+                case 'hide':
+                    matched++;
+                    report.hidden.push({ id: channel.id, name: channel.name, rule: rule.index + 1 });
+                    return false;
+
+                case 'rename': {
+                    if (!rule.pattern.test(channel.name)) return true;
+                    const name = channel.name.replace(rule.pattern, rule.replace).replace(/\s+/g, ' ').trim();
+                    if (name && name !== channel.name) {
+                        matched++;
+                        report.renamed.push({ id: channel.id, from: channel.name, to: name });
+                        setChannelName(channel, name);
+                    }
+                    return true;
+                }
+
+                case 'group': {
+                    const group = expandTemplate(rule.source.to, match).trim();
+                    if (!group) return true;
+                    const previousGroups = channel.genre || [];
+                    // Con una condizione sul gruppo si sostituiscono solo i gruppi corrispondenti
+                    const groups = rule.conditions.group
+                        ? previousGroups.map(genre => (rule.conditions.group.test(genre) ? group : genre))
+                        : [group];
+                    channel.genre = Array.from(new Set(groups));
+                    if (channel.genre.join('|') !== previousGroups.join('|')) {
+                        matched++;
+                        report.regrouped.push({ id: channel.id, name: channel.name, from: previousGroups, to: channel.genre });
+                    }
+                    return true;
+                }
+
+                case 'logo':
+                    matched++;
+                    channel.logo = channel.poster = channel.background = rule.source.logo;
+                    if (channel.streamInfo?.tvg) channel.streamInfo.tvg.logo = rule.source.logo;
+                    report.logos.push({ id: channel.id, name: channel.name, logo: rule.source.logo });
+                    return true;
+
+                case 'tvg_id':
+                    matched++;
+                    report.tvgIds.push({ id: channel.id, name: channel.name, from: channel.streamInfo.tvg.id, to: rule.source.tvg_id });
+                    channel.streamInfo.tvg.id = rule.source.tvg_id;
+                    return true;
+
+                case 'drop_streams': {
+                    const dropped = channel.streamInfo.urls.filter(stream => rule.conditions.url.test(stream.url));
+                    if (dropped.length === 0) return true;
+                    matched++;
+                    channel.streamInfo.urls = channel.streamInfo.urls.filter(stream => !dropped.includes(stream));
+                    dropped.forEach(stream => report.droppedStreams.push({ id: channel.id, name: channel.name, url: stream.url }));
+                    // Un canale rimasto senza flussi non è più riproducibile
+                    if (channel.streamInfo.urls.length === 0) {
+                        report.hidden.push({ id: channel.id, name: channel.name, rule: rule.index + 1 });
+                        return false;
+                    }
+                    return true;
+                }
+
+                case 'merge': {
+                    // I canali con lo stesso nome confluiscono nel primo incontrato
+                    const key = normalizeName(channel.name);
+                    const target = merges.get(key);
+                    if (!target) {
+                        merges.set(key, channel);
+                        return true;
+                    }
+                    matched++;
+                    mergeChannels(target, channel);
+                    report.merged.push({ id: channel.id, name: channel.name, into: target.id });
+                    return false;
+                }
+            }
+            return true;
+        });
+
+        report.rules.push({ rule: rule.index + 1, action: rule.action, matched });
+    });
+
+    report.channelsAfter = result.length;
+    report.unusedRules = report.rules.filter(rule => rule.matched === 0).map(rule => rule.rule);
+    return { channels: result, report };
+}
+
+/**
+ * Generi dopo l'applicazione delle regole: restano solo quelli ancora usati,
+ * nell'ordine originale, seguiti dai gruppi creati dalle regole
+ * @param {Array<string>} genres - Generi della playlist
+ * @param {Array} channels - Canali risultanti
+ * @returns {Array<string>}
+ */
+function getRuleGenres(genres, channels) {
+    const used = new Set();
+    channels.forEach(channel => (channel.genre || []).forEach(genre => used.add(genre)));
+    return [...genres.filter(genre => used.has(genre)), ...Array.from(used).filter(genre => !genres.includes(genre))];
+}
+
+module.exports = {
+    RULE_ACTIONS,
+    parseRules,
+    loadRules,
+    applyRules,
+    getRuleGenres,
+    mergeChannels,
+    setChannelName
+};
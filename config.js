@@ -5,16 +5,50 @@ const baseConfig = {
     port: process.env.PORT || 10000,
     defaultUserAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
     defaultLanguage: 'Italiana',
+    // Database, chiavi e file caricati (DATA_DIR) e file temporanei (TEMP_DIR)
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+    tempDir: process.env.TEMP_DIR || path.join(__dirname, 'temp'),
     cacheSettings: {
         updateInterval: 2 * 60 * 60 * 1000,
         maxAge: 12 * 60 * 60 * 1000,
         retryAttempts: 3,
-        retryDelay: 5000
+        retryDelay: 5000,
+        maxUserCaches: 20
     },
     epgSettings: {
         maxProgramsPerChannel: 50,
+        // Giorni di programmi passati conservati per il catch-up
+        pastRetentionDays: 7,
         updateInterval: 2 * 60 * 60 * 1000,
-        cacheExpiry: 12 * 60 * 60 * 1000
+        cacheExpiry: 12 * 60 * 60 * 1000,
+        // Somiglianza dei nomi (0-1) oltre la quale un canale senza guida viene collegato automaticamente
+        matchThreshold: 0.85,
+        // Somiglianza minima per proporre un candidato nel remapping suggerito
+        suggestThreshold: 0.5
+    },
+    sourceSettings: {
+        // Directory da cui si possono leggere playlist ed EPG locali, oltre a data/uploads
+        localDirs: (process.env.LOCAL_SOURCE_DIRS || '').split(',').map(dir => dir.trim()).filter(Boolean),
+        // Senza password il caricamento dalla pagina di configurazione è disabilitato
+        uploadPassword: process.env.UPLOAD_PASSWORD || null,
+        maxUploadSize: '100mb'
+    },
+    healthSettings: {
+        interval: 30 * 60 * 1000,
+        timeout: 8000,
+        concurrency: 5
+    },
+    qualitySettings: {
+        // Validità dell'analisi di master playlist HLS e manifest DASH
+        ttl: 6 * 60 * 60 * 1000,
+        timeout: 5000,
+        concurrency: 4
+    },
+    historySettings: {
+        // Ricostruzioni con modifiche conservate per ogni cache
+        maxEntries: 50,
+        // Periodo in cui un canale aggiunto compare nel catalogo "Nuovi canali"
+        newChannelsDays: 7
     },
     manifest: {
         id: 'org.mccoy88f.omgtv',
@@ -23,8 +57,8 @@ const baseConfig = {
         description: 'Modalita provvisoria, installazione con errori, attivo mod. provvisoria',
         logo: 'https://github.com/mccoy88f/OMG-TV-Stremio-Addon/blob/main/tv.png?raw=true',
         resources: ['stream', 'catalog', 'meta'],
-        types: ['tv'],
-        idPrefixes: ['tv'],
+        types: ['tv', 'movie', 'series'],
+        idPrefixes: ['tv', 'movie', 'series'],
         catalogs: [
             {
                 type: 'tv',
@@ -1,22 +1,51 @@
-const axios = require('axios');
-const { parseStringPromise } = require('xml2js');
+const sax = require('sax');
 const zlib = require('zlib');
-const { promisify } = require('util');
-const gunzip = promisify(zlib.gunzip);
+const { Transform } = require('stream');
 const cron = require('node-cron');
 const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
+const config = require('./config');
+const { openSourceStream, parseSourceList, downloadSource } = require('./source-reader');
+const { EPGMatcher } = require('./epg-matcher');
+// Codici lingua XMLTV (attributo lang) corrispondenti ai valori di "language" nella configurazione
+const { LANGUAGE_CODES } = require('./messages');
+
+// Colonne lette dalle query sui programmi, nell'ordine atteso da mapProgramRow
+const PROGRAM_COLUMNS = `
+    title, description, category, start_time, stop_time,
+    sub_title, episode_num, episode_onscreen, icon, rating,
+    credits, date, previously_shown, translations
+`;
+
+// Colonne aggiunte allo schema originale della tabella programs
+const PROGRAM_EXTRA_COLUMNS = {
+    sub_title: 'TEXT',
+    episode_num: 'TEXT',
+    episode_onscreen: 'TEXT',
+    icon: 'TEXT',
+    rating: 'TEXT',
+    credits: 'TEXT',
+    date: 'TEXT',
+    previously_shown: 'INTEGER DEFAULT 0',
+    translations: 'TEXT'
+};
 
 class EPGManager {
     constructor() {
         this.epgData = null;
         this.db = null;
-        this.dbPath = path.join(__dirname, 'data', 'epg.db');
+        this.dbPath = path.join(config.dataDir, 'epg.db');
+        this.tempDir = config.tempDir;
+        this.lastSourceCheck = null;
+        this.channelLinks = new Map();
+        this.channelMatches = new Map();
+        this.lastMatch = null;
         this.lastUpdate = null;
         this.isUpdating = false;
         this.CHUNK_SIZE = 5000;
         this.lastEpgUrl = null;
+        this.progress = null;
         this.cronJob = null;
         this.cleanupJob = null;
         this.validateAndSetTimezone();
@@ -27,9 +56,8 @@ class EPGManager {
     async initializeDatabase() {
         try {
             // Crea directory data se non esiste
-            const dataDir = path.join(__dirname, 'data');
-            if (!fs.existsSync(dataDir)) {
-                fs.mkdirSync(dataDir, { recursive: true });
+            if (!fs.existsSync(config.dataDir)) {
+                fs.mkdirSync(config.dataDir, { recursive: true });
             }
 
             // Inizializza SQL.js
@@ -54,7 +82,16 @@ class EPGManager {
                     stop_time INTEGER NOT NULL,
                     title TEXT NOT NULL,
                     description TEXT,
-                    category TEXT
+                    category TEXT,
+                    sub_title TEXT,
+                    episode_num TEXT,
+                    episode_onscreen TEXT,
+                    icon TEXT,
+                    rating TEXT,
+                    credits TEXT,
+                    date TEXT,
+                    previously_shown INTEGER DEFAULT 0,
+                    translations TEXT
                 );
                 
                 CREATE INDEX IF NOT EXISTS idx_channel_time 
@@ -71,14 +108,64 @@ class EPGManager {
                     key TEXT PRIMARY KEY,
                     value TEXT
                 );
+
+                CREATE TABLE IF NOT EXISTS epg_channels (
+                    channel_id TEXT PRIMARY KEY,
+                    display_names TEXT NOT NULL,
+                    lcn INTEGER
+                );
+
+                CREATE TABLE IF NOT EXISTS channel_links (
+                    m3u_id TEXT PRIMARY KEY,
+                    epg_id TEXT NOT NULL,
+                    score REAL,
+                    source TEXT NOT NULL,
+                    updated_at INTEGER
+                );
+
+                CREATE TABLE IF NOT EXISTS channel_matches (
+                    cache_key TEXT NOT NULL,
+                    m3u_id TEXT NOT NULL,
+                    name TEXT,
+                    epg_id TEXT,
+                    score REAL,
+                    linked INTEGER DEFAULT 0,
+                    updated_at INTEGER,
+                    PRIMARY KEY (cache_key, m3u_id)
+                );
             `);
 
+            this.migrateProgramsSchema();
+            // I collegamenti automatici per nome sono ora salvati per cache in channel_matches
+            this.db.run("DELETE FROM channel_links WHERE source = 'auto'");
+            this.loadChannelLinks();
+
             console.log('✓ Schema database EPG inizializzato');
         } catch (error) {
             console.error('❌ Errore inizializzazione database:', error);
         }
     }
 
+    migrateProgramsSchema() {
+        // I database creati con lo schema originale non hanno i campi XMLTV estesi
+        const columns = this.db.exec('PRAGMA table_info(programs)');
+        const existing = new Set(columns[0]?.values.map(row => row[1]) || []);
+
+        Object.entries(PROGRAM_EXTRA_COLUMNS).forEach(([column, type]) => {
+            if (!existing.has(column)) {
+                this.db.run(`ALTER TABLE programs ADD COLUMN ${column} ${type}`);
+                console.log(`✓ Aggiunta colonna programs.${column}`);
+            }
+        });
+
+        // Numero logico del canale (<lcn>), assente nei database precedenti
+        const channelColumns = this.db.exec('PRAGMA table_info(epg_channels)');
+        if (!channelColumns[0]?.values.some(row => row[1] === 'lcn')) {
+            this.db.run('ALTER TABLE epg_channels ADD COLUMN lcn INTEGER');
+            console.log('✓ Aggiunta colonna epg_channels.lcn');
+        }
+    }
+
     saveDatabase() {
         try {
             const data = this.db.export();
@@ -93,6 +180,122 @@ class EPGManager {
         return id?.toLowerCase().replace(/[^\w.]/g, '').trim() || '';
     }
 
+    getLanguageCode(language) {
+        if (!language) return null;
+        return LANGUAGE_CODES[language] || language.substring(0, 2).toLowerCase();
+    }
+
+    getNodeText(node) {
+        if (node === undefined || node === null) return '';
+        if (typeof node === 'string') return node.trim();
+        return (node._ || node.$?.text || '').trim();
+    }
+
+    /**
+     * Raccoglie i testi di un elemento XMLTV multilingua (title, desc, sub-title)
+     * @param {Array} nodes - Nodi xml2js dell'elemento
+     * @returns {Object} - Mappa lang => testo, il primo elemento è anche sotto la chiave ''
+     */
+    getLocalizedTexts(nodes) {
+        const texts = {};
+        (nodes || []).forEach(node => {
+            const text = this.getNodeText(node);
+            if (!text) return;
+            if (!('' in texts)) texts[''] = text;
+            const lang = (node.$?.lang || '').toLowerCase();
+            if (lang && !(lang in texts)) texts[lang] = text;
+        });
+        return texts;
+    }
+
+    parseEpisodeNum(nodes) {
+        const episode = { xmltvNs: null, onscreen: null };
+        (nodes || []).forEach(node => {
+            const system = node.$?.system || 'xmltv_ns';
+            const text = this.getNodeText(node);
+            if (!text) return;
+            if (system === 'xmltv_ns' && !episode.xmltvNs) {
+                episode.xmltvNs = text.replace(/\s+/g, '');
+            } else if (system === 'onscreen' && !episode.onscreen) {
+                episode.onscreen = text;
+            }
+        });
+        return episode;
+    }
+
+    /**
+     * Converte il formato xmltv_ns (stagione.episodio.parte, a base zero) in SxxEyy
+     * @param {string} xmltvNs - Es. "2.4.0/1"
+     * @returns {string|null} - Es. "S03E05"
+     */
+    formatXmltvNs(xmltvNs) {
+        if (!xmltvNs) return null;
+        const [seasonPart, episodePart] = xmltvNs.split('.');
+        const season = parseInt((seasonPart || '').split('/')[0], 10);
+        const episode = parseInt((episodePart || '').split('/')[0], 10);
+
+        const parts = [];
+        if (!isNaN(season)) parts.push(`S${String(season + 1).padStart(2, '0')}`);
+        if (!isNaN(episode)) parts.push(`E${String(episode + 1).padStart(2, '0')}`);
+        return parts.length > 0 ? parts.join('') : null;
+    }
+
+    parseCredits(nodes) {
+        const creditsNode = nodes?.[0];
+        if (!creditsNode || typeof creditsNode !== 'object') return null;
+
+        const credits = {};
+        Object.entries(creditsNode).forEach(([role, people]) => {
+            if (role === '$' || role === '_' || !Array.isArray(people)) return;
+            const names = people.map(person => this.getNodeText(person)).filter(name => name);
+            if (names.length > 0) credits[role] = names;
+        });
+        return Object.keys(credits).length > 0 ? credits : null;
+    }
+
+    parseRating(nodes) {
+        const ratingNode = nodes?.[0];
+        if (!ratingNode) return null;
+        return this.getNodeText(ratingNode.value?.[0]) || this.getNodeText(ratingNode) || null;
+    }
+
+    pickLocalizedText(defaultText, texts, languageCode) {
+        if (languageCode && texts && texts[languageCode]) {
+            return texts[languageCode];
+        }
+        return defaultText;
+    }
+
+    mapProgramRow(row, languageCode) {
+        const [title, description, category, start, stop, subTitle, episodeNum,
+            episodeOnscreen, icon, rating, credits, date, previouslyShown, translations] = row;
+        let parsedTranslations = null;
+        let parsedCredits = null;
+        try {
+            parsedTranslations = translations ? JSON.parse(translations) : null;
+            parsedCredits = credits ? JSON.parse(credits) : null;
+        } catch (error) {
+            console.error('Errore parsing dati programma EPG:', error.message);
+        }
+
+        return {
+            title: this.pickLocalizedText(title, parsedTranslations?.title, languageCode),
+            description: this.pickLocalizedText(description, parsedTranslations?.desc, languageCode),
+            category,
+            start: this.formatDateIT(new Date(start)),
+            stop: this.formatDateIT(new Date(stop)),
+            startTime: start,
+            stopTime: stop,
+            subTitle: this.pickLocalizedText(subTitle, parsedTranslations?.subTitle, languageCode) || null,
+            episode: episodeOnscreen || this.formatXmltvNs(episodeNum),
+            icon: icon || null,
+            rating: rating || null,
+            credits: parsedCredits,
+            date: date || null,
+            isRerun: previouslyShown === 1
+        };
+    }
+
     validateAndSetTimezone() {
         const tzRegex = /^[+-]\d{1,2}:\d{2}$/;
         const timeZone = process.env.TIMEZONE_OFFSET || '+2:00';
@@ -161,12 +364,18 @@ class EPGManager {
         console.log('=== Inizializzazione EPG completata ===\\n');
     }
 
+    // Limite oltre il quale i programmi passati non servono più (né per la guida né per il catch-up)
+    getPastRetentionLimit() {
+        const retentionDays = config.epgSettings?.pastRetentionDays || 0;
+        return Date.now() - Math.max(retentionDays * 24 * 60 * 60 * 1000, 60 * 60 * 1000);
+    }
+
     cleanupOldPrograms() {
-        const oneHourAgo = Date.now() - 60 * 60 * 1000;
+        const retentionLimit = this.getPastRetentionLimit();
 
         console.log('\\n=== Pulizia Programmi EPG Obsoleti ===');
 
-        const result = this.db.run('DELETE FROM programs WHERE stop_time < ?', [oneHourAgo]);
+        const result = this.db.run('DELETE FROM programs WHERE stop_time < ?', [retentionLimit]);
 
         console.log(`✓ Rimossi ${result.changes || 0} programmi obsoleti`);
 
@@ -196,11 +405,19 @@ class EPGManager {
         console.log('✓ Pulizia periodica EPG schedulata (ogni 6 ore)');
     }
 
-    async downloadAndProcessEPG(epgUrl) {
+    /**
+     * Elabora una sorgente EPG, da un file già scaricato se disponibile
+     * @param {string} epgUrl - Sorgente EPG
+     * @param {string|null} filePath - File locale con il contenuto della sorgente
+     * @returns {Promise<boolean>} - false se download o parsing non sono andati a buon fine
+     */
+    async downloadAndProcessEPG(epgUrl, filePath = null) {
         console.log('\\nDownload EPG da:', epgUrl.trim());
         try {
-            const response = await axios.get(epgUrl.trim(), {
-                responseType: 'arraybuffer',
+            const { stream, size } = filePath ? {
+                stream: fs.createReadStream(filePath),
+                size: (await fs.promises.stat(filePath)).size
+            } : await openSourceStream(epgUrl, {
                 timeout: 100000,
                 headers: {
                     'User-Agent': 'Mozilla/5.0',
@@ -208,133 +425,311 @@ class EPGManager {
                 }
             });
 
-            let xmlString;
-            try {
-                xmlString = await gunzip(response.data);
-                xmlString = xmlString.toString('utf8');
-            } catch (gzipError) {
-                try {
-                    xmlString = zlib.inflateSync(response.data);
-                    xmlString = xmlString.toString('utf8');
-                } catch (zlibError) {
-                    xmlString = response.data.toString('utf8');
-                }
-            }
-
-            console.log('Inizio parsing XML...');
-            const xmlData = await parseStringPromise(xmlString);
-            console.log('Parsing XML completato');
+            this.progress = {
+                url: epgUrl.trim(),
+                bytesDownloaded: 0,
+                totalBytes: size,
+                channelsProcessed: 0,
+                programsProcessed: 0,
+                skippedOld: 0,
+                skippedFuture: 0
+            };
 
-            if (!xmlData || !xmlData.tv) {
-                throw new Error('Struttura XML EPG non valida');
-            }
+            const xmlStream = await this.createXMLStream(stream);
 
-            await this.processEPGInChunks(xmlData);
+            console.log('Inizio parsing XML in streaming...');
+            await this.processEPGStream(xmlStream);
+            console.log('Parsing XML completato');
+            return true;
         } catch (error) {
             console.error(`❌ Errore EPG: ${error.message}`);
+            return false;
         }
     }
 
-    async processEPGInChunks(data) {
-        console.log('Inizio processamento EPG...');
+    /**
+     * Restituisce lo stream XML decompresso (gzip, deflate o testo semplice),
+     * riconoscendo la compressione dai primi byte e contando i byte scaricati
+     * @param {Stream} source - Stream della risposta HTTP o del file locale
+     * @returns {Promise<Stream>}
+     */
+    async createXMLStream(source) {
+        const counter = new Transform({
+            transform: (chunk, encoding, callback) => {
+                this.progress.bytesDownloaded += chunk.length;
+                callback(null, chunk);
+            }
+        });
+        source.on('error', error => counter.destroy(error));
+        source.pipe(counter);
+
+        const header = await new Promise((resolve, reject) => {
+            const cleanup = () => {
+                counter.removeListener('readable', onReadable);
+                counter.removeListener('end', onEnd);
+                counter.removeListener('error', onError);
+            };
+            const onReadable = () => {
+                cleanup();
+                const chunk = counter.read();
+                if (chunk) counter.unshift(chunk);
+                resolve(chunk);
+            };
+            const onEnd = () => {
+                cleanup();
+                resolve(null);
+            };
+            const onError = error => {
+                cleanup();
+                reject(error);
+            };
+            counter.once('readable', onReadable);
+            counter.once('end', onEnd);
+            counter.once('error', onError);
+        });
 
-        if (!data.tv) {
-            console.error('❌ Errore: Nessun oggetto tv trovato nel file EPG');
-            return;
+        let decompressor = null;
+        if (header && header[0] === 0x1f && header[1] === 0x8b) {
+            console.log('File EPG compresso (gzip)');
+            decompressor = zlib.createGunzip();
+        } else if (header && header[0] === 0x78) {
+            console.log('File EPG compresso (deflate)');
+            decompressor = zlib.createInflate();
         }
 
-        // Processa icone
-        if (data.tv && data.tv.channel) {
-            console.log(`Trovati ${data.tv.channel.length} canali nel file EPG`);
+        if (!decompressor) {
+            return counter;
+        }
 
-            const stmt = this.db.prepare('INSERT OR REPLACE INTO channel_icons (channel_id, icon_url) VALUES (?, ?)');
+        counter.on('error', error => decompressor.destroy(error));
+        return counter.pipe(decompressor);
+    }
 
-            for (const channel of data.tv.channel) {
-                const id = this.normalizeId(channel.$.id);
-                const icon = channel.icon?.[0]?.$?.src;
-                if (id && icon) {
-                    stmt.run([id, icon]);
-                }
-            }
-            stmt.free();
+    /**
+     * Converte un elemento raccolto dal parser SAX nella stessa forma prodotta da xml2js
+     * (testo semplice, oppure oggetto con $ per gli attributi, _ per il testo e array per i figli)
+     */
+    toXMLNode(element) {
+        const hasAttributes = Object.keys(element.attributes).length > 0;
+        const hasChildren = Object.keys(element.children).length > 0;
+        const text = element.text.trim();
+
+        if (!hasAttributes && !hasChildren) {
+            return text;
         }
 
-        if (!data.tv || !data.tv.programme) {
-            console.error('❌ Errore: Nessun programma trovato nel file EPG');
-            return;
-        }
+        const node = { ...element.children };
+        if (hasAttributes) node.$ = element.attributes;
+        if (text) node._ = text;
+        return node;
+    }
+
+    /**
+     * Analizza l'XMLTV in streaming: ogni <channel> e <programme> viene elaborato appena
+     * chiuso e i programmi vengono inseriti nel database a blocchi di CHUNK_SIZE,
+     * così la memoria occupata non dipende dalla dimensione della guida
+     * @param {Stream} xmlStream - Stream XML decompresso
+     * @returns {Promise<void>}
+     */
+    processEPGStream(xmlStream) {
+        return new Promise((resolve, reject) => {
+            console.log('Inizio processamento EPG...');
+
+            const saxStream = sax.createStream(true, { trim: false, normalize: false });
+            const stack = [];
+            const now = Date.now();
+            const limits = {
+                retentionLimit: this.getPastRetentionLimit(),
+                sevenDaysFromNow: now + 7 * 24 * 60 * 60 * 1000
+            };
+
+            const iconStmt = this.db.prepare('INSERT OR REPLACE INTO channel_icons (channel_id, icon_url) VALUES (?, ?)');
+            const displayNameStmt = this.db.prepare('INSERT OR REPLACE INTO epg_channels (channel_id, display_names, lcn) VALUES (?, ?, ?)');
+            const programStmt = this.db.prepare(`
+                INSERT OR REPLACE INTO programs 
+                (channel_id, start_time, stop_time, title, description, category,
+                 sub_title, episode_num, episode_onscreen, icon, rating, credits, date,
+                 previously_shown, translations)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            let pendingPrograms = [];
+            let parseErrors = 0;
+            let finished = false;
+
+            const flushPrograms = () => {
+                if (pendingPrograms.length === 0) return;
+                this.db.run('BEGIN TRANSACTION');
+                pendingPrograms.forEach(row => programStmt.run(row));
+                this.db.run('COMMIT');
 
-        const programs = data.tv.programme;
-        let totalProcessed = 0;
+                const previous = this.progress.programsProcessed;
+                this.progress.programsProcessed += pendingPrograms.length;
+                pendingPrograms = [];
 
-        console.log(`\\nProcessamento di ${programs.length} voci EPG in blocchi di ${this.CHUNK_SIZE}`);
+                if (Math.floor(this.progress.programsProcessed / 50000) > Math.floor(previous / 50000)) {
+                    console.log(`Progresso: processate ${this.progress.programsProcessed} voci...`);
+                }
+            };
 
-        // Definisci limiti temporali
-        const now = new Date();
-        const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000);
-        const sevenDaysFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-        let skippedOld = 0;
-        let skippedFuture = 0;
+            const finish = (error) => {
+                if (finished) return;
+                finished = true;
 
-        // Prepara statement
-        const stmt = this.db.prepare(`
-            INSERT OR REPLACE INTO programs 
-            (channel_id, start_time, stop_time, title, description, category)
-            VALUES (?, ?, ?, ?, ?, ?)
-        `);
+                try {
+                    if (!error) flushPrograms();
+                } catch (flushError) {
+                    error = flushError;
+                }
+                iconStmt.free();
+                displayNameStmt.free();
+                programStmt.free();
+
+                if (error) {
+                    reject(error);
+                    return;
+                }
+
+                // Salva database
+                this.saveDatabase();
+
+                const { channelsProcessed, programsProcessed, skippedOld, skippedFuture } = this.progress;
+                console.log('\\nRiepilogo Processamento EPG:');
+                console.log(`✓ Canali trovati nel file EPG: ${channelsProcessed}`);
+                console.log(`✓ Totale voci processate: ${programsProcessed}`);
+                console.log(`✓ Programmi vecchi saltati: ${skippedOld}`);
+                console.log(`✓ Programmi futuri saltati (oltre 7 giorni): ${skippedFuture}`);
+                if (parseErrors > 0) {
+                    console.log(`⚠️  Errori XML ignorati: ${parseErrors}`);
+                }
+                resolve();
+            };
+
+            saxStream.on('opentag', tag => {
+                // Raccoglie solo il contenuto di <channel> e <programme>
+                if (stack.length === 0 && tag.name !== 'programme' && tag.name !== 'channel') return;
+                stack.push({ name: tag.name, attributes: tag.attributes, text: '', children: {} });
+            });
 
-        for (let i = 0; i < programs.length; i += this.CHUNK_SIZE) {
-            const chunk = programs.slice(i, i + this.CHUNK_SIZE);
+            const onText = text => {
+                if (stack.length > 0) stack[stack.length - 1].text += text;
+            };
+            saxStream.on('text', onText);
+            saxStream.on('cdata', onText);
 
-            for (const program of chunk) {
-                const channelId = this.normalizeId(program.$.channel);
-                const start = this.parseEPGDate(program.$.start);
-                const stop = this.parseEPGDate(program.$.stop);
+            saxStream.on('closetag', () => {
+                if (stack.length === 0) return;
 
-                if (!start || !stop) continue;
+                const element = stack.pop();
+                const node = this.toXMLNode(element);
 
-                // Salta programmi troppo vecchi
-                if (stop < oneHourAgo) {
-                    skippedOld++;
-                    continue;
+                if (stack.length > 0) {
+                    const parent = stack[stack.length - 1];
+                    (parent.children[element.name] = parent.children[element.name] || []).push(node);
+                    return;
                 }
 
-                // Salta programmi troppo lontani nel futuro
-                if (start > sevenDaysFromNow) {
-                    skippedFuture++;
-                    continue;
+                try {
+                    if (element.name === 'channel') {
+                        this.processEPGChannel(node, iconStmt, displayNameStmt);
+                    } else {
+                        const row = this.buildProgramRow(node, limits);
+                        if (row) {
+                            pendingPrograms.push(row);
+                            if (pendingPrograms.length >= this.CHUNK_SIZE) {
+                                flushPrograms();
+                            }
+                        }
+                    }
+                } catch (error) {
+                    xmlStream.destroy(error);
                 }
+            });
 
-                const title = program.title?.[0]?._ || program.title?.[0]?.$?.text || program.title?.[0] || 'Nessun Titolo';
-                const description = program.desc?.[0]?._ || program.desc?.[0]?.$?.text || program.desc?.[0] || '';
-                const category = program.category?.[0]?._ || program.category?.[0]?.$?.text || program.category?.[0] || '';
+            saxStream.on('error', () => {
+                // Gli XMLTV reali contengono spesso piccoli errori: si prosegue col parsing
+                parseErrors++;
+                saxStream._parser.error = null;
+                saxStream._parser.resume();
+            });
 
-                stmt.run([
-                    channelId,
-                    start.getTime(),
-                    stop.getTime(),
-                    title,
-                    description,
-                    category
-                ]);
-                totalProcessed++;
-            }
+            saxStream.on('end', () => finish());
+            xmlStream.on('error', error => finish(error));
 
-            if ((i + this.CHUNK_SIZE) % 50000 === 0) {
-                console.log(`Progresso: processate ${i + this.CHUNK_SIZE} voci...`);
-            }
+            xmlStream.pipe(saxStream);
+        });
+    }
+
+    processEPGChannel(channel, iconStmt, displayNameStmt) {
+        this.progress.channelsProcessed++;
+
+        const id = this.normalizeId(channel.$?.id);
+        const icon = channel.icon?.[0]?.$?.src;
+        if (id && icon) {
+            iconStmt.run([id, icon]);
         }
 
-        stmt.free();
+        // I display-name servono ad abbinare i canali M3U senza tvg-id corrispondente
+        const displayNames = Array.from(new Set(
+            (channel['display-name'] || []).map(node => this.getNodeText(node)).filter(Boolean)
+        ));
+        // <lcn> (numero logico del canale) serve alla numerazione dei cataloghi
+        const lcn = parseInt(this.getNodeText(channel.lcn?.[0]), 10);
+        if (id && (displayNames.length > 0 || lcn > 0)) {
+            displayNameStmt.run([id, JSON.stringify(displayNames), lcn > 0 ? lcn : null]);
+        }
+    }
 
-        // Salva database
-        this.saveDatabase();
+    buildProgramRow(program, limits) {
+        const channelId = this.normalizeId(program.$?.channel);
+        const start = this.parseEPGDate(program.$?.start);
+        const stop = this.parseEPGDate(program.$?.stop);
+
+        if (!channelId || !start || !stop) return null;
+
+        // Salta programmi troppo vecchi
+        if (stop.getTime() < limits.retentionLimit) {
+            this.progress.skippedOld++;
+            return null;
+        }
 
-        console.log('\\nRiepilogo Processamento EPG:');
-        console.log(`✓ Totale voci processate: ${totalProcessed}`);
-        console.log(`✓ Programmi vecchi saltati: ${skippedOld}`);
-        console.log(`✓ Programmi futuri saltati (oltre 7 giorni): ${skippedFuture}`);
-        console.log(`✓ Risparmio memoria stimato: ~${((skippedOld + skippedFuture) * 0.5).toFixed(1)} KB`);
+        // Salta programmi troppo lontani nel futuro
+        if (start.getTime() > limits.sevenDaysFromNow) {
+            this.progress.skippedFuture++;
+            return null;
+        }
+
+        const titles = this.getLocalizedTexts(program.title);
+        const descriptions = this.getLocalizedTexts(program.desc);
+        const subTitles = this.getLocalizedTexts(program['sub-title']);
+        const category = this.getNodeText(program.category?.[0]);
+        const episode = this.parseEpisodeNum(program['episode-num']);
+        const credits = this.parseCredits(program.credits);
+
+        // Le traduzioni vengono salvate se almeno un testo indica la lingua (attributo lang)
+        const hasLanguages = texts => Object.keys(texts).some(lang => lang !== '');
+        const translations = {};
+        if (hasLanguages(titles)) translations.title = titles;
+        if (hasLanguages(descriptions)) translations.desc = descriptions;
+        if (hasLanguages(subTitles)) translations.subTitle = subTitles;
+
+        return [
+            channelId,
+            start.getTime(),
+            stop.getTime(),
+            titles[''] || 'Nessun Titolo',
+            descriptions[''] || '',
+            category,
+            subTitles[''] || null,
+            episode.xmltvNs,
+            episode.onscreen,
+            program.icon?.[0]?.$?.src || null,
+            this.parseRating(program.rating),
+            credits ? JSON.stringify(credits) : null,
+            this.getNodeText(program.date?.[0]) || null,
+            program['previously-shown'] ? 1 : 0,
+            Object.keys(translations).length > 0 ? JSON.stringify(translations) : null
+        ];
     }
 
     async readExternalFile(url) {
@@ -354,17 +749,23 @@ class EPGManager {
                 return [url];
             }
 
-            const response = await axios.get(url.trim());
-            const content = response.data;
+            // Legge solo l'inizio della sorgente: un file XMLTV non va scaricato due volte
+            const { stream } = await openSourceStream(url, { timeout: 100000 });
+            let content = '';
+            for await (const chunk of stream) {
+                if (content === '' && chunk[0] === 0x1f && chunk[1] === 0x8b) {
+                    console.log('File gzipped EPG trovato');
+                    return [url];
+                }
 
-            if (typeof content === 'string' &&
-                (content.includes('<?xml') || content.includes('<tv'))) {
-                console.log('File EPG trovato direttamente');
-                return [url];
+                content += chunk.toString();
+                if (content.includes('<?xml') || content.includes('<tv')) {
+                    console.log('File EPG trovato direttamente');
+                    return [url];
+                }
             }
 
-            const urls = content.split('\n')
-                .filter(line => line.trim() !== '' && line.startsWith('http'));
+            const urls = parseSourceList(content);
 
             if (urls.length > 0) {
                 console.log('Lista URLs trovata:', urls);
@@ -380,6 +781,64 @@ class EPGManager {
         }
     }
 
+    getMetadata(key) {
+        const result = this.db.exec('SELECT value FROM metadata WHERE key = ?', [key]);
+        return result[0]?.values[0]?.[0] ?? null;
+    }
+
+    getSourceState(url) {
+        try {
+            return JSON.parse(this.getMetadata(`source:${url}`));
+        } catch {
+            return null;
+        }
+    }
+
+    saveSourceStates(epgUrls, results) {
+        this.db.run("DELETE FROM metadata WHERE key LIKE 'source:%'");
+        results
+            .filter(result => result.validators)
+            .forEach(result => {
+                this.db.run('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)',
+                    [`source:${result.url}`, JSON.stringify(result.validators)]);
+            });
+        this.db.run('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)', ['epg_sources', JSON.stringify(epgUrls)]);
+    }
+
+    /**
+     * Scarica le sorgenti EPG con richieste condizionali (ETag, Last-Modified) e confronto dell'hash.
+     * I file scaricati restano in temp/ per l'elaborazione, così ogni sorgente viene scaricata una volta sola.
+     * @param {Array<string>} epgUrls - Sorgenti EPG
+     * @returns {Promise<{unchanged: boolean, results: Array}>} - unchanged se nessuna sorgente è cambiata
+     */
+    async checkEPGSources(epgUrls) {
+        // Con sorgenti diverse dall'ultimo aggiornamento, o un database vuoto, l'EPG va comunque ricostruito
+        // (isEPGAvailable qui non serve: durante l'aggiornamento restituisce sempre false)
+        const programsCount = this.db.exec('SELECT COUNT(*) FROM programs')[0]?.values[0]?.[0] || 0;
+        const sameSources = this.getMetadata('epg_sources') === JSON.stringify(epgUrls) && programsCount > 0;
+        const results = [];
+
+        for (const [index, epgUrl] of epgUrls.entries()) {
+            const previous = sameSources ? this.getSourceState(epgUrl) : null;
+            const targetPath = path.join(this.tempDir, `epg_${Date.now()}_${index}.xml`);
+
+            try {
+                const result = await downloadSource(epgUrl, previous, targetPath, {
+                    timeout: 100000,
+                    headers: { 'User-Agent': 'Mozilla/5.0' }
+                });
+                console.log(`${result.unchanged ? '✓ Invariato' : '✓ Modificato'}: ${epgUrl}`);
+                results.push({ url: epgUrl, ...result });
+            } catch (error) {
+                console.error(`❌ Errore download EPG ${epgUrl}: ${error.message}`);
+                fs.promises.unlink(targetPath).catch(() => {});
+                results.push({ url: epgUrl, unchanged: false, filePath: null, validators: null });
+            }
+        }
+
+        return { unchanged: sameSources && results.every(result => result.unchanged), results };
+    }
+
     async startEPGUpdate(url) {
         if (this.isUpdating) {
             console.log('⚠️  Aggiornamento EPG già in corso, skip...');
@@ -388,6 +847,7 @@ class EPGManager {
 
         console.log('\\n=== Inizio Aggiornamento EPG ===');
         const startTime = Date.now();
+        let tempFiles = [];
 
         try {
             this.isUpdating = true;
@@ -396,15 +856,39 @@ class EPGManager {
             const epgUrls = await this.readExternalFile(url);
             console.log('URLs trovati:', epgUrls);
 
+            const check = await this.checkEPGSources(epgUrls);
+            tempFiles = check.results.map(result => result.filePath).filter(filePath => filePath?.startsWith(this.tempDir));
+            this.lastSourceCheck = {
+                checkedAt: Date.now(),
+                skipped: check.unchanged,
+                sources: check.results.map(({ url: sourceUrl, unchanged }) => ({ url: sourceUrl, unchanged }))
+            };
+
+            if (check.unchanged) {
+                console.log('✓ Sorgenti EPG invariate, aggiornamento saltato');
+                console.log('=== Aggiornamento EPG Completato ===\\n');
+                return;
+            }
+
             // Pulisci database
             this.db.run('DELETE FROM programs');
             this.db.run('DELETE FROM channel_icons');
-
-            for (const epgUrl of epgUrls) {
-                console.log('\\nProcesso URL EPG:', epgUrl);
-                await this.downloadAndProcessEPG(epgUrl);
+            this.db.run('DELETE FROM epg_channels');
+
+            const processed = [];
+            for (const result of check.results) {
+                console.log('\\nProcesso URL EPG:', result.url);
+                if (await this.downloadAndProcessEPG(result.url, result.filePath)) {
+                    processed.push(result);
+                } else {
+                    console.log(`⚠️ Sorgente EPG non elaborata, verrà riscaricata al prossimo aggiornamento: ${result.url}`);
+                }
             }
 
+            // I validatori vengono salvati solo per le sorgenti elaborate completamente:
+            // una sorgente troncata o corrotta non deve risultare invariata al controllo successivo
+            this.saveSourceStates(epgUrls, processed);
+
             const duration = ((Date.now() - startTime) / 1000).toFixed(1);
 
             const channelsCount = this.db.exec('SELECT COUNT(DISTINCT channel_id) as count FROM programs')[0]?.values[0]?.[0] || 0;
@@ -418,39 +902,38 @@ class EPGManager {
             console.log('\\n🧹 Esecuzione pulizia post-aggiornamento...');
             this.cleanupOldPrograms();
 
+            // La guida è cambiata: i canali di ogni cache vanno abbinati di nuovo
+            (global.CacheManager?.getManagers() || []).forEach(manager => {
+                this.checkMissingEPG(manager.getCachedData().channels, manager.cacheKey);
+            });
+
             console.log('=== Aggiornamento EPG Completato ===\\n');
 
         } catch (error) {
             console.error('❌ Errore dettagliato durante l\'aggiornamento EPG:', error);
             console.error('Stack:', error.stack);
         } finally {
+            tempFiles.forEach(filePath => fs.promises.unlink(filePath).catch(() => {}));
             this.isUpdating = false;
             this.lastUpdate = Date.now();
         }
     }
 
-    getCurrentProgram(channelId) {
+    getCurrentProgram(channelId, language = null, cacheKey = null) {
         if (!channelId || !this.db) return null;
-        const normalizedId = this.normalizeId(channelId);
+        const normalizedId = this.resolveChannelId(channelId, cacheKey);
         const now = Date.now();
 
         try {
             const result = this.db.exec(`
-                SELECT title, description, category, start_time, stop_time
+                SELECT ${PROGRAM_COLUMNS}
                 FROM programs
                 WHERE channel_id = ? AND start_time <= ? AND stop_time >= ?
                 LIMIT 1
             `, [normalizedId, now, now]);
 
             if (result.length > 0 && result[0].values.length > 0) {
-                const row = result[0].values[0];
-                return {
-                    title: row[0],
-                    description: row[1],
-                    category: row[2],
-                    start: this.formatDateIT(new Date(row[3])),
-                    stop: this.formatDateIT(new Date(row[4]))
-                };
+                return this.mapProgramRow(result[0].values[0], this.getLanguageCode(language));
             }
         } catch (error) {
             console.error('Errore getCurrentProgram:', error);
@@ -459,14 +942,14 @@ class EPGManager {
         return null;
     }
 
-    getUpcomingPrograms(channelId) {
+    getUpcomingPrograms(channelId, language = null, cacheKey = null) {
         if (!channelId || !this.db) return [];
-        const normalizedId = this.normalizeId(channelId);
+        const normalizedId = this.resolveChannelId(channelId, cacheKey);
         const now = Date.now();
 
         try {
             const result = this.db.exec(`
-                SELECT title, description, category, start_time, stop_time
+                SELECT ${PROGRAM_COLUMNS}
                 FROM programs
                 WHERE channel_id = ? AND start_time >= ?
                 ORDER BY start_time ASC
@@ -474,13 +957,8 @@ class EPGManager {
             `, [normalizedId, now]);
 
             if (result.length > 0) {
-                return result[0].values.map(row => ({
-                    title: row[0],
-                    description: row[1],
-                    category: row[2],
-                    start: this.formatDateIT(new Date(row[3])),
-                    stop: this.formatDateIT(new Date(row[4]))
-                }));
+                const languageCode = this.getLanguageCode(language);
+                return result[0].values.map(row => this.mapProgramRow(row, languageCode));
             }
         } catch (error) {
             console.error('Errore getUpcomingPrograms:', error);
@@ -489,9 +967,167 @@ class EPGManager {
         return [];
     }
 
-    getChannelIcon(channelId) {
+    /**
+     * Programmi già terminati di un canale, dal più recente, per il catch-up
+     * @param {string} channelId - Id EPG del canale
+     * @param {number} since - Timestamp minimo di inizio (ms)
+     * @param {string} language - Lingua preferita per i testi
+     * @param {string} cacheKey - Cache dell'utente, per i collegamenti automatici per nome
+     * @returns {Array<Object>}
+     */
+    getPastPrograms(channelId, since, language = null, cacheKey = null) {
+        if (!channelId || !this.db) return [];
+        const normalizedId = this.resolveChannelId(channelId, cacheKey);
+
+        try {
+            const result = this.db.exec(`
+                SELECT ${PROGRAM_COLUMNS}
+                FROM programs
+                WHERE channel_id = ? AND start_time >= ? AND stop_time <= ?
+                ORDER BY start_time DESC
+            `, [normalizedId, since, Date.now()]);
+
+            if (result.length > 0) {
+                const languageCode = this.getLanguageCode(language);
+                return result[0].values.map(row => this.mapProgramRow(row, languageCode));
+            }
+        } catch (error) {
+            console.error('Errore getPastPrograms:', error);
+        }
+
+        return [];
+    }
+
+    getProgramByStart(channelId, startTime, language = null, cacheKey = null) {
         if (!channelId || !this.db) return null;
-        const normalizedId = this.normalizeId(channelId);
+        const normalizedId = this.resolveChannelId(channelId, cacheKey);
+
+        try {
+            const result = this.db.exec(`
+                SELECT ${PROGRAM_COLUMNS}
+                FROM programs
+                WHERE channel_id = ? AND start_time = ?
+                LIMIT 1
+            `, [normalizedId, startTime]);
+
+            if (result.length > 0 && result[0].values.length > 0) {
+                return this.mapProgramRow(result[0].values[0], this.getLanguageCode(language));
+            }
+        } catch (error) {
+            console.error('Errore getProgramByStart:', error);
+        }
+
+        return null;
+    }
+
+    /**
+     * Programmi in onda ora su tutti i canali, indicizzati per channel_id
+     * @param {string} language - Lingua preferita per i testi
+     * @returns {Map<string, Object>}
+     */
+    getCurrentPrograms(language = null) {
+        const programs = new Map();
+        if (!this.db) return programs;
+        const now = Date.now();
+
+        try {
+            const result = this.db.exec(`
+                SELECT channel_id, ${PROGRAM_COLUMNS}
+                FROM programs
+                WHERE start_time <= ? AND stop_time >= ?
+                ORDER BY start_time ASC
+            `, [now, now]);
+
+            if (result.length > 0) {
+                const languageCode = this.getLanguageCode(language);
+                result[0].values.forEach(([channelId, ...row]) => {
+                    if (!programs.has(channelId)) {
+                        programs.set(channelId, this.mapProgramRow(row, languageCode));
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('Errore getCurrentPrograms:', error);
+        }
+
+        return programs;
+    }
+
+    /**
+     * Programmi che iniziano entro le prossime ore, opzionalmente filtrati per categoria
+     * @param {number} hours - Ampiezza della finestra in ore
+     * @param {string} category - Categoria EPG (confronto senza maiuscole)
+     * @param {string} language - Lingua preferita per i testi
+     * @returns {Array<Object>} - Programmi ordinati per orario di inizio, con channelId
+     */
+    getProgramsStartingWithin(hours, category = null, language = null) {
+        if (!this.db) return [];
+        const now = Date.now();
+        const until = now + hours * 60 * 60 * 1000;
+
+        try {
+            const params = [now, until];
+            let categoryClause = '';
+            if (category) {
+                categoryClause = 'AND LOWER(category) = LOWER(?)';
+                params.push(category);
+            }
+
+            const result = this.db.exec(`
+                SELECT channel_id, ${PROGRAM_COLUMNS}
+                FROM programs
+                WHERE start_time > ? AND start_time <= ? ${categoryClause}
+                ORDER BY start_time ASC
+            `, params);
+
+            if (result.length > 0) {
+                const languageCode = this.getLanguageCode(language);
+                return result[0].values.map(([channelId, ...row]) => ({
+                    channelId,
+                    ...this.mapProgramRow(row, languageCode)
+                }));
+            }
+        } catch (error) {
+            console.error('Errore getProgramsStartingWithin:', error);
+        }
+
+        return [];
+    }
+
+    /**
+     * Categorie EPG dei programmi che iniziano entro le prossime ore, dalla più frequente
+     * @param {number} hours - Ampiezza della finestra in ore
+     * @returns {Array<string>}
+     */
+    getUpcomingCategories(hours) {
+        if (!this.db) return [];
+        const now = Date.now();
+        const until = now + hours * 60 * 60 * 1000;
+
+        try {
+            const result = this.db.exec(`
+                SELECT category, COUNT(*) AS total
+                FROM programs
+                WHERE start_time > ? AND start_time <= ?
+                    AND category IS NOT NULL AND category != ''
+                GROUP BY category
+                ORDER BY total DESC, category ASC
+                LIMIT 100
+            `, [now, until]);
+
+            if (result.length > 0) {
+                return result[0].values.map(([category]) => category);
+            }
+        } catch (error) {
+            console.error('Errore getUpcomingCategories:', error);
+        }
+
+        return [];
+    }
+
+    getChannelIcon(channelId, cacheKey = null) {
+        if (!channelId || !this.db) return null;
+        const normalizedId = this.resolveChannelId(channelId, cacheKey);
 
         try {
             const result = this.db.exec(`
@@ -544,47 +1180,337 @@ class EPGManager {
             }
         }
 
+        let progress = null;
+        if (this.progress) {
+            const { bytesDownloaded, totalBytes } = this.progress;
+            progress = {
+                ...this.progress,
+                percent: totalBytes ? Math.min(100, Math.round((bytesDownloaded / totalBytes) * 100)) : null
+            };
+        }
+
         return {
             isUpdating: this.isUpdating,
             lastUpdate: this.lastUpdate ? this.formatDateIT(new Date(this.lastUpdate)) : 'Mai',
+            progress,
             channelsCount,
             iconsCount,
             programsCount,
             timezone: this.timeZoneOffset,
+            lastSourceCheck: this.lastSourceCheck,
+            lastMatch: this.lastMatch,
+            linkedChannels: this.channelLinks.size,
+            autoLinkedChannels: Array.from(this.channelMatches.values()).reduce((total, matches) => total + matches.size, 0),
             storageType: 'SQLite (Disk)'
         };
     }
 
-    checkMissingEPG(m3uChannels) {
-        if (!this.db) return;
+    loadChannelLinks() {
+        this.channelLinks.clear();
+        const result = this.db.exec('SELECT m3u_id, epg_id, score, source, updated_at FROM channel_links');
+        (result[0]?.values || []).forEach(([m3uId, epgId, score, source, updatedAt]) => {
+            this.channelLinks.set(m3uId, { epgId, score, source, updatedAt });
+        });
+
+        this.channelMatches.clear();
+        const matches = this.db.exec('SELECT cache_key, m3u_id, epg_id, score, updated_at FROM channel_matches WHERE linked = 1');
+        (matches[0]?.values || []).forEach(([cacheKey, m3uId, epgId, score, updatedAt]) => {
+            if (!this.channelMatches.has(cacheKey)) this.channelMatches.set(cacheKey, new Map());
+            this.channelMatches.get(cacheKey).set(m3uId, { epgId, score, updatedAt });
+        });
+    }
+
+    /**
+     * Id EPG da usare per un canale: la regola manuale se presente, poi il collegamento automatico
+     * della cache dell'utente, altrimenti il tvg-id normalizzato
+     * @param {string} channelId - tvg-id del canale
+     * @param {string} cacheKey - Cache dell'utente
+     * @returns {string}
+     */
+    resolveChannelId(channelId, cacheKey = null) {
+        const normalizedId = this.normalizeId(channelId);
+        return this.channelLinks.get(normalizedId)?.epgId ||
+            this.channelMatches.get(cacheKey)?.get(normalizedId)?.epgId ||
+            normalizedId;
+    }
+
+    getEPGChannels() {
+        const result = this.db.exec('SELECT channel_id, display_names FROM epg_channels');
+        return (result[0]?.values || []).map(([id, displayNames]) => {
+            try {
+                return { id, names: JSON.parse(displayNames) };
+            } catch {
+                return { id, names: [] };
+            }
+        });
+    }
+
+    /**
+     * Numeri logici (<lcn>) dei canali EPG
+     * @returns {Map<string, number>} - Id EPG -> numero
+     */
+    getChannelLcns() {
+        const lcns = new Map();
+        if (!this.db) return lcns;
 
         try {
-            const result = this.db.exec('SELECT DISTINCT channel_id FROM programs');
-            const epgChannels = result[0]?.values.map(row => row[0]) || [];
-            const missingEPG = [];
-
-            m3uChannels.forEach(ch => {
-                const tvgId = ch.streamInfo?.tvg?.id;
-                if (tvgId) {
-                    const normalizedTvgId = this.normalizeId(tvgId);
-                    if (!epgChannels.some(epgId => this.normalizeId(epgId) === normalizedTvgId)) {
-                        missingEPG.push(ch);
-                    }
+            const result = this.db.exec('SELECT channel_id, lcn FROM epg_channels WHERE lcn IS NOT NULL');
+            (result[0]?.values || []).forEach(([id, lcn]) => lcns.set(id, lcn));
+        } catch (error) {
+            console.error('Errore getChannelLcns:', error);
+        }
+        return lcns;
+    }
+
+    /**
+     * Abbina i canali M3U senza guida di una cache ai canali EPG per somiglianza dei nomi (display-name).
+     * Sopra la soglia matchThreshold il collegamento è automatico, ma vale solo per quella cache;
+     * i candidati sopra suggestThreshold finiscono nel remapping suggerito (/api/epg-suggestions).
+     * @param {Array} m3uChannels - Canali della playlist
+     * @param {string} cacheKey - Cache a cui appartengono i canali
+     * @returns {{missing: number, linked: number, suggested: number}|undefined}
+     */
+    checkMissingEPG(m3uChannels, cacheKey) {
+        if (!this.db || !cacheKey) return;
+
+        try {
+            const epgChannels = this.getChannelsWithPrograms();
+            const { matchThreshold = 0.85, suggestThreshold = 0.5 } = config.epgSettings || {};
+
+            // I canali con una regola manuale non vengono ricalcolati
+            const seen = new Set();
+            const missingEPG = m3uChannels.filter(ch => {
+                const normalizedTvgId = this.normalizeId(ch.streamInfo?.tvg?.id);
+                if (!normalizedTvgId || seen.has(normalizedTvgId)) return false;
+                seen.add(normalizedTvgId);
+                return !epgChannels.has(normalizedTvgId) && !this.channelLinks.has(normalizedTvgId);
+            });
+
+            const matcher = new EPGMatcher(this.getEPGChannels().filter(channel => epgChannels.has(channel.id)));
+            const matches = new Map();
+            const updatedAt = Date.now();
+            let suggested = 0;
+
+            // I risultati precedenti della cache vengono sostituiti: i collegamenti a canali
+            // non più presenti nella guida spariscono con loro
+            this.db.run('DELETE FROM channel_matches WHERE cache_key = ?', [cacheKey]);
+            missingEPG.forEach(ch => {
+                const tvgId = ch.streamInfo.tvg.id;
+                const normalizedTvgId = this.normalizeId(tvgId);
+                const candidates = matcher.findCandidates([ch.name, ch.streamInfo.tvg.name, tvgId]);
+                const match = matcher.pickMatch(candidates, matchThreshold);
+                const best = match || (candidates[0]?.score >= suggestThreshold ? candidates[0] : null);
+
+                this.db.run(`
+                    INSERT INTO channel_matches (cache_key, m3u_id, name, epg_id, score, linked, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [cacheKey, normalizedTvgId, ch.name, best?.id ?? null, best?.score ?? null, match ? 1 : 0, updatedAt]);
+
+                if (match) {
+                    matches.set(normalizedTvgId, { epgId: match.id, score: match.score, updatedAt });
+                } else if (best) {
+                    suggested++;
                 }
             });
 
-            if (missingEPG.length > 0) {
-                console.log('\\n=== Canali M3U senza EPG ===');
-                missingEPG.forEach(ch => {
-                    console.log(`${ch.streamInfo?.tvg?.id}=`);
-                });
-                console.log(`✓ Totale canali M3U senza EPG: ${missingEPG.length}`);
-                console.log('=============================\\n');
-            }
+            this.channelMatches.set(cacheKey, matches);
+            this.saveDatabase();
+
+            this.lastMatch = { checkedAt: updatedAt, cacheKey, missing: missingEPG.length, linked: matches.size, suggested };
+
+            console.log(`\\n=== Canali M3U senza EPG (cache ${cacheKey}) ===`);
+            console.log(`✓ Totale canali M3U senza EPG: ${missingEPG.length}`);
+            console.log(`✓ Collegati automaticamente per nome: ${matches.size}`);
+            console.log(`✓ Suggerimenti da rivedere in /api/epg-suggestions: ${suggested}`);
+            console.log('=============================\\n');
+            return { missing: missingEPG.length, linked: matches.size, suggested };
         } catch (error) {
             console.error('Errore checkMissingEPG:', error);
         }
     }
+
+    /**
+     * Remapping suggerito nel formato di link.epg.remapping: i collegamenti automatici sono attivi,
+     * gli altri candidati commentati. Senza cacheKey unisce i risultati di tutte le cache,
+     * preferendo per ogni canale il collegamento automatico o il candidato migliore.
+     * @param {string} cacheKey - Cache di cui mostrare i suggerimenti
+     * @returns {string|null}
+     */
+    getSuggestions(cacheKey = null) {
+        if (!this.db) return null;
+
+        const query = `
+            SELECT m3u_id, name, epg_id, score, linked, updated_at FROM channel_matches
+            ${cacheKey ? 'WHERE cache_key = ?' : ''}
+            ORDER BY linked DESC, score DESC
+        `;
+        const rows = this.db.exec(query, cacheKey ? [cacheKey] : [])[0]?.values || [];
+        if (rows.length === 0) return null;
+
+        const suggestions = new Map();
+        rows.forEach(([tvgId, name, epgId, score, linked]) => {
+            if (!suggestions.has(tvgId)) {
+                suggestions.set(tvgId, { tvgId, name, best: epgId ? { id: epgId, score } : null, linked: Boolean(linked) });
+            }
+        });
+
+        const lines = [
+            '# Remapping suggerito dal confronto dei nomi con i display-name della guida',
+            `# Generato il ${new Date(Math.max(...rows.map(row => row[5]))).toISOString()}`,
+            '# Le righe commentate sono candidati sotto la soglia di collegamento automatico',
+            ''
+        ];
+
+        Array.from(suggestions.values())
+            .sort((a, b) => a.tvgId.localeCompare(b.tvgId))
+            .forEach(({ tvgId, name, best, linked }) => {
+                if (!best) {
+                    lines.push(`# ${tvgId}=    (${name}: nessun candidato)`);
+                    return;
+                }
+                lines.push(`# ${name} → ${best.id} (${best.score})`);
+                lines.push(`${linked ? '' : '# '}${tvgId}=${best.id}`);
+            });
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Elimina collegamenti e suggerimenti di una cache rimossa
+    deleteCacheMatches(cacheKey) {
+        if (!this.db) return;
+        this.db.run('DELETE FROM channel_matches WHERE cache_key = ?', [cacheKey]);
+        this.channelMatches.delete(cacheKey);
+        this.saveDatabase();
+    }
+
+    /**
+     * Regole di remapping: quelle manuali (tabella channel_links) e, con includeAuto,
+     * i collegamenti automatici per nome di ogni cache (tabella channel_matches)
+     * @param {{includeAuto: boolean}} options - Includere i collegamenti automatici per nome
+     * @returns {Array<{m3uId: string, epgId: string, source: string, cacheKey: string|undefined, score: number|null, updatedAt: number|null, hasPrograms: boolean}>}
+     */
+    getRemappingRules({ includeAuto = false } = {}) {
+        const epgChannels = this.getChannelsWithPrograms();
+        const rules = Array.from(this.channelLinks.entries()).map(([m3uId, link]) => ({
+            m3uId,
+            epgId: link.epgId,
+            source: link.source,
+            score: link.score ?? null,
+            updatedAt: link.updatedAt ?? null,
+            hasPrograms: epgChannels.has(link.epgId)
+        }));
+
+        if (includeAuto) {
+            this.channelMatches.forEach((matches, cacheKey) => {
+                matches.forEach((link, m3uId) => {
+                    rules.push({
+                        m3uId,
+                        epgId: link.epgId,
+                        source: 'auto',
+                        cacheKey,
+                        score: link.score ?? null,
+                        updatedAt: link.updatedAt ?? null,
+                        hasPrograms: epgChannels.has(link.epgId)
+                    });
+                });
+            });
+        }
+
+        return rules.sort((a, b) => a.m3uId.localeCompare(b.m3uId));
+    }
+
+    /**
+     * Crea o aggiorna una regola manuale: ha effetto subito sulle ricerche EPG, senza ricostruire la playlist
+     * @param {string} m3uId - tvg-id del canale M3U
+     * @param {string} epgId - Id del canale nella guida
+     * @returns {Object} - Regola salvata
+     */
+    setRemappingRule(m3uId, epgId) {
+        const normalizedM3uId = this.normalizeId(m3uId);
+        const normalizedEpgId = this.normalizeId(epgId);
+        if (!normalizedM3uId || !normalizedEpgId) {
+            throw new Error('Id M3U e id EPG richiesti');
+        }
+
+        const updatedAt = Date.now();
+        this.db.run(`
+            INSERT OR REPLACE INTO channel_links (m3u_id, epg_id, score, source, updated_at)
+            VALUES (?, ?, NULL, 'manual', ?)
+        `, [normalizedM3uId, normalizedEpgId, updatedAt]);
+        this.channelLinks.set(normalizedM3uId, { epgId: normalizedEpgId, score: null, source: 'manual', updatedAt });
+        this.saveDatabase();
+
+        console.log(`✓ Remapping salvato: ${normalizedM3uId}=${normalizedEpgId}`);
+        return this.getRemappingRules().find(rule => rule.m3uId === normalizedM3uId);
+    }
+
+    deleteRemappingRule(m3uId) {
+        const normalizedM3uId = this.normalizeId(m3uId);
+        if (!this.channelLinks.has(normalizedM3uId)) return false;
+
+        this.db.run('DELETE FROM channel_links WHERE m3u_id = ?', [normalizedM3uId]);
+        this.channelLinks.delete(normalizedM3uId);
+        this.saveDatabase();
+
+        console.log(`✓ Remapping eliminato: ${normalizedM3uId}`);
+        return true;
+    }
+
+    getChannelsWithPrograms() {
+        if (!this.db) return new Set();
+        const result = this.db.exec('SELECT DISTINCT channel_id FROM programs');
+        return new Set(result[0]?.values.map(row => row[0]) || []);
+    }
+
+    /**
+     * Canali della guida per il selettore del remapping, filtrati per id o display-name
+     * @param {string} search - Testo da cercare
+     * @param {number} limit - Numero massimo di risultati
+     * @returns {Array<{id: string, names: Array<string>, hasPrograms: boolean}>}
+     */
+    searchEPGChannels(search = '', limit = 50) {
+        if (!this.db) return [];
+        const epgChannels = this.getChannelsWithPrograms();
+        const query = String(search).toLowerCase().trim();
+
+        // Anche i canali con programmi ma senza <channel> nella guida sono selezionabili
+        const channels = new Map(this.getEPGChannels().map(channel => [channel.id, channel.names]));
+        epgChannels.forEach(id => {
+            if (!channels.has(id)) channels.set(id, []);
+        });
+
+        return Array.from(channels.entries())
+            .filter(([id, names]) => !query || id.includes(query) || names.some(name => name.toLowerCase().includes(query)))
+            .sort(([a], [b]) => a.localeCompare(b))
+            .slice(0, limit)
+            .map(([id, names]) => ({ id, names, hasPrograms: epgChannels.has(id) }));
+    }
+
+    /**
+     * Stato EPG dei canali di una playlist, per la tabella di remapping
+     * @param {Array} m3uChannels - Canali in cache
+     * @param {string} cacheKey - Cache a cui appartengono i canali
+     * @returns {Array<{id: string, name: string, tvgId: string, epgId: string, source: string|null, hasPrograms: boolean}>}
+     */
+    getChannelsEPGStatus(m3uChannels, cacheKey = null) {
+        const epgChannels = this.getChannelsWithPrograms();
+        return m3uChannels
+            .filter(channel => channel.streamInfo?.tvg?.id)
+            .map(channel => {
+                const tvgId = this.normalizeId(channel.streamInfo.tvg.id);
+                const epgId = this.resolveChannelId(tvgId, cacheKey);
+                const source = this.channelLinks.get(tvgId)?.source ||
+                    (this.channelMatches.get(cacheKey)?.has(tvgId) ? 'auto' : null);
+                return {
+                    id: channel.id,
+                    name: channel.name,
+                    tvgId,
+                    epgId,
+                    source,
+                    hasPrograms: epgChannels.has(epgId)
+                };
+            });
+    }
 }
 
 module.exports = new EPGManager();
@@ -0,0 +1,134 @@
+// Indicazioni di qualità e formato che non fanno parte del nome del canale
+const QUALITY_TAGS = /\b(uhd|fhd|hd|sd|hq|lq|4k|8k|hevc|h\.?26[45]|x26[45]|\d{3,4}[pi]|\d{2,3}\s?fps|raw|backup|alt|vip)\b/gi;
+
+// Prefissi e suffissi di paese: "IT|", "IT:", "IT -", "[IT]", "(IT)", ".it" negli id
+const COUNTRY_PREFIX = /^\s*(?:\[[a-z]{2,3}\]|\([a-z]{2,3}\)|[a-z]{2,3}\s*[|:]|[a-z]{2,3}\s+-\s+)\s*/i;
+const COUNTRY_SUFFIX = /\s*(?:\[[a-z]{2,3}\]|\([a-z]{2,3}\)|\.[a-z]{2,3})\s*$/i;
+
+// Differenza minima dal secondo candidato perché un collegamento automatico non sia ambiguo
+const AMBIGUITY_MARGIN = 0.05;
+
+/**
+ * Forma confrontabile del nome di un canale: senza accenti, tag di qualità,
+ * prefissi di paese, punteggiatura e spazi
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeChannelName(name) {
+    let value = String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x00-\x7f]/g, ' ')
+        .toLowerCase();
+
+    value = value.replace(COUNTRY_PREFIX, '').replace(COUNTRY_SUFFIX, '');
+    value = value.replace(/[\[(][^\])]*[\])]/g, ' ');
+    value = value.replace(QUALITY_TAGS, ' ');
+    // I canali in differita ("+1") restano distinti dall'originale
+    return value.replace(/\+/g, 'plus').replace(/[^a-z0-9]/g, '');
+}
+
+function getBigrams(value) {
+    const bigrams = new Set();
+    for (let i = 0; i < value.length - 1; i++) {
+        bigrams.add(value.substring(i, i + 2));
+    }
+    return bigrams;
+}
+
+function getNumbers(value) {
+    return (value.match(/\d+/g) || []).join(',');
+}
+
+/**
+ * Indice dei nomi EPG per il confronto approssimato (coefficiente di Dice sui bigrammi)
+ * @param {Array<{id: string, names: Array<string>}>} epgChannels - Canali della guida con i display-name
+ */
+class EPGMatcher {
+    constructor(epgChannels = []) {
+        this.entries = [];
+        this.exact = new Map();
+        this.index = new Map();
+
+        epgChannels.forEach(({ id, names }) => {
+            new Set([...names, id].map(normalizeChannelName)).forEach(normalized => {
+                if (normalized.length < 2) return;
+
+                const entryIndex = this.entries.length;
+                const bigrams = getBigrams(normalized);
+                this.entries.push({ id, normalized, size: bigrams.size, numbers: getNumbers(normalized) });
+
+                if (!this.exact.has(normalized)) this.exact.set(normalized, id);
+                bigrams.forEach(bigram => {
+                    if (!this.index.has(bigram)) this.index.set(bigram, []);
+                    this.index.get(bigram).push(entryIndex);
+                });
+            });
+        });
+    }
+
+    // Punteggio migliore per ogni canale EPG rispetto a un nome normalizzato
+    scoreName(normalized, scores) {
+        if (normalized.length < 2) return;
+
+        const exactId = this.exact.get(normalized);
+        if (exactId) {
+            scores.set(exactId, 1);
+            return;
+        }
+
+        const bigrams = getBigrams(normalized);
+        const common = new Map();
+        bigrams.forEach(bigram => {
+            (this.index.get(bigram) || []).forEach(entryIndex => {
+                common.set(entryIndex, (common.get(entryIndex) || 0) + 1);
+            });
+        });
+
+        const numbers = getNumbers(normalized);
+        common.forEach((count, entryIndex) => {
+            const entry = this.entries[entryIndex];
+            let score = (2 * count) / (bigrams.size + entry.size);
+            // "Rai 1" e "Rai 2" sono canali diversi anche se i nomi si somigliano
+            if (entry.numbers !== numbers) score *= 0.5;
+            if (score > (scores.get(entry.id) || 0)) {
+                scores.set(entry.id, score);
+            }
+        });
+    }
+
+    /**
+     * Candidati EPG per un canale, dal più probabile
+     * @param {Array<string>} names - Nome, tvg-name e tvg-id del canale
+     * @param {number} limit - Numero massimo di candidati
+     * @returns {Array<{id: string, score: number}>}
+     */
+    findCandidates(names, limit = 3) {
+        const scores = new Map();
+        new Set(names.filter(Boolean).map(normalizeChannelName))
+            .forEach(normalized => this.scoreName(normalized, scores));
+
+        return Array.from(scores.entries())
+            .map(([id, score]) => ({ id, score: Math.round(score * 1000) / 1000 }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Miglior candidato, solo se supera la soglia e non è ambiguo
+     * @param {Array<{id: string, score: number}>} candidates - Risultato di findCandidates
+     * @param {number} threshold - Soglia di confidenza (0-1)
+     * @returns {{id: string, score: number}|null}
+     */
+    pickMatch(candidates, threshold) {
+        const [best, second] = candidates;
+        if (!best || best.score < threshold) return null;
+        if (second && best.score < 1 && best.score - second.score < AMBIGUITY_MARGIN) return null;
+        return best;
+    }
+}
+
+module.exports = {
+    normalizeChannelName,
+    EPGMatcher
+};
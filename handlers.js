@@ -2,6 +2,12 @@ const config = require('./config');
 const EPGManager = require('./epg-manager');
 const StreamProxyManager = require('./stream-proxy-manager')(config);
 const ResolverStreamManager = require('./resolver-stream-manager')(config);
+const { resolveCatalogFilter } = require('./catalog-builder');
+const { buildStreamBehaviorHints } = require('./stream-hints');
+const { sortByQuality } = require('./quality-variants');
+const { getChannelNumbers, sortByNumber, filterByRange } = require('./channel-numbering');
+const { getCatchupStreams, parseCatchupVideoId, buildCatchupUrl } = require('./catchup-builder');
+const { createTranslator, getLanguageTag } = require('./messages');
 
 function getLanguageFromConfig(userConfig) {
     return userConfig.language || config.defaultLanguage || 'Italiana';
@@ -47,6 +53,31 @@ function cleanNameForImage(name) {
     return cleaned || 'No Name';
 }
 
+/**
+ * Normalizza l'extra del catalogo (genre, search, skip) della singola richiesta
+ * @param {Object} extra - Extra ricevuto da Stremio
+ * @returns {{search: string|null, genre: string|null, skip: number}}
+ */
+function parseCatalogExtra(extra = {}) {
+    let { search, genre, range, skip = 0 } = extra || {};
+
+    // Compatibilità con i vecchi client che inviano "genre=X&skip=N" come unico valore
+    if (genre && genre.includes('&skip')) {
+        const parts = genre.split('&skip');
+        genre = parts[0];
+        if (parts[1] && parts[1].startsWith('=')) {
+            skip = parts[1].substring(1);
+        }
+    }
+
+    return {
+        search: search ? String(search).trim() || null : null,
+        genre: genre || null,
+        range: range || null,
+        skip: Math.max(parseInt(skip, 10) || 0, 0)
+    };
+}
+
 async function catalogHandler({ type, id, extra, config: userConfig }) {
     try {
         if (!userConfig.m3u) {
@@ -55,14 +86,15 @@ async function catalogHandler({ type, id, extra, config: userConfig }) {
         }
 
         // Aggiorna sempre la configurazione
-        await global.CacheManager.updateConfig(userConfig);
+        const cacheManager = await global.CacheManager.getManager(userConfig);
+        await cacheManager.updateConfig(userConfig);
 
         // Se l'EPG è abilitato, inizializzalo
         if (userConfig.epg_enabled === 'true') {
             const epgToUse = userConfig.epg ||
-                (global.CacheManager.cache.epgUrls &&
-                    global.CacheManager.cache.epgUrls.length > 0
-                    ? global.CacheManager.cache.epgUrls.join(',')
+                (cacheManager.cache.epgUrls &&
+                    cacheManager.cache.epgUrls.length > 0
+                    ? cacheManager.cache.epgUrls.join(',')
                     : null);
 
             if (epgToUse) {
@@ -70,41 +102,82 @@ async function catalogHandler({ type, id, extra, config: userConfig }) {
             }
         }
 
-        let { search, genre, skip = 0 } = extra || {};
+        const { search, genre, range, skip } = parseCatalogExtra(extra);
+        const ITEMS_PER_PAGE = 100;
 
-        if (genre && genre.includes('&skip')) {
-            const parts = genre.split('&skip');
-            genre = parts[0];
-            if (parts[1] && parts[1].startsWith('=')) {
-                skip = parseInt(parts[1].substring(1)) || 0;
-            }
+        // Film e serie on-demand hanno un catalogo dedicato per tipo
+        if (type === 'movie' || type === 'series') {
+            const items = cacheManager.getFilteredVodItems(type, { genre, search });
+            return {
+                metas: items.slice(skip, skip + ITEMS_PER_PAGE).map(buildVodCatalogMeta),
+                genres: []
+            };
         }
 
-        // Se riceviamo un nuovo filtro (search o genre), lo salviamo
-        if (search) {
-            global.CacheManager.setLastFilter('search', search);
-        } else if (genre) {
-            global.CacheManager.setLastFilter('genre', genre);
-        } else if (!skip) {
-            // Se non c'è skip, significa che è una nuova richiesta senza filtri
-            global.CacheManager.clearLastFilter();
+        // I filtri dipendono solo dall'id del catalogo e dall'extra della richiesta corrente
+        const cachedData = cacheManager.getCachedData();
+        const catalogFilter = resolveCatalogFilter(id, userConfig, cachedData);
+
+        if (catalogFilter.empty) {
+            return { metas: [], genres: [] };
         }
 
-        skip = parseInt(skip) || 0;
-        const ITEMS_PER_PAGE = 100;
+        if (catalogFilter.epgCatalog) {
+            const metas = buildEPGCatalogMetas(catalogFilter, cachedData.channels, { search, genre }, userConfig, cacheManager.cacheKey);
+            return {
+                metas: metas.slice(skip, skip + ITEMS_PER_PAGE),
+                genres: []
+            };
+        }
+
+        let filteredChannels = cacheManager.getFilteredChannels({
+            genre: catalogFilter.genre || genre,
+            search,
+            playlistIndex: catalogFilter.playlistIndex
+        });
+
+        // Catalogo "Nuovi canali": dal più recente
+        if (catalogFilter.newChannels) {
+            const newChannelIds = global.CacheManager.channelHistory.getNewChannelIds(cacheManager.cacheKey);
+            filteredChannels = filteredChannels
+                .filter(channel => newChannelIds.has(channel.id))
+                .sort((a, b) => newChannelIds.get(b.id) - newChannelIds.get(a.id));
+        }
+
+        // Numerazione (numbering): ordine per numero ed extra "range" per saltare a un intervallo
+        const channelNumbers = getChannelNumbers(userConfig, cachedData.channels, cachedData.genres);
+        if (channelNumbers.size > 0) {
+            if (!catalogFilter.newChannels) {
+                filteredChannels = sortByNumber(filteredChannels, channelNumbers);
+            }
+            if (range) {
+                filteredChannels = filterByRange(filteredChannels, channelNumbers, range);
+            }
+        }
 
-        // Otteniamo i canali già filtrati
-        let filteredChannels = global.CacheManager.getFilteredChannels();
-        const cachedData = global.CacheManager.getCachedData();
+        // Preferenze del profilo: canali nascosti, ordine personalizzato e catalogo "Preferiti"
+        if (userConfig.profile || catalogFilter.favourites) {
+            filteredChannels = global.CacheManager.channelFavourites.apply(userConfig.profile, filteredChannels, {
+                favouritesOnly: Boolean(catalogFilter.favourites),
+                keepOrder: Boolean(catalogFilter.newChannels)
+            });
+        }
+
+        // Nasconde i canali i cui flussi sono risultati tutti non funzionanti all'ultima verifica
+        if (userConfig.hide_dead_channels === 'true') {
+            const prober = global.CacheManager.healthProber;
+            filteredChannels = filteredChannels.filter(channel => !prober.isChannelDead(channel));
+        }
 
         const paginatedChannels = filteredChannels.slice(skip, skip + ITEMS_PER_PAGE);
+        const t = createTranslator(getLanguageFromConfig(userConfig));
 
         const metas = paginatedChannels.map(channel => {
             const displayName = cleanNameForImage(channel.name);
             const encodedName = encodeURIComponent(displayName).replace(/%20/g, '+');
             const fallbackLogo = `https://dummyimage.com/500x500/590b8a/ffffff.jpg&text=${encodedName}`;
             const language = getLanguageFromConfig(userConfig);
-            const languageAbbr = language.substring(0, 3).toUpperCase();
+            const languageAbbr = getLanguageTag(language);
 
             const meta = {
                 id: channel.id,
@@ -113,10 +186,10 @@ async function catalogHandler({ type, id, extra, config: userConfig }) {
                 poster: channel.poster || fallbackLogo,
                 background: channel.background || fallbackLogo,
                 logo: channel.logo || fallbackLogo,
-                description: channel.description || `Canale: ${channel.name} - ID: ${channel.streamInfo?.tvg?.id}`,
+                description: channel.description || t('channelSummary', { name: channel.name, id: channel.streamInfo?.tvg?.id }),
                 genre: channel.genre,
                 posterShape: channel.posterShape || 'square',
-                releaseInfo: 'LIVE',
+                releaseInfo: t('live'),
                 behaviorHints: {
                     isLive: true,
                     ...channel.behaviorHints
@@ -124,12 +197,13 @@ async function catalogHandler({ type, id, extra, config: userConfig }) {
                 streamInfo: channel.streamInfo
             };
 
-            if (channel.streamInfo?.tvg?.chno) {
-                meta.name = `${channel.streamInfo.tvg.chno}. ${channel.name} [${languageAbbr}]`;
+            const channelNumber = channelNumbers.get(channel.id) ?? channel.streamInfo?.tvg?.chno;
+            if (channelNumber) {
+                meta.name = `${channelNumber}. ${channel.name} [${languageAbbr}]`;
             }
 
             if ((!meta.poster || !meta.background || !meta.logo) && channel.streamInfo?.tvg?.id) {
-                const epgIcon = EPGManager.getChannelIcon(channel.streamInfo.tvg.id);
+                const epgIcon = EPGManager.getChannelIcon(channel.streamInfo.tvg.id, cacheManager.cacheKey);
                 if (epgIcon) {
                     meta.poster = meta.poster || epgIcon;
                     meta.background = meta.background || epgIcon;
@@ -137,7 +211,7 @@ async function catalogHandler({ type, id, extra, config: userConfig }) {
                 }
             }
 
-            return enrichWithEPG(meta, channel.streamInfo?.tvg?.id, userConfig);
+            return enrichWithEPG(meta, channel.streamInfo?.tvg?.id, userConfig, cacheManager.cacheKey);
         });
 
         return {
@@ -151,37 +225,151 @@ async function catalogHandler({ type, id, extra, config: userConfig }) {
     }
 }
 
-function enrichWithEPG(meta, channelId, userConfig) {
+function buildVodCatalogMeta(item) {
+    const encodedName = encodeURIComponent(cleanNameForImage(item.name)).replace(/%20/g, '+');
+    const fallbackPoster = `https://dummyimage.com/500x750/590b8a/ffffff.jpg&text=${encodedName}`;
+
+    return {
+        id: item.id,
+        type: item.type,
+        name: item.name,
+        poster: item.poster || fallbackPoster,
+        background: item.background || item.poster || fallbackPoster,
+        posterShape: 'poster',
+        genre: item.genre,
+        releaseInfo: item.releaseInfo,
+        // Senza isLive Stremio tratta il contenuto come un normale video on-demand
+        behaviorHints: { ...item.behaviorHints }
+    };
+}
+
+function formatMinutesLeft(stopTime, t) {
+    const minutes = Math.max(Math.round((stopTime - Date.now()) / 60000), 0);
+    if (minutes < 60) return t('minutesLeft', { minutes });
+    return t('hoursLeft', { hours: Math.floor(minutes / 60), minutes: String(minutes % 60).padStart(2, '0') });
+}
+
+/**
+ * Costruisce le voci dei cataloghi "In onda ora" e "Prossimi programmi".
+ * Ogni voce mostra il programma ma usa l'id del canale, così apre lo stream live.
+ * @param {Object} catalogFilter - Filtro risolto dall'id del catalogo
+ * @param {Array} channels - Canali in cache dell'utente
+ * @param {{search: string|null, genre: string|null}} filters - Extra della richiesta
+ * @param {Object} userConfig - Configurazione utente
+ * @param {string} cacheKey - Cache dell'utente, per i collegamenti EPG automatici
+ * @returns {Array} - Metas non paginati
+ */
+function buildEPGCatalogMetas(catalogFilter, channels, { search, genre }, userConfig, cacheKey = null) {
+    const language = getLanguageFromConfig(userConfig);
+    const t = createTranslator(language);
+    let entries;
+
+    if (catalogFilter.epgCatalog === 'now') {
+        const currentPrograms = EPGManager.getCurrentPrograms(language);
+        entries = channels
+            .map(channel => ({
+                channel,
+                program: currentPrograms.get(EPGManager.resolveChannelId(channel.streamInfo?.tvg?.id, cacheKey))
+            }))
+            .filter(entry => entry.program);
+    } else {
+        const channelsByEpgId = new Map();
+        channels.forEach(channel => {
+            const epgId = EPGManager.resolveChannelId(channel.streamInfo?.tvg?.id, cacheKey);
+            if (epgId && !channelsByEpgId.has(epgId)) {
+                channelsByEpgId.set(epgId, channel);
+            }
+        });
+
+        // Un solo programma per canale: il primo che inizia nella finestra
+        const seenChannels = new Set();
+        entries = EPGManager.getProgramsStartingWithin(catalogFilter.hours, genre, language)
+            .map(program => ({ channel: channelsByEpgId.get(program.channelId), program }))
+            .filter(entry => {
+                if (!entry.channel || seenChannels.has(entry.channel.id)) return false;
+                seenChannels.add(entry.channel.id);
+                return true;
+            });
+    }
+
+    if (search) {
+        const searchLower = search.toLowerCase();
+        entries = entries.filter(({ channel, program }) =>
+            program.title?.toLowerCase().includes(searchLower) ||
+            channel.name.toLowerCase().includes(searchLower)
+        );
+    }
+
+    return entries.map(({ channel, program }) => {
+        const displayName = cleanNameForImage(channel.name);
+        const encodedName = encodeURIComponent(displayName).replace(/%20/g, '+');
+        const fallbackLogo = `https://dummyimage.com/500x500/590b8a/ffffff.jpg&text=${encodedName}`;
+        const channelLogo = channel.logo || EPGManager.getChannelIcon(channel.streamInfo?.tvg?.id, cacheKey) || fallbackLogo;
+        const isNow = catalogFilter.epgCatalog === 'now';
+
+        const description = [`📺 ${channel.name}`, `⏰ ${program.start} - ${program.stop}`];
+        if (program.category) {
+            description.push(`🏷️ ${program.category}`);
+        }
+        if (program.description) {
+            description.push('', program.description);
+        }
+
+        return {
+            id: channel.id,
+            type: 'tv',
+            name: [program.title, program.episode].filter(part => part).join(' - '),
+            poster: program.icon || channel.poster || channelLogo,
+            background: program.icon || channel.background || channelLogo,
+            logo: channelLogo,
+            description: description.join('\n'),
+            genre: program.category ? [program.category] : channel.genre,
+            posterShape: program.icon ? 'landscape' : (channel.posterShape || 'square'),
+            releaseInfo: isNow
+                ? `${channel.name} - ⏳ ${formatMinutesLeft(program.stopTime, t)}`
+                : `${channel.name} - ${program.start}`,
+            behaviorHints: {
+                isLive: true,
+                ...channel.behaviorHints
+            }
+        };
+    });
+}
+
+function enrichWithEPG(meta, channelId, userConfig, cacheKey = null) {
+    const language = getLanguageFromConfig(userConfig);
+    const t = createTranslator(language);
+
     if (!userConfig.epg_enabled || !channelId) {
-        meta.description = `Canale live: ${meta.name}`;
-        meta.releaseInfo = 'LIVE';
+        meta.description = t('liveChannel', { name: meta.name });
+        meta.releaseInfo = t('live');
         return meta;
     }
 
-    const currentProgram = EPGManager.getCurrentProgram(normalizeId(channelId));
-    const upcomingPrograms = EPGManager.getUpcomingPrograms(normalizeId(channelId));
+    const currentProgram = EPGManager.getCurrentProgram(normalizeId(channelId), language, cacheKey);
+    const upcomingPrograms = EPGManager.getUpcomingPrograms(normalizeId(channelId), language, cacheKey);
 
     if (currentProgram) {
-        meta.description = `EN DIRECT:\n${currentProgram.title}`;
+        meta.description = `${t('onAirNow')}:\n${currentProgram.title}`;
 
         if (currentProgram.description) {
             meta.description += `\n${currentProgram.description}`;
         }
 
-        meta.description += `\nHoraire: ${currentProgram.start} - ${currentProgram.stop}`;
+        meta.description += `\n${t('schedule')}: ${currentProgram.start} - ${currentProgram.stop}`;
 
         if (currentProgram.category) {
-            meta.description += `\nCategorie: ${currentProgram.category}`;
+            meta.description += `\n${t('category')}: ${currentProgram.category}`;
         }
 
         if (upcomingPrograms && upcomingPrograms.length > 0) {
-            meta.description += '\n\nPROCHAIN PROGRAMS:';
+            meta.description += `\n\n${t('upcomingPrograms')}:`;
             upcomingPrograms.forEach(program => {
                 meta.description += `\n${program.start} - ${program.title}`;
             });
         }
 
-        meta.releaseInfo = `EN DIRECT: ${currentProgram.title}`;
+        meta.releaseInfo = `${t('onAirNow')}: ${currentProgram.title}`;
     }
 
     return meta;
@@ -195,9 +383,16 @@ async function streamHandler({ id, config: userConfig }) {
         }
 
         // Aggiorna sempre la configurazione
-        await global.CacheManager.updateConfig(userConfig);
+        const cacheManager = await global.CacheManager.getManager(userConfig);
+        await cacheManager.updateConfig(userConfig);
+
+        // Film ed episodi di serie on-demand (movie|<id>, series|<id>|<stagione>|<episodio>)
+        if (id.startsWith('movie|') || id.startsWith('series|')) {
+            return { streams: await buildVodStreams(cacheManager, id, userConfig) };
+        }
 
         const channelId = id.split('|')[1];
+        const t = createTranslator(getLanguageFromConfig(userConfig));
 
         // Gestione canale speciale per la rigenerazione playlist
         if (channelId === 'rigeneraplaylistpython') {
@@ -213,12 +408,12 @@ async function streamHandler({ id, config: userConfig }) {
 
                 // Ricostruisci la cache
                 console.log('Ricostruzione cache con il nuovo file generato...');
-                await global.CacheManager.rebuildCache(userConfig.m3u, userConfig);
+                await cacheManager.rebuildCache(userConfig.m3u, userConfig);
 
                 return {
                     streams: [{
-                        name: 'Completato',
-                        title: '✅ Playlist rigenerata con successo!\n Riavvia stremio o torna indietro.',
+                        name: t('completed'),
+                        title: `✅ ${t('playlistRegenerated')}`,
                         url: 'https://static.vecteezy.com/system/resources/previews/001/803/236/mp4/no-signal-bad-tv-free-video.mp4',
                         behaviorHints: {
                             notWebReady: false,
@@ -230,8 +425,8 @@ async function streamHandler({ id, config: userConfig }) {
                 console.log('❌ Errore nell\'esecuzione dello script Python');
                 return {
                     streams: [{
-                        name: 'Errore',
-                        title: `❌ Errore: ${PythonRunner.lastError || 'Errore sconosciuto'}`,
+                        name: t('error'),
+                        title: `❌ ${t('error')}: ${PythonRunner.lastError || t('unknownError')}`,
                         url: 'https://static.vecteezy.com/system/resources/previews/001/803/236/mp4/no-signal-bad-tv-free-video.mp4',
                         behaviorHints: {
                             notWebReady: false,
@@ -243,19 +438,32 @@ async function streamHandler({ id, config: userConfig }) {
         }
 
         // Continua con il normale flusso per gli altri canali
-        const channel = global.CacheManager.getChannel(channelId);
+        const channel = cacheManager.getChannel(channelId);
 
         if (!channel) {
             console.log('Canale non trovato:', channelId);
             return { streams: [] };
         }
 
+        // Video di catch-up: tv|<canale>|catchup|<inizio programma>
+        const catchupRequest = parseCatchupVideoId(id);
+        if (catchupRequest) {
+            return { streams: await buildCatchupStreams(channel, catchupRequest.startTime, userConfig, cacheManager.cacheKey) };
+        }
+
         let streams = [];
         let originalStreamDetails = [];
 
+        // Flussi ordinati dal migliore secondo l'ultima verifica (funzionanti per latenza, poi gli altri)
+        let sortedUrls = global.CacheManager.healthProber.sortByHealth(channel.streamInfo.urls || []);
+        // Con una qualità preferita l'ordine di verifica vale solo a parità di qualità
+        if (userConfig.preferred_quality) {
+            sortedUrls = sortByQuality(sortedUrls, userConfig.preferred_quality);
+        }
+
         // Prepara i dettagli dello stream originale per potenziale risoluzione o proxy
-        if (channel.streamInfo.urls) {
-            for (const stream of channel.streamInfo.urls) {
+        if (sortedUrls.length > 0) {
+            for (const stream of sortedUrls) {
                 const headers = stream.headers || {};
                 if (!headers['User-Agent']) {
                     headers['User-Agent'] = config.defaultUserAgent;
@@ -265,12 +473,19 @@ async function streamHandler({ id, config: userConfig }) {
                     name: channel.name,
                     originalName: stream.name,
                     url: stream.url,
-                    headers: headers
+                    headers: headers,
+                    drm: stream.drm
                 });
             }
         }
 
 
+        // Risoluzione, bitrate, codec e lingue audio lette da master playlist HLS e manifest DASH
+        if (userConfig.stream_quality === 'true') {
+            originalStreamDetails = await global.CacheManager.qualityProber
+                .annotateStreams(originalStreamDetails, userConfig.split_variants === 'true');
+        }
+
         if (userConfig.resolver_enabled === 'true' && userConfig.resolver_script) {
             console.log(`\n=== Utilizzo Resolver per ${channel.name} ===`);
 
@@ -279,7 +494,7 @@ async function streamHandler({ id, config: userConfig }) {
                     name: channel.name,
                     originalName: channel.name,
                     streamInfo: {
-                        urls: channel.streamInfo.urls
+                        urls: sortedUrls
                     }
                 };
 
@@ -290,7 +505,7 @@ async function streamHandler({ id, config: userConfig }) {
 
                     if (userConfig.force_proxy === 'true') {
                         // Se force_proxy è attivo, mostriamo SOLO i flussi passati attraverso il proxy
-                        if (userConfig.proxy && userConfig.proxy_pwd) {
+                        if (StreamProxyManager.isProxyEnabled(userConfig)) {
                             console.log('⚙️ Applicazione proxy ai flussi risolti (modalità forzata)...');
 
                             for (const resolvedStream of resolvedStreams) {
@@ -318,7 +533,7 @@ async function streamHandler({ id, config: userConfig }) {
                         streams = resolvedStreams;
 
                         // 2. Aggiungiamo anche i flussi risolti tramite proxy, se il proxy è configurato
-                        if (userConfig.proxy && userConfig.proxy_pwd) {
+                        if (StreamProxyManager.isProxyEnabled(userConfig)) {
                             console.log('⚙️ Aggiunta dei flussi proxy ai flussi risolti...');
 
                             for (const resolvedStream of resolvedStreams) {
@@ -361,10 +576,10 @@ async function streamHandler({ id, config: userConfig }) {
             poster: channel.poster || fallbackLogo,
             background: channel.background || fallbackLogo,
             logo: channel.logo || fallbackLogo,
-            description: channel.description || `ID Canale: ${channel.streamInfo?.tvg?.id}`,
+            description: channel.description || t('channelId', { id: channel.streamInfo?.tvg?.id }),
             genre: channel.genre,
             posterShape: channel.posterShape || 'square',
-            releaseInfo: 'LIVE',
+            releaseInfo: t('live'),
             behaviorHints: {
                 isLive: true,
                 ...channel.behaviorHints
@@ -373,7 +588,7 @@ async function streamHandler({ id, config: userConfig }) {
         };
 
         if ((!meta.poster || !meta.background || !meta.logo) && channel.streamInfo?.tvg?.id) {
-            const epgIcon = EPGManager.getChannelIcon(channel.streamInfo.tvg.id);
+            const epgIcon = EPGManager.getChannelIcon(channel.streamInfo.tvg.id, cacheManager.cacheKey);
             if (epgIcon) {
                 meta.poster = meta.poster || epgIcon;
                 meta.background = meta.background || epgIcon;
@@ -392,12 +607,93 @@ async function streamHandler({ id, config: userConfig }) {
     }
 }
 
+async function buildVodStreams(cacheManager, id, userConfig) {
+    const [type, itemId] = id.split('|');
+    const item = cacheManager.getVodItem(`${type}|${itemId}`);
+
+    if (!item) {
+        console.log('Contenuto on-demand non trovato:', id);
+        return [];
+    }
+
+    const sources = type === 'series'
+        ? item.videos?.find(video => video.id === id)?.streams || []
+        : item.streamInfo?.urls || [];
+
+    const streamDetails = sources.map(stream => {
+        const headers = { ...stream.headers };
+        if (!headers['User-Agent']) {
+            headers['User-Agent'] = config.defaultUserAgent;
+        }
+
+        return {
+            name: item.name,
+            originalName: stream.name,
+            url: stream.url,
+            headers
+        };
+    });
+
+    const streams = await processOriginalStreams(streamDetails, item, userConfig);
+
+    // Gli episodi successivi della stessa serie proseguono nello stesso gruppo di riproduzione
+    streams.forEach(stream => {
+        if (stream.behaviorHints) {
+            stream.behaviorHints.bingeGroup = item.id;
+        }
+    });
+
+    return streams;
+}
+
+/**
+ * Costruisce gli stream di replay di un programma passato dai flussi con attributo catchup
+ * @param {Object} channel - Canale in cache
+ * @param {number} startTime - Inizio del programma (ms)
+ * @param {Object} userConfig - Configurazione utente
+ * @returns {Promise<Array>}
+ */
+async function buildCatchupStreams(channel, startTime, userConfig, cacheKey = null) {
+    const language = getLanguageFromConfig(userConfig);
+    const program = EPGManager.getProgramByStart(channel.streamInfo?.tvg?.id, startTime, language, cacheKey);
+
+    if (!program) {
+        console.log('❌ Programma di catch-up non trovato:', channel.id, startTime);
+        return [];
+    }
+
+    const catchupStreamDetails = [];
+    for (const stream of getCatchupStreams(channel)) {
+        const url = buildCatchupUrl(stream, program);
+        if (!url) {
+            console.log(`⚠️ Modalità catch-up "${stream.catchup.type}" non applicabile a ${stream.url}`);
+            continue;
+        }
+
+        const headers = { ...stream.headers };
+        if (!headers['User-Agent']) {
+            headers['User-Agent'] = config.defaultUserAgent;
+        }
+
+        catchupStreamDetails.push({
+            name: channel.name,
+            originalName: `⏪ ${program.start} - ${program.title}`,
+            url,
+            headers,
+            drm: stream.drm
+        });
+    }
+
+    console.log(`✓ Catch-up ${channel.name}: ${catchupStreamDetails.length} flussi per "${program.title}"`);
+    return processOriginalStreams(catchupStreamDetails, channel, userConfig);
+}
+
 // Funzione ausiliaria per processare gli stream originali (codice esistente estratto)
 async function processOriginalStreams(originalStreamDetails, channel, userConfig) {
     let streams = [];
 
     if (userConfig.force_proxy === 'true') {
-        if (userConfig.proxy && userConfig.proxy_pwd) {
+        if (StreamProxyManager.isProxyEnabled(userConfig)) {
             for (const streamDetails of originalStreamDetails) {
                 const proxyStreams = await StreamProxyManager.getProxyStreams(streamDetails, userConfig);
                 streams.push(...proxyStreams);
@@ -409,19 +705,17 @@ async function processOriginalStreams(originalStreamDetails, channel, userConfig
             const language = getLanguageFromConfig(userConfig);
             const streamMeta = {
                 name: streamDetails.name,
-                title: `📺 ${streamDetails.originalName || streamDetails.name} [${language.substring(0, 3).toUpperCase()}]`,
+                title: `📺 ${streamDetails.originalName || streamDetails.name} [${getLanguageTag(language)}]` +
+                    (streamDetails.qualityLabel ? `\n🎞️ ${streamDetails.qualityLabel}` : ''),
                 url: streamDetails.url,
                 headers: streamDetails.headers,
                 language: language,
-                behaviorHints: {
-                    notWebReady: false,
-                    bingeGroup: "tv"
-                }
+                behaviorHints: buildStreamBehaviorHints(streamDetails.headers)
             };
             streams.push(streamMeta);
 
             // Aggiungi anche stream proxy se configurato
-            if (userConfig.proxy && userConfig.proxy_pwd) {
+            if (StreamProxyManager.isProxyEnabled(userConfig)) {
                 const proxyStreams = await StreamProxyManager.getProxyStreams(streamDetails, userConfig);
                 streams.push(...proxyStreams);
             }
@@ -8,6 +8,11 @@ const EPGManager = require('./epg-manager');
 const config = require('./config');
 const CacheManagerFactory = require('./cache-manager');
 const { renderConfigPage } = require('./views');
+const { buildManifestCatalogs, getCatalogRows } = require('./catalog-builder');
+const { applyXtreamSource } = require('./xtream-client');
+const { parseRules, loadRules, applyRules } = require('./channel-rules');
+const InternalProxy = require('./internal-proxy');
+const { isUploadEnabled, isUploadAuthorized, saveUploadedSource } = require('./source-reader');
 const PythonRunner = require('./python-runner');
 const ResolverStreamManager = require('./resolver-stream-manager')();
 const PythonResolver = require('./python-resolver');
@@ -19,6 +24,32 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.set('trust proxy', true);
 
+// Decodifica la configurazione base64 presente nell'URL dell'addon
+function decodeConfig(encodedConfig) {
+    const configString = Buffer.from(encodedConfig, 'base64').toString();
+    return applyXtreamSource(Object.fromEntries(new URLSearchParams(configString)));
+}
+
+// Aggiunge l'URL pubblico dell'addon, necessario per gli stream del proxy interno
+function withInternalProxyBase(userConfig, req) {
+    return { ...userConfig, internal_proxy_base: InternalProxy.getBaseUrl(req) };
+}
+
+// Operazioni che modificano dati sul server, consentite solo con la
+// password di caricamento (UPLOAD_PASSWORD) nell'header X-Upload-Password
+function requireUploadPassword(req, res, next) {
+    if (!isUploadEnabled()) {
+        return res.status(403).json({ success: false, message: 'Operazione disabilitata (UPLOAD_PASSWORD non impostata)' });
+    }
+    if (!isUploadAuthorized(req.get('x-upload-password'))) {
+        return res.status(401).json({ success: false, message: 'Password di caricamento non valida' });
+    }
+    next();
+}
+
+// Relay HLS/DASH interno, alternativa a MediaFlow Proxy
+app.use('/internal-proxy', InternalProxy.createRouter());
+
 // Route principale - supporta sia il vecchio che il nuovo sistema
 app.get('/', async (req, res) => {
     const protocol = req.headers['x-forwarded-proto'] || req.protocol;
@@ -67,31 +98,29 @@ app.get('/manifest.json', async (req, res) => {
         if (req.query.resolver_update_interval) {
             configUrl += `&resolver_update_interval=${encodeURIComponent(req.query.resolver_update_interval)}`;
         }
-        if (req.query.m3u && global.CacheManager.cache.m3uUrl !== req.query.m3u) {
-            await global.CacheManager.rebuildCache(req.query.m3u);
+        applyXtreamSource(req.query);
+        const cacheManager = await global.CacheManager.getManager(req.query);
+        if (req.query.m3u && cacheManager.cache.m3uUrl !== req.query.m3u) {
+            await cacheManager.rebuildCache(req.query.m3u, req.query);
+        }
+
+        // L'EPG va inizializzato prima dei cataloghi, che ne leggono le categorie
+        if (req.query.epg_enabled === 'true') {
+            // Se non è stato fornito manualmente un EPG URL, usa quello della playlist
+            const epgToUse = req.query.epg ||
+                (cacheManager.cache.epgUrls &&
+                    cacheManager.cache.epgUrls.length > 0
+                    ? cacheManager.cache.epgUrls.join(',')
+                    : null);
+
+            if (epgToUse) {
+                await EPGManager.initializeEPG(epgToUse);
+            }
         }
 
-        const { genres } = global.CacheManager.getCachedData();
         const manifestConfig = {
             ...config.manifest,
-            catalogs: [{
-                ...config.manifest.catalogs[0],
-                extra: [
-                    {
-                        name: 'genre',
-                        isRequired: false,
-                        options: genres
-                    },
-                    {
-                        name: 'search',
-                        isRequired: false
-                    },
-                    {
-                        name: 'skip',
-                        isRequired: false
-                    }
-                ]
-            }],
+            catalogs: buildManifestCatalogs(req.query, cacheManager.getCachedData()),
             behaviorHints: {
                 configurable: true,
                 configurationURL: configUrl,
@@ -100,18 +129,6 @@ app.get('/manifest.json', async (req, res) => {
         };
         const builder = new addonBuilder(manifestConfig);
 
-        if (req.query.epg_enabled === 'true') {
-            // Se non è stato fornito manualmente un EPG URL, usa quello della playlist
-            const epgToUse = req.query.epg ||
-                (global.CacheManager.getCachedData().epgUrls &&
-                    global.CacheManager.getCachedData().epgUrls.length > 0
-                    ? global.CacheManager.getCachedData().epgUrls.join(',')
-                    : null);
-
-            if (epgToUse) {
-                await EPGManager.initializeEPG(epgToUse);
-            }
-        }
         builder.defineCatalogHandler(async (args) => catalogHandler({ ...args, config: req.query }));
         builder.defineStreamHandler(async (args) => streamHandler({ ...args, config: req.query }));
         builder.defineMetaHandler(async (args) => metaHandler({ ...args, config: req.query }));
@@ -128,11 +145,11 @@ app.get('/:config/manifest.json', async (req, res) => {
     try {
         const protocol = req.headers['x-forwarded-proto'] || req.protocol;
         const host = req.headers['x-forwarded-host'] || req.get('host');
-        const configString = Buffer.from(req.params.config, 'base64').toString();
-        const decodedConfig = Object.fromEntries(new URLSearchParams(configString));
+        const decodedConfig = decodeConfig(req.params.config);
 
-        if (decodedConfig.m3u && global.CacheManager.cache.m3uUrl !== decodedConfig.m3u) {
-            await global.CacheManager.rebuildCache(decodedConfig.m3u);
+        const cacheManager = await global.CacheManager.getManager(decodedConfig);
+        if (decodedConfig.m3u && cacheManager.cache.m3uUrl !== decodedConfig.m3u) {
+            await cacheManager.rebuildCache(decodedConfig.m3u, decodedConfig);
         }
         if (decodedConfig.resolver_script) {
             console.log('Inizializzazione Script Resolver dalla configurazione');
@@ -166,27 +183,23 @@ app.get('/:config/manifest.json', async (req, res) => {
             }
         }
 
-        const { genres } = global.CacheManager.getCachedData();
+        // L'EPG va inizializzato prima dei cataloghi, che ne leggono le categorie
+        if (decodedConfig.epg_enabled === 'true') {
+            // Se non è stato fornito manualmente un EPG URL, usa quello della playlist
+            const epgToUse = decodedConfig.epg ||
+                (cacheManager.cache.epgUrls &&
+                    cacheManager.cache.epgUrls.length > 0
+                    ? cacheManager.cache.epgUrls.join(',')
+                    : null);
+
+            if (epgToUse) {
+                await EPGManager.initializeEPG(epgToUse);
+            }
+        }
+
         const manifestConfig = {
             ...config.manifest,
-            catalogs: [{
-                ...config.manifest.catalogs[0],
-                extra: [
-                    {
-                        name: 'genre',
-                        isRequired: false,
-                        options: genres
-                    },
-                    {
-                        name: 'search',
-                        isRequired: false
-                    },
-                    {
-                        name: 'skip',
-                        isRequired: false
-                    }
-                ]
-            }],
+            catalogs: buildManifestCatalogs(decodedConfig, cacheManager.getCachedData()),
             behaviorHints: {
                 configurable: true,
                 configurationURL: `${protocol}://${host}/${req.params.config}/configure`,
@@ -196,19 +209,6 @@ app.get('/:config/manifest.json', async (req, res) => {
 
         const builder = new addonBuilder(manifestConfig);
 
-        if (decodedConfig.epg_enabled === 'true') {
-            // Se non è stato fornito manualmente un EPG URL, usa quello della playlist
-            const epgToUse = decodedConfig.epg ||
-                (global.CacheManager.getCachedData().epgUrls &&
-                    global.CacheManager.getCachedData().epgUrls.length > 0
-                    ? global.CacheManager.getCachedData().epgUrls.join(',')
-                    : null);
-
-            if (epgToUse) {
-                await EPGManager.initializeEPG(epgToUse);
-            }
-        }
-
         builder.defineCatalogHandler(async (args) => catalogHandler({ ...args, config: decodedConfig }));
         builder.defineStreamHandler(async (args) => streamHandler({ ...args, config: decodedConfig }));
         builder.defineMetaHandler(async (args) => metaHandler({ ...args, config: decodedConfig }));
@@ -224,6 +224,7 @@ app.get('/:config/manifest.json', async (req, res) => {
 // Manteniamo la route esistente per gli altri endpoint
 app.get('/:resource/:type/:id/:extra?.json', async (req, res, next) => {
     const { resource, type, id } = req.params;
+    applyXtreamSource(req.query);
     const extra = req.params.extra
         ? safeParseExtra(req.params.extra)
         : {};
@@ -232,7 +233,7 @@ app.get('/:resource/:type/:id/:extra?.json', async (req, res, next) => {
         let result;
         switch (resource) {
             case 'stream':
-                result = await streamHandler({ type, id, config: req.query });
+                result = await streamHandler({ type, id, config: withInternalProxyBase(req.query, req) });
                 break;
             case 'catalog':
                 result = await catalogHandler({ type, id, extra, config: req.query });
@@ -274,7 +275,7 @@ app.get('/api/resolver/download-template', (req, res) => {
 
 function cleanupTempFolder() {
     console.log('\n=== Pulizia cartella temp all\'avvio ===');
-    const tempDir = path.join(__dirname, 'temp');
+    const tempDir = config.tempDir;
 
     // Controlla se la cartella temp esiste
     if (!fs.existsSync(tempDir)) {
@@ -315,35 +316,29 @@ function safeParseExtra(extraParam) {
 
         const decodedExtra = decodeURIComponent(extraParam);
 
-        // Supporto per skip con genere
-        if (decodedExtra.includes('genre=') && decodedExtra.includes('&skip=')) {
-            const parts = decodedExtra.split('&');
-            const genre = parts.find(p => p.startsWith('genre=')).split('=')[1];
-            const skip = parts.find(p => p.startsWith('skip=')).split('=')[1];
-
-            return {
-                genre,
-                skip: parseInt(skip, 10) || 0
-            };
+        try {
+            return JSON.parse(decodedExtra);
+        } catch {
+            // Formato standard Stremio: genre=X&search=Y&skip=N&range=A-B (in qualsiasi combinazione)
         }
 
-        if (decodedExtra.startsWith('skip=')) {
-            return { skip: parseInt(decodedExtra.split('=')[1], 10) || 0 };
-        }
+        const params = new URLSearchParams(extraParam);
+        const extra = {};
 
-        if (decodedExtra.startsWith('genre=')) {
-            return { genre: decodedExtra.split('=')[1] };
+        if (params.has('genre')) {
+            extra.genre = params.get('genre');
         }
-
-        if (decodedExtra.startsWith('search=')) {
-            return { search: decodedExtra.split('=')[1] };
+        if (params.has('search')) {
+            extra.search = params.get('search');
         }
-
-        try {
-            return JSON.parse(decodedExtra);
-        } catch {
-            return {};
+        if (params.has('skip')) {
+            extra.skip = parseInt(params.get('skip'), 10) || 0;
+        }
+        if (params.has('range')) {
+            extra.range = params.get('range');
         }
+
+        return extra;
     } catch (error) {
         console.error('Error parsing extra:', error);
         return {};
@@ -353,8 +348,7 @@ function safeParseExtra(extraParam) {
 // Per il catalog con config codificato
 app.get('/:config/catalog/:type/:id/:extra?.json', async (req, res) => {
     try {
-        const configString = Buffer.from(req.params.config, 'base64').toString();
-        const decodedConfig = Object.fromEntries(new URLSearchParams(configString));
+        const decodedConfig = decodeConfig(req.params.config);
         const extra = req.params.extra
             ? safeParseExtra(req.params.extra)
             : {};
@@ -377,13 +371,12 @@ app.get('/:config/catalog/:type/:id/:extra?.json', async (req, res) => {
 // Per lo stream con config codificato
 app.get('/:config/stream/:type/:id.json', async (req, res) => {
     try {
-        const configString = Buffer.from(req.params.config, 'base64').toString();
-        const decodedConfig = Object.fromEntries(new URLSearchParams(configString));
+        const decodedConfig = decodeConfig(req.params.config);
 
         const result = await streamHandler({
             type: req.params.type,
             id: req.params.id,
-            config: decodedConfig
+            config: withInternalProxyBase(decodedConfig, req)
         });
 
         res.setHeader('Content-Type', 'application/json');
@@ -397,8 +390,7 @@ app.get('/:config/stream/:type/:id.json', async (req, res) => {
 // Per il meta con config codificato
 app.get('/:config/meta/:type/:id.json', async (req, res) => {
     try {
-        const configString = Buffer.from(req.params.config, 'base64').toString();
-        const decodedConfig = Object.fromEntries(new URLSearchParams(configString));
+        const decodedConfig = decodeConfig(req.params.config);
 
         const result = await metaHandler({
             type: req.params.type,
@@ -425,6 +417,87 @@ app.get('/generated-m3u', (req, res) => {
     }
 });
 
+// Remapping suggerito dall'abbinamento automatico dei canali senza guida, unito per tutte le cache
+app.get('/api/epg-suggestions', (req, res) => {
+    const suggestions = EPGManager.getSuggestions();
+    if (suggestions) {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.send(suggestions);
+    } else {
+        res.status(404).send('Nessun suggerimento disponibile. Abilitare l\'EPG e attendere il primo aggiornamento.');
+    }
+});
+
+// Regole di remapping EPG salvate nel database: modificarle ricollega subito la guida,
+// senza ricostruire la playlist; la modifica richiede la password di caricamento.
+// Con ?all=true include i collegamenti automatici per nome di ogni cache (campo cacheKey)
+app.get('/api/remapping', (req, res) => {
+    res.json({ success: true, rules: EPGManager.getRemappingRules({ includeAuto: req.query.all === 'true' }) });
+});
+
+app.post('/api/remapping', requireUploadPassword, (req, res) => {
+    try {
+        const { m3uId, epgId } = req.body;
+        const existing = EPGManager.getRemappingRules().find(rule => rule.m3uId === EPGManager.normalizeId(m3uId));
+        if (existing) {
+            return res.status(409).json({ success: false, message: `Regola già presente per ${existing.m3uId}` });
+        }
+        res.status(201).json({ success: true, rule: EPGManager.setRemappingRule(m3uId, epgId) });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.put('/api/remapping/:m3uId', requireUploadPassword, (req, res) => {
+    try {
+        res.json({ success: true, rule: EPGManager.setRemappingRule(req.params.m3uId, req.body.epgId) });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/remapping/:m3uId', requireUploadPassword, (req, res) => {
+    if (!EPGManager.deleteRemappingRule(req.params.m3uId)) {
+        return res.status(404).json({ success: false, message: 'Regola non trovata' });
+    }
+    res.json({ success: true });
+});
+
+// Canali della guida per il selettore dell'editor di remapping
+app.get('/api/remapping/epg-channels', (req, res) => {
+    const limit = parseInt(req.query.limit, 10);
+    res.json({
+        success: true,
+        channels: EPGManager.searchEPGChannels(req.query.search, limit > 0 ? Math.min(limit, 5000) : 50)
+    });
+});
+
+// Canali della playlist con l'id EPG attuale e la presenza di programmi
+app.post('/api/remapping/channels', async (req, res) => {
+    try {
+        applyXtreamSource(req.body);
+        if (!req.body.m3u) {
+            return res.status(400).json({ success: false, message: 'URL M3U richiesto' });
+        }
+
+        const cacheManager = await global.CacheManager.getManager(req.body);
+        if (cacheManager.cache.m3uUrl !== req.body.m3u) {
+            await cacheManager.rebuildCache(req.body.m3u, req.body);
+        }
+
+        res.json({
+            success: true,
+            epgAvailable: EPGManager.isEPGAvailable(),
+            channels: EPGManager.getChannelsEPGStatus(cacheManager.getCachedData().channels, cacheManager.cacheKey),
+            // Riepilogo del file di remapping (remapper_path), disponibile dopo una ricostruzione della playlist
+            remappingFile: cacheManager.transformer.remappingReport
+        });
+    } catch (error) {
+        console.error('Errore nel recupero dei canali per il remapping:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 app.post('/api/resolver', async (req, res) => {
     const { action, url, interval } = req.body;
 
@@ -485,19 +558,22 @@ app.post('/api/resolver', async (req, res) => {
 
 app.post('/api/rebuild-cache', async (req, res) => {
     try {
+        applyXtreamSource(req.body);
         const m3uUrl = req.body.m3u;
         if (!m3uUrl) {
             return res.status(400).json({ success: false, message: 'URL M3U richiesto' });
         }
 
         console.log('🔄 Richiesta di ricostruzione cache ricevuta');
-        await global.CacheManager.rebuildCache(req.body.m3u, req.body);
+        const cacheManager = await global.CacheManager.getManager(req.body);
+        // Ricostruzione richiesta esplicitamente: niente verifica delle sorgenti invariate
+        await cacheManager.rebuildCache(req.body.m3u, req.body, { force: true });
 
         if (req.body.epg_enabled === 'true') {
             console.log('📡 Ricostruzione EPG in corso...');
             const epgToUse = req.body.epg ||
-                (global.CacheManager.getCachedData().epgUrls && global.CacheManager.getCachedData().epgUrls.length > 0
-                    ? global.CacheManager.getCachedData().epgUrls.join(',')
+                (cacheManager.cache.epgUrls && cacheManager.cache.epgUrls.length > 0
+                    ? cacheManager.cache.epgUrls.join(',')
                     : null);
             if (epgToUse) {
                 await EPGManager.initializeEPG(epgToUse);
@@ -512,6 +588,166 @@ app.post('/api/rebuild-cache', async (req, res) => {
     }
 });
 
+// Caricamento di playlist ed EPG dalla pagina di configurazione, protetto da UPLOAD_PASSWORD
+app.post('/api/upload-source', requireUploadPassword, express.raw({ type: () => true, limit: config.sourceSettings.maxUploadSize }), async (req, res) => {
+    try {
+        const url = await saveUploadedSource(req.query.name, req.body);
+        res.json({ success: true, url });
+    } catch (error) {
+        console.error('Errore nel caricamento del file:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+// Elenca le righe di catalogo disponibili (gruppi o playlist) per la pagina di configurazione
+app.post('/api/catalog-rows', async (req, res) => {
+    try {
+        applyXtreamSource(req.body);
+        if (!req.body.m3u) {
+            return res.status(400).json({ success: false, message: 'URL M3U richiesto' });
+        }
+
+        const cacheManager = await global.CacheManager.getManager(req.body);
+        if (cacheManager.cache.m3uUrl !== req.body.m3u) {
+            await cacheManager.rebuildCache(req.body.m3u, req.body);
+        }
+
+        res.json({
+            success: true,
+            rows: getCatalogRows(req.body, cacheManager.getCachedData())
+        });
+    } catch (error) {
+        console.error('Errore nel recupero delle righe catalogo:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Anteprima delle regole canali sulla playlist attuale, senza modificare la cache.
+// Le regole arrivano da rules_path o, per provarle prima di pubblicarle, dal campo rules (JSON)
+app.post('/api/rules-preview', async (req, res) => {
+    try {
+        applyXtreamSource(req.body);
+        if (!req.body.m3u) {
+            return res.status(400).json({ success: false, message: 'URL M3U richiesto' });
+        }
+
+        if (!req.body.rules && !req.body.rules_path) {
+            return res.status(400).json({ success: false, message: 'Regole canali richieste (rules_path o rules)' });
+        }
+
+        let parsed;
+        try {
+            parsed = req.body.rules ? parseRules(req.body.rules) : await loadRules(req.body);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: `Regole non valide: ${error.message}` });
+        }
+
+        // Playlist senza regole, letta con un transformer dedicato
+        const transformer = new PlaylistTransformer();
+        const data = await transformer.loadAndTransform(req.body.m3u, { ...req.body, rules_path: '' });
+        const { report } = applyRules(data.channels, parsed.rules);
+
+        res.json({ success: true, errors: parsed.errors, report });
+    } catch (error) {
+        console.error('Errore nell\'anteprima delle regole canali:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Storico delle modifiche alla playlist (canali aggiunti, rimossi, rinominati, flussi e gruppi modificati).
+// La cache si indica con la configurazione codificata (?config=) o con i parametri in chiaro (?m3u=...)
+app.get('/api/changes', async (req, res) => {
+    try {
+        const userConfig = req.query.config ? decodeConfig(req.query.config) : applyXtreamSource({ ...req.query });
+        if (!userConfig.m3u) {
+            return res.status(400).json({ success: false, message: 'URL M3U richiesto' });
+        }
+
+        const cacheManager = await global.CacheManager.getManager(userConfig);
+        const limit = parseInt(req.query.limit, 10);
+        const since = parseInt(req.query.since, 10);
+
+        res.json({
+            success: true,
+            lastUpdated: cacheManager.cache.lastUpdated,
+            changes: global.CacheManager.channelHistory.getChanges(cacheManager.cacheKey, {
+                limit: limit > 0 ? limit : undefined,
+                since: since > 0 ? since : 0
+            })
+        });
+    } catch (error) {
+        console.error('Errore nel recupero delle modifiche della playlist:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Preferiti, ordine personalizzato e canali nascosti di un profilo (campo profile della configurazione);
+// la modifica richiede la password di caricamento
+app.get('/api/favourites/:profile', (req, res) => {
+    res.json({ success: true, ...global.CacheManager.channelFavourites.getPreferences(req.params.profile) });
+});
+
+app.put('/api/favourites/:profile', requireUploadPassword, (req, res) => {
+    try {
+        const { order, favourites, hidden } = req.body;
+        if ([order, favourites, hidden].some(list => list !== undefined && !Array.isArray(list))) {
+            return res.status(400).json({ success: false, message: 'order, favourites e hidden devono essere array' });
+        }
+        res.json({ success: true, ...global.CacheManager.channelFavourites.setPreferences(req.params.profile, req.body) });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+app.delete('/api/favourites/:profile', requireUploadPassword, (req, res) => {
+    global.CacheManager.channelFavourites.deleteProfile(req.params.profile);
+    res.json({ success: true });
+});
+
+// Canali della playlist nell'ordine personalizzato del profilo, per l'editor della pagina di configurazione
+app.post('/api/favourites/channels', async (req, res) => {
+    try {
+        applyXtreamSource(req.body);
+        if (!req.body.m3u) {
+            return res.status(400).json({ success: false, message: 'URL M3U richiesto' });
+        }
+
+        const cacheManager = await global.CacheManager.getManager(req.body);
+        if (cacheManager.cache.m3uUrl !== req.body.m3u) {
+            await cacheManager.rebuildCache(req.body.m3u, req.body);
+        }
+
+        const favourites = global.CacheManager.channelFavourites;
+        const preferences = favourites.getPreferences(req.body.profile);
+        const favouriteKeys = new Set(preferences.favourites);
+        const hiddenKeys = new Set(preferences.hidden);
+        const orderedKeys = new Set(preferences.order);
+        const playlistChannels = cacheManager.getCachedData().channels;
+        const playlistIndexes = new Map(playlistChannels.map((channel, index) => [channel.id, index]));
+        const channels = favourites.apply(req.body.profile, playlistChannels, { includeHidden: true });
+
+        res.json({
+            success: true,
+            channels: channels.map(channel => {
+                const key = favourites.getChannelKey(channel);
+                return {
+                    key,
+                    index: playlistIndexes.get(channel.id),
+                    ordered: orderedKeys.has(key),
+                    name: channel.name,
+                    group: (channel.genre || []).join(', '),
+                    logo: channel.logo || null,
+                    favourite: favouriteKeys.has(key),
+                    hidden: hiddenKeys.has(key)
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Errore nel recupero dei canali per i preferiti:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 // Endpoint API per le operazioni sullo script Python
 app.post('/api/python-script', async (req, res) => {
     const { action, url, interval } = req.body;
@@ -564,7 +800,7 @@ app.post('/api/python-script', async (req, res) => {
 async function startAddon() {
     cleanupTempFolder();
 
-    // Inizializza CacheManager
+    // Inizializza il pool di cache per utente
     global.CacheManager = await CacheManagerFactory(config);
 
     try {
@@ -582,4 +818,9 @@ async function startAddon() {
     }
 }
 
-startAddon();
+// Avviato direttamente (npm start) ascolta sulla porta; richiesto da un altro modulo (test) espone solo l'app
+if (require.main === module) {
+    startAddon();
+}
+
+module.exports = { app, startAddon };
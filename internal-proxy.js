@@ -0,0 +1,358 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { buildRequestHeaders, requestUpstream } = require('./upstream-request');
+
+// Prefisso delle route del relay sull'app Express dell'addon
+const ROUTE_PREFIX = '/internal-proxy';
+
+// System ID DASH-IF di ClearKey
+const CLEARKEY_SYSTEM_ID = 'e2719d58-a985-b3c9-781a-b030af78d30e';
+
+// Header della risposta upstream inoltrati al player
+const FORWARDED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+/**
+ * Relay HLS/DASH interno: scarica i manifest con gli header del canale,
+ * riscrive gli URI di varianti, segmenti e chiavi verso se stesso e inoltra i segmenti.
+ * Gli URL upstream viaggiano in token firmati, così il relay non è un proxy aperto.
+ */
+class InternalProxy {
+    constructor() {
+        this.secret = null;
+        this.secretPath = path.join(config.dataDir, 'internal-proxy.key');
+        this.timeout = 15000;
+        // Validità dei token: copre la riproduzione di un film; i manifest live riscritti
+        // generano token nuovi a ogni aggiornamento
+        this.tokenTtl = 6 * 60 * 60 * 1000;
+    }
+
+    getSecret() {
+        if (this.secret) return this.secret;
+
+        if (process.env.INTERNAL_PROXY_SECRET) {
+            this.secret = process.env.INTERNAL_PROXY_SECRET;
+            return this.secret;
+        }
+
+        // Chiave generata al primo uso e salvata, così gli URL restano validi dopo un riavvio
+        try {
+            if (fs.existsSync(this.secretPath)) {
+                this.secret = fs.readFileSync(this.secretPath, 'utf8').trim();
+            }
+            if (!this.secret) {
+                this.secret = crypto.randomBytes(32).toString('hex');
+                fs.mkdirSync(path.dirname(this.secretPath), { recursive: true });
+                fs.writeFileSync(this.secretPath, this.secret);
+            }
+        } catch (error) {
+            console.error('❌ Errore nel salvataggio della chiave del proxy interno:', error.message);
+            this.secret = this.secret || crypto.randomBytes(32).toString('hex');
+        }
+
+        return this.secret;
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.getSecret()).update(payload).digest('base64url');
+    }
+
+    createToken(url, headers = {}, drm = null) {
+        const data = { u: url, h: buildRequestHeaders(headers), exp: Date.now() + this.tokenTtl };
+        if (drm?.keyId && drm?.key) {
+            data.k = { keyId: drm.keyId, key: drm.key };
+        }
+        const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    /**
+     * Verifica firma e scadenza del token e ne estrae URL, header upstream ed eventuali chiavi ClearKey
+     * @param {string} token
+     * @returns {{url: string, headers: Object, drm: Object|null}|null}
+     */
+    parseToken(token) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(this.sign(payload));
+        const received = Buffer.from(signature);
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return null;
+        }
+
+        try {
+            const { u, h, k, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            if (!(exp > Date.now())) return null;
+            return /^https?:\/\//i.test(u) ? { url: u, headers: h || {}, drm: k || null } : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // HLS, DASH o flusso diretto; gli URL senza estensione riconoscibile sono trattati come HLS
+    getStreamType(url) {
+        const pathname = url.split('?')[0].toLowerCase();
+        if (pathname.endsWith('.mpd')) return 'DASH';
+        if (/\.(mp4|mkv|avi|mov|webm|ts|mp3|aac)$/.test(pathname)) return 'HTTP';
+        return 'HLS';
+    }
+
+    /**
+     * URL del relay per un flusso
+     * @param {string} baseUrl - URL pubblico dell'addon (protocollo e host)
+     * @param {string} streamUrl - URL upstream
+     * @param {Object} headers - Header del canale
+     * @param {string} kind - hls, segment, dash o stream
+     * @param {Object} drm - Chiavi ClearKey del flusso (solo DASH)
+     * @returns {string}
+     */
+    buildUrl(baseUrl, streamUrl, headers = {}, kind = 'hls', drm = null) {
+        const base = `${baseUrl.replace(/\/+$/, '')}${ROUTE_PREFIX}`;
+
+        if (kind === 'dash') {
+            // Il token fa da directory: i segmenti relativi del manifest si risolvono da soli
+            const fileName = new URL(streamUrl).pathname.split('/').pop() || 'manifest.mpd';
+            return `${base}/dash/${this.createToken(streamUrl, headers, drm)}/${fileName}`;
+        }
+
+        const token = encodeURIComponent(this.createToken(streamUrl, headers));
+        if (kind === 'hls') return `${base}/hls/manifest.m3u8?t=${token}`;
+        if (kind === 'segment') return `${base}/segment?t=${token}`;
+        return `${base}/stream?t=${token}`;
+    }
+
+    buildStreamUrl(baseUrl, streamUrl, headers = {}, drm = null) {
+        const kind = { HLS: 'hls', DASH: 'dash', HTTP: 'stream' }[this.getStreamType(streamUrl)];
+        return this.buildUrl(baseUrl, streamUrl, headers, kind, drm);
+    }
+
+    /**
+     * Risolve un percorso relativo sotto la directory firmata di un manifest DASH
+     * @param {string} signedUrl - URL firmato nel token (manifest o directory)
+     * @param {string} relativePath - Percorso richiesto dopo il token, con eventuale query
+     * @returns {string|null} - URL upstream, null se esce dalla directory firmata
+     */
+    resolveDashUrl(signedUrl, relativePath) {
+        try {
+            const base = new URL(signedUrl);
+            const resolved = new URL(relativePath, base);
+            const directory = base.pathname.replace(/[^/]*$/, '');
+
+            if (!/^https?:$/.test(resolved.protocol) || resolved.origin !== base.origin || !resolved.pathname.startsWith(directory)) {
+                return null;
+            }
+            return resolved.toString();
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Riscrive varianti, rendition, chiavi, init segment e segmenti di una playlist HLS
+     * @param {string} content - Playlist upstream
+     * @param {string} playlistUrl - URL finale della playlist, base per gli URI relativi
+     * @param {Object} headers - Header da usare verso l'upstream
+     * @param {string} baseUrl - URL pubblico dell'addon
+     * @returns {string}
+     */
+    rewriteHlsPlaylist(content, playlistUrl, headers, baseUrl) {
+        let nextIsPlaylist = false;
+
+        const rewriteUri = (uri, kind) => {
+            const absolute = new URL(uri, playlistUrl).toString();
+            // URI non HTTP (data:, skd:// ...) restano invariati
+            if (!/^https?:\/\//i.test(absolute)) return uri;
+            return this.buildUrl(baseUrl, absolute, headers, kind);
+        };
+
+        return content.split(/\r?\n/).map(line => {
+            const trimmed = line.trim();
+            if (!trimmed) return line;
+
+            if (trimmed.startsWith('#')) {
+                if (trimmed.startsWith('#EXT-X-STREAM-INF')) {
+                    nextIsPlaylist = true;
+                }
+                const kind = /^#EXT-X-(MEDIA|I-FRAME-STREAM-INF):/.test(trimmed) ? 'hls' : 'segment';
+                return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${rewriteUri(uri, kind)}"`);
+            }
+
+            const kind = nextIsPlaylist || /\.m3u8?(\?|$)/i.test(trimmed) ? 'hls' : 'segment';
+            nextIsPlaylist = false;
+            return rewriteUri(trimmed, kind);
+        }).join('\n');
+    }
+
+    /**
+     * Riporta sul relay i BaseURL assoluti del manifest DASH e, se il canale ha chiavi ClearKey,
+     * dichiara negli AdaptationSet un server di licenza ClearKey servito dal relay stesso
+     * @param {string} content - Manifest upstream
+     * @param {Object} target - URL, header e chiavi del manifest
+     * @param {string} baseUrl - URL pubblico dell'addon
+     * @returns {string}
+     */
+    rewriteDashManifest(content, target, baseUrl) {
+        const { headers, drm } = target;
+        let manifest = content.replace(/<BaseURL([^>]*)>\s*(https?:\/\/[^<\s]+)\s*<\/BaseURL>/gi, (match, attributes, url) => {
+            const directory = url.endsWith('/') ? url : url.replace(/[^/]*$/, '');
+            const rewritten = `${baseUrl}${ROUTE_PREFIX}/dash/${this.createToken(directory, headers)}/${url.slice(directory.length)}`;
+            return `<BaseURL${attributes}>${rewritten}</BaseURL>`;
+        });
+
+        if (drm && !manifest.toLowerCase().includes(CLEARKEY_SYSTEM_ID)) {
+            const licenseUrl = `${baseUrl}${ROUTE_PREFIX}/clearkey?t=${encodeURIComponent(this.createToken(target.url, {}, drm))}`;
+            const contentProtection = `<ContentProtection schemeIdUri="urn:uuid:${CLEARKEY_SYSTEM_ID}" value="ClearKey1.0">` +
+                `<clearkey:Laurl xmlns:clearkey="http://dashif.org/guidelines/clearKey" Lic_type="EME-1.0">${licenseUrl}</clearkey:Laurl>` +
+                `<dashif:laurl xmlns:dashif="https://dashif.org/CPS">${licenseUrl}</dashif:laurl>` +
+                '</ContentProtection>';
+            manifest = manifest.replace(/<AdaptationSet\b[^>]*>/g, tag => tag.endsWith('/>') ? tag : `${tag}${contentProtection}`);
+        }
+
+        return manifest;
+    }
+
+    // Risposta di licenza ClearKey (EME): chiavi in formato JWK con kid e k in base64url
+    buildClearKeyLicense(drm) {
+        const keyIds = drm.keyId.split(',');
+        const keys = drm.key.split(',');
+        return {
+            keys: keyIds.map((keyId, index) => ({
+                kty: 'oct',
+                kid: Buffer.from(keyId, 'hex').toString('base64url'),
+                k: Buffer.from(keys[index] || '', 'hex').toString('base64url')
+            })),
+            type: 'temporary'
+        };
+    }
+
+    // Con trust proxy attivo req.protocol rispetta X-Forwarded-Proto
+    getBaseUrl(req) {
+        return `${req.protocol}://${req.get('host')}`;
+    }
+
+    async fetchUpstream(url, headers, req) {
+        const requestHeaders = { ...headers };
+        if (req.headers.range) {
+            requestHeaders['Range'] = req.headers.range;
+        }
+
+        return requestUpstream(url, { headers: requestHeaders, timeout: this.timeout });
+    }
+
+    async readBody(stream) {
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    pipeResponse(upstream, res) {
+        res.status(upstream.status);
+        FORWARDED_HEADERS.forEach(name => {
+            if (upstream.headers[name]) {
+                res.setHeader(name, upstream.headers[name]);
+            }
+        });
+
+        // Se il player chiude la connessione interrompe anche il download upstream
+        res.on('close', () => upstream.data.destroy());
+        upstream.data.on('error', () => res.destroy());
+        upstream.data.pipe(res);
+    }
+
+    /**
+     * Inoltra una richiesta: le playlist HLS e i manifest DASH vengono riscritti,
+     * tutto il resto (segmenti, chiavi, flussi diretti) passa così com'è
+     */
+    async relay(req, res, target, mode) {
+        try {
+            const upstream = await this.fetchUpstream(target.url, target.headers, req);
+            const { finalUrl, contentType } = upstream;
+
+            if (upstream.status >= 400) {
+                upstream.data.destroy();
+                console.log(`⚠️ Proxy interno: HTTP ${upstream.status} da ${target.url}`);
+                return res.status(upstream.status).end();
+            }
+
+            const isHls = mode === 'hls' && (/mpegurl/i.test(contentType) || /\.m3u8?(\?|$)/i.test(finalUrl));
+            const isDash = mode === 'dash' && (/dash\+xml/i.test(contentType) || /\.mpd(\?|$)/i.test(finalUrl));
+
+            if (!isHls && !isDash) {
+                return this.pipeResponse(upstream, res);
+            }
+
+            const body = await this.readBody(upstream.data);
+            const content = body.toString('utf8');
+            const baseUrl = this.getBaseUrl(req);
+
+            // Alcuni server restituiscono playlist HLS con content-type generico o flussi TS su URL senza estensione
+            if (isHls && !content.trimStart().startsWith('#EXTM3U')) {
+                res.setHeader('Content-Type', contentType || 'application/octet-stream');
+                return res.send(body);
+            }
+
+            res.setHeader('Cache-Control', 'no-cache');
+            if (isHls) {
+                res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+                return res.send(this.rewriteHlsPlaylist(content, finalUrl, target.headers, baseUrl));
+            }
+
+            res.setHeader('Content-Type', 'application/dash+xml');
+            return res.send(this.rewriteDashManifest(content, target, baseUrl));
+        } catch (error) {
+            console.error('❌ Errore proxy interno:', error.message);
+            if (!res.headersSent) {
+                res.status(502).end();
+            }
+        }
+    }
+
+    createRouter() {
+        const router = express.Router();
+
+        const withToken = (mode) => (req, res) => {
+            const target = this.parseToken(req.query.t);
+            if (!target) {
+                return res.status(403).json({ error: 'Token non valido' });
+            }
+            return this.relay(req, res, target, mode);
+        };
+
+        router.get('/hls/manifest.m3u8', withToken('hls'));
+        router.get('/segment', withToken('segment'));
+        router.get('/stream', withToken('stream'));
+
+        // /dash/<token>/<percorso relativo>: il token firma la directory del manifest
+        router.get(/^\/dash\/([^/]+)\/(.*)$/, (req, res) => {
+            const target = this.parseToken(req.params[0]);
+            if (!target) {
+                return res.status(403).json({ error: 'Token non valido' });
+            }
+
+            const query = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+            const url = this.resolveDashUrl(target.url, `${req.params[1]}${query}`);
+            if (!url) {
+                return res.status(403).json({ error: 'Percorso non consentito' });
+            }
+            return this.relay(req, res, { url, headers: target.headers, drm: target.drm }, 'dash');
+        });
+
+        // Server di licenza ClearKey dichiarato nei manifest DASH riscritti
+        router.all('/clearkey', (req, res) => {
+            const target = this.parseToken(req.query.t);
+            if (!target?.drm) {
+                return res.status(403).json({ error: 'Token non valido' });
+            }
+            return res.json(this.buildClearKeyLicense(target.drm));
+        });
+
+        return router;
+    }
+}
+
+module.exports = new InternalProxy();
@@ -0,0 +1,171 @@
+// Codici delle lingue selezionabili nella pagina di configurazione (campo language)
+const LANGUAGE_CODES = {
+    'Italiano': 'it',
+    'Italiana': 'it',
+    'English': 'en',
+    'Español': 'es',
+    'Français': 'fr',
+    'Deutsch': 'de',
+    'Português': 'pt',
+    'Nederlands': 'nl',
+    'Polski': 'pl',
+    'Русский': 'ru',
+    'العربية': 'ar',
+    '中文': 'zh',
+    '日本語': 'ja',
+    '한국어': 'ko'
+};
+
+// Testi mostrati in Stremio (nomi dei cataloghi, descrizioni, titoli degli stream e releaseInfo), con segnaposto {nome}.
+// Le lingue senza traduzione usano l'inglese; le chiavi mancanti l'italiano.
+const MESSAGES = {
+    it: {
+        live: 'LIVE',
+        liveChannel: 'Canale live: {name}',
+        channelSummary: 'Canale: {name} - ID: {id}',
+        channelId: 'ID Canale: {id}',
+        channelNumber: 'Canale {number}',
+        onAirNow: 'IN ONDA ORA',
+        upcomingPrograms: 'PROSSIMI PROGRAMMI',
+        schedule: 'Orario',
+        category: 'Categoria',
+        rerun: 'Replica',
+        completed: 'Completato',
+        error: 'Errore',
+        unknownError: 'Errore sconosciuto',
+        playlistRegenerated: 'Playlist rigenerata con successo!\n Riavvia stremio o torna indietro.',
+        internalProxy: 'Proxy interno {type}',
+        externalProxy: 'Proxy {type}',
+        resolved: 'Risolto',
+        nowCatalog: 'In onda ora',
+        upcomingCatalog: 'Prossime {hours} ore',
+        newChannelsCatalog: 'Nuovi canali',
+        favouritesCatalog: 'Preferiti',
+        moviesCatalog: 'Film',
+        seriesCatalog: 'Serie',
+        languageTag: 'ITA',
+        minutesLeft: '{minutes} min',
+        hoursLeft: '{hours}h {minutes}min'
+    },
+    en: {
+        live: 'LIVE',
+        liveChannel: 'Live channel: {name}',
+        channelSummary: 'Channel: {name} - ID: {id}',
+        channelId: 'Channel ID: {id}',
+        channelNumber: 'Channel {number}',
+        onAirNow: 'ON AIR NOW',
+        upcomingPrograms: 'UPCOMING PROGRAMS',
+        schedule: 'Time',
+        category: 'Category',
+        rerun: 'Rerun',
+        completed: 'Completed',
+        error: 'Error',
+        unknownError: 'Unknown error',
+        playlistRegenerated: 'Playlist regenerated successfully!\n Restart Stremio or go back.',
+        internalProxy: 'Internal proxy {type}',
+        externalProxy: 'Proxy {type}',
+        resolved: 'Resolved',
+        nowCatalog: 'On air now',
+        upcomingCatalog: 'Next {hours} hours',
+        newChannelsCatalog: 'New channels',
+        favouritesCatalog: 'Favourites',
+        moviesCatalog: 'Movies',
+        seriesCatalog: 'Series',
+        languageTag: 'ENG',
+        minutesLeft: '{minutes} min',
+        hoursLeft: '{hours}h {minutes}min'
+    },
+    es: {
+        live: 'EN VIVO',
+        liveChannel: 'Canal en vivo: {name}',
+        channelSummary: 'Canal: {name} - ID: {id}',
+        channelId: 'ID del canal: {id}',
+        channelNumber: 'Canal {number}',
+        onAirNow: 'EN EMISIÓN',
+        upcomingPrograms: 'PRÓXIMOS PROGRAMAS',
+        schedule: 'Horario',
+        category: 'Categoría',
+        rerun: 'Repetición',
+        completed: 'Completado',
+        error: 'Error',
+        unknownError: 'Error desconocido',
+        playlistRegenerated: '¡Playlist regenerada correctamente!\n Reinicia Stremio o vuelve atrás.',
+        internalProxy: 'Proxy interno {type}',
+        externalProxy: 'Proxy {type}',
+        resolved: 'Resuelto',
+        nowCatalog: 'En emisión ahora',
+        upcomingCatalog: 'Próximas {hours} horas',
+        newChannelsCatalog: 'Canales nuevos',
+        favouritesCatalog: 'Favoritos',
+        moviesCatalog: 'Películas',
+        seriesCatalog: 'Series',
+        languageTag: 'ESP',
+        minutesLeft: '{minutes} min',
+        hoursLeft: '{hours} h {minutes} min'
+    },
+    fr: {
+        live: 'EN DIRECT',
+        liveChannel: 'Chaîne en direct : {name}',
+        channelSummary: 'Chaîne : {name} - ID : {id}',
+        channelId: 'ID de la chaîne : {id}',
+        channelNumber: 'Chaîne {number}',
+        onAirNow: 'EN DIRECT',
+        upcomingPrograms: 'PROCHAINS PROGRAMMES',
+        schedule: 'Horaire',
+        category: 'Catégorie',
+        rerun: 'Rediffusion',
+        completed: 'Terminé',
+        error: 'Erreur',
+        unknownError: 'Erreur inconnue',
+        playlistRegenerated: 'Playlist régénérée avec succès !\n Redémarrez Stremio ou revenez en arrière.',
+        internalProxy: 'Proxy interne {type}',
+        externalProxy: 'Proxy {type}',
+        resolved: 'Résolu',
+        nowCatalog: 'En direct maintenant',
+        upcomingCatalog: 'Prochaines {hours} heures',
+        newChannelsCatalog: 'Nouvelles chaînes',
+        favouritesCatalog: 'Favoris',
+        moviesCatalog: 'Films',
+        seriesCatalog: 'Séries',
+        languageTag: 'FRA',
+        minutesLeft: '{minutes} min',
+        hoursLeft: '{hours} h {minutes} min'
+    }
+};
+
+const DEFAULT_LANGUAGE = 'it';
+const FALLBACK_LANGUAGE = 'en';
+
+function getLanguageCode(language) {
+    if (!language) return DEFAULT_LANGUAGE;
+    return LANGUAGE_CODES[language] || String(language).substring(0, 2).toLowerCase();
+}
+
+// Sigla della lingua nei nomi di canali e stream ([ITA], [ENG]...); per le lingue senza traduzioni
+// le prime tre lettere del nome
+function getLanguageTag(language) {
+    return MESSAGES[getLanguageCode(language)]?.languageTag || String(language || '').substring(0, 3).toUpperCase();
+}
+
+/**
+ * Restituisce la funzione di traduzione per la lingua configurata
+ * @param {string} language - Valore del campo language ("Italiano", "English"...)
+ * @returns {function(string, Object=): string} - t(chiave, segnaposto)
+ */
+function createTranslator(language) {
+    const code = getLanguageCode(language);
+    const messages = MESSAGES[code] || MESSAGES[FALLBACK_LANGUAGE];
+
+    return (key, params = {}) => {
+        const template = messages[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? '');
+    };
+}
+
+module.exports = {
+    LANGUAGE_CODES,
+    MESSAGES,
+    getLanguageCode,
+    getLanguageTag,
+    createTranslator
+};
@@ -1,11 +1,25 @@
 const config = require('./config');
 const EPGManager = require('./epg-manager');
+const { getCatchupDays, getCatchupVideoId } = require('./catchup-builder');
+const { getChannelNumbers } = require('./channel-numbering');
+const { createTranslator } = require('./messages');
 
 function normalizeId(id) {
     return id?.toLowerCase().replace(/[^\w.]/g, '').trim() || '';
 }
 
-function enrichWithDetailedEPG(meta, channelId, userConfig) {
+function getLanguageFromConfig(userConfig) {
+    return userConfig.language || config.defaultLanguage || 'Italiano';
+}
+
+// Titolo del programma con episodio e sottotitolo, es. "Titolo - S02E05 - Episodio"
+function formatProgramTitle(program) {
+    return [program.title, program.episode, program.subTitle]
+        .filter(part => part)
+        .join(' - ');
+}
+
+function enrichWithDetailedEPG(meta, channelId, userConfig, cacheKey = null) {
 
     if (!userConfig.epg_enabled) {
         console.log('❌ EPG non abilitato');
@@ -14,15 +28,17 @@ function enrichWithDetailedEPG(meta, channelId, userConfig) {
 
     const normalizedId = normalizeId(channelId);
 
-    const currentProgram = EPGManager.getCurrentProgram(normalizedId);
+    const language = getLanguageFromConfig(userConfig);
+    const t = createTranslator(language);
+    const currentProgram = EPGManager.getCurrentProgram(normalizedId, language, cacheKey);
 
 
-    const upcomingPrograms = EPGManager.getUpcomingPrograms(normalizedId);
+    const upcomingPrograms = EPGManager.getUpcomingPrograms(normalizedId, language, cacheKey);
 
     if (currentProgram) {
         let description = [];
 
-        description.push('📺 IN ONDA ORA:', currentProgram.title);
+        description.push(`📺 ${t('onAirNow')}:`, formatProgramTitle(currentProgram));
 
         if (currentProgram.description) {
             description.push('', currentProgram.description);
@@ -34,12 +50,38 @@ function enrichWithDetailedEPG(meta, channelId, userConfig) {
             description.push(`🏷️ ${currentProgram.category}`);
         }
 
+        if (currentProgram.date) {
+            description.push(`📆 ${currentProgram.date}`);
+        }
+
+        if (currentProgram.rating) {
+            description.push(`🔞 ${currentProgram.rating}`);
+        }
+
+        if (currentProgram.isRerun) {
+            description.push(`🔁 ${t('rerun')}`);
+        }
+
+        if (currentProgram.credits?.director) {
+            description.push(`🎬 ${currentProgram.credits.director.join(', ')}`);
+        }
+
+        if (currentProgram.credits?.actor) {
+            description.push(`🎭 ${currentProgram.credits.actor.slice(0, 5).join(', ')}`);
+        }
+
+        // L'immagine del programma sostituisce il logo del canale come locandina e sfondo
+        if (currentProgram.icon) {
+            meta.poster = currentProgram.icon;
+            meta.background = currentProgram.icon;
+        }
+
         if (upcomingPrograms?.length > 0) {
-            description.push('', '📅 PROSSIMI PROGRAMMI:');
+            description.push('', `📅 ${t('upcomingPrograms')}:`);
             upcomingPrograms.forEach(program => {
                 description.push(
                     '',
-                    `• ${program.start} - ${program.title}`
+                    `• ${program.start} - ${formatProgramTitle(program)}`
                 );
                 if (program.description) {
                     description.push(`  ${program.description}`);
@@ -51,13 +93,93 @@ function enrichWithDetailedEPG(meta, channelId, userConfig) {
         }
 
         meta.description = description.join('\n');
-        meta.releaseInfo = `${currentProgram.title} (${currentProgram.start})`;
+        meta.releaseInfo = `${formatProgramTitle(currentProgram)} (${currentProgram.start})`;
     } else {
     }
 
     return meta;
 }
 
+// Espone i programmi passati (entro catchup-days) come video del canale, dal più recente
+function addCatchupVideos(meta, channel, userConfig, cacheKey = null) {
+    if (userConfig.epg_enabled !== 'true' || !channel.streamInfo?.tvg?.id) {
+        return meta;
+    }
+
+    const catchupDays = getCatchupDays(channel);
+    if (!catchupDays) {
+        return meta;
+    }
+
+    const since = Date.now() - catchupDays * 24 * 60 * 60 * 1000;
+    const language = getLanguageFromConfig(userConfig);
+    const pastPrograms = EPGManager.getPastPrograms(
+        normalizeId(channel.streamInfo.tvg.id),
+        since,
+        language,
+        cacheKey
+    );
+
+    if (pastPrograms.length === 0) {
+        return meta;
+    }
+
+    meta.videos = [
+        {
+            id: channel.id,
+            title: `🔴 ${createTranslator(language)('live')}`,
+            released: new Date().toISOString()
+        },
+        ...pastPrograms.map(program => ({
+            id: getCatchupVideoId(channel, program),
+            title: `⏪ ${program.start} - ${formatProgramTitle(program)}`,
+            released: new Date(program.startTime).toISOString(),
+            thumbnail: program.icon || meta.poster,
+            overview: program.description || ''
+        }))
+    ];
+
+    // Con un video predefinito Stremio avvierebbe subito la diretta senza mostrare l'archivio
+    delete meta.behaviorHints.defaultVideoId;
+
+    console.log(`✓ Catch-up: ${pastPrograms.length} programmi disponibili (${catchupDays} giorni)`);
+    return meta;
+}
+
+/**
+ * Meta di un film o di una serie on-demand; gli episodi diventano i video della serie
+ * @param {Object} item - Film o serie in cache
+ * @param {number} lastUpdated - Data di aggiornamento della cache, usata come data di uscita degli episodi
+ * @returns {Object|null}
+ */
+function buildVodMeta(item, lastUpdated) {
+    if (!item) return null;
+
+    const meta = {
+        id: item.id,
+        type: item.type,
+        name: item.name,
+        poster: item.poster,
+        background: item.background || item.poster,
+        posterShape: 'poster',
+        genre: item.genre,
+        releaseInfo: item.releaseInfo,
+        description: item.description || '',
+        // Senza isLive Stremio mostra i normali controlli di riproduzione on-demand
+        behaviorHints: { ...item.behaviorHints }
+    };
+
+    if (item.type === 'series') {
+        const released = new Date(lastUpdated || Date.now()).toISOString();
+        meta.videos = (item.videos || []).map(({ streams, ...video }) => ({
+            ...video,
+            released
+        }));
+    }
+
+    return meta;
+}
+
 async function metaHandler({ type, id, config: userConfig }) {
     try {
 
@@ -66,15 +188,21 @@ async function metaHandler({ type, id, config: userConfig }) {
             return { meta: null };
         }
 
-        if (global.CacheManager.cache.m3uUrl !== userConfig.m3u) {
+        const cacheManager = await global.CacheManager.getManager(userConfig);
+        if (cacheManager.cache.m3uUrl !== userConfig.m3u) {
             console.log('Cache M3U non aggiornata, ricostruzione...');
-            await global.CacheManager.rebuildCache(userConfig.m3u, userConfig);
+            await cacheManager.rebuildCache(userConfig.m3u, userConfig);
+        }
+
+        if (type === 'movie' || type === 'series') {
+            const meta = buildVodMeta(cacheManager.getVodItem(id), cacheManager.cache.lastUpdated);
+            return { meta };
         }
 
         const channelId = id.split('|')[1];
 
         // Usa direttamente getChannel dalla cache, che ora gestisce correttamente i suffissi
-        const channel = global.CacheManager.getChannel(channelId);
+        const channel = cacheManager.getChannel(channelId);
 
         if (!channel) {
             console.log('=== Fine Meta Handler ===\n');
@@ -83,17 +211,24 @@ async function metaHandler({ type, id, config: userConfig }) {
 
 
 
+        const t = createTranslator(getLanguageFromConfig(userConfig));
+
+        // Numero secondo lo schema configurato (numbering), altrimenti il tvg-chno della playlist
+        const cachedData = cacheManager.getCachedData();
+        const channelNumber = getChannelNumbers(userConfig, cachedData.channels, cachedData.genres).get(channel.id)
+            ?? channel.streamInfo?.tvg?.chno;
+
         const meta = {
             id: channel.id,
             type: 'tv',
-            name: channel.streamInfo?.tvg?.chno
-                ? `${channel.streamInfo.tvg.chno}. ${channel.name}`
+            name: channelNumber
+                ? `${channelNumber}. ${channel.name}`
                 : channel.name,
             poster: channel.poster || channel.logo,
             background: channel.background || channel.logo,
             logo: channel.logo,
             description: '',
-            releaseInfo: 'LIVE',
+            releaseInfo: t('live'),
             genre: channel.genre,
             posterShape: 'square',
             language: 'ita',
@@ -106,7 +241,7 @@ async function metaHandler({ type, id, config: userConfig }) {
         };
 
         if ((!meta.poster || !meta.background || !meta.logo) && channel.streamInfo?.tvg?.id) {
-            const epgIcon = EPGManager.getChannelIcon(normalizeId(channel.streamInfo.tvg.id));
+            const epgIcon = EPGManager.getChannelIcon(normalizeId(channel.streamInfo.tvg.id), cacheManager.cacheKey);
             if (epgIcon) {
                 meta.poster = meta.poster || epgIcon;
                 meta.background = meta.background || epgIcon;
@@ -117,19 +252,24 @@ async function metaHandler({ type, id, config: userConfig }) {
 
         let baseDescription = [];
 
-        if (channel.streamInfo?.tvg?.chno) {
-            baseDescription.push(`📺 Canale ${channel.streamInfo.tvg.chno}`);
+        if (channelNumber) {
+            baseDescription.push(`📺 ${t('channelNumber', { number: channelNumber })}`);
         }
 
         if (channel.description) {
             baseDescription.push('', channel.description);
         } else {
-            baseDescription.push('', `ID Canale: ${channel.streamInfo?.tvg?.id}`);
+            baseDescription.push('', t('channelId', { id: channel.streamInfo?.tvg?.id }));
         }
 
         meta.description = baseDescription.join('\n');
 
-        const enrichedMeta = enrichWithDetailedEPG(meta, channel.streamInfo?.tvg?.id, userConfig);
+        const enrichedMeta = addCatchupVideos(
+            enrichWithDetailedEPG(meta, channel.streamInfo?.tvg?.id, userConfig, cacheManager.cacheKey),
+            channel,
+            userConfig,
+            cacheManager.cacheKey
+        );
 
         console.log('✓ Meta handler completato');
         return { meta: enrichedMeta };
@@ -2,6 +2,20 @@ const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
 const config = require('./config');
+const { XtreamClient, isXtreamSource, parseXtreamSourceUrl } = require('./xtream-client');
+const { readSource, parseSourceList, describeSources } = require('./source-reader');
+const { loadRules, applyRules, getRuleGenres } = require('./channel-rules');
+const { RemappingRules } = require('./remapping-rules');
+const { mergeQualityVariants } = require('./quality-variants');
+const { applyNumberMap } = require('./channel-numbering');
+const { createTranslator } = require('./messages');
+
+// Riconoscimento dei contenuti on-demand presenti nelle playlist
+const VOD_EXTENSION_PATTERN = /\.(mkv|mp4|avi|mov|m4v|wmv|flv|webm|mpe?g)(\?.*)?$/i;
+const VOD_PATH_PATTERN = /\/(movie|series)\//i;
+const VOD_GROUP_PATTERN = /^(vod|film|movies?|series|serie tv)\b/i;
+const EPISODE_PATTERN = /\bS(\d{1,2})\s*E(\d{1,4})\b/i;
+const YEAR_PATTERN = /[\(\[]((?:19|20)\d{2})[\)\]]/;
 
 async function readExternalFile(url) {
   try {
@@ -23,8 +37,13 @@ async function readExternalFile(url) {
 
 class PlaylistTransformer {
   constructor() {
-      this.remappingRules = new Map();
+      this.remappingRules = new RemappingRules();
+      this.idSuffix = '';
+      this.translate = createTranslator();
+      this.remappingReport = null;
       this.channelsMap = new Map();
+      this.moviesMap = new Map();
+      this.seriesMap = new Map();
       this.channelsWithoutStreams = [];
   }
 
@@ -40,49 +59,38 @@ class PlaylistTransformer {
           .replace(/\s+/g, '');
   }
 
-  async loadRemappingRules(config) {
+  async loadRemappingRules(config, readContent = readSource) {
       console.log('Remapper path:', config?.remapper_path);
       const defaultPath = path.join(__dirname, 'link.epg.remapping');
-      const remappingPath = config?.remapper_path || defaultPath;
+      const remapperPath = config?.remapper_path?.trim();
+      const remappingPath = remapperPath || defaultPath;
     
       try {
           let content;
-          if (remappingPath.startsWith('http')) {
+          if (remapperPath) {
+              // Letto con readContent: una modifica del file fa ricostruire la cache anche con la playlist invariata
               try {
-                  const response = await axios.get(remappingPath);
-                  content = response.data;
-                  console.log('✓ Download remapping remoto completato');
-              } catch (downloadError) {
-                  console.error('❌ Download remoto fallito:', downloadError.message);
-                  if (downloadError.response) {
-                      console.error('Status:', downloadError.response.status);
-                      console.error('Headers:', downloadError.response.headers);
-                  }
+                  content = await readContent(remapperPath);
+                  console.log('✓ Lettura remapping completata');
+              } catch (readError) {
+                  console.error('❌ Lettura remapping fallita:', readError.message);
                   console.log('Uso fallback locale:', defaultPath);
                   content = await fs.promises.readFile(defaultPath, 'utf8');
               }
           } else {
-              content = await fs.promises.readFile(remappingPath, 'utf8');
+              content = await fs.promises.readFile(defaultPath, 'utf8');
           }
 
-          let ruleCount = 0;
-          content.split('\n').forEach(line => {
-              line = line.trim();
-              if (!line || line.startsWith('#')) return;
-              const [m3uId, epgId] = line.split('=').map(s => s.trim());
-              if (m3uId && epgId) {
-                  this.remappingRules.set(this.normalizeId(m3uId), this.normalizeId(epgId));
-                  ruleCount++;
-              }
-          });
+          this.remappingRules = new RemappingRules(content);
+          this.remappingRules.errors.forEach(error => console.warn(`⚠️ Remapping: ${error}`));
 
-          console.log(`✓ Caricate ${ruleCount} regole da ${remappingPath}`);
+          console.log(`✓ Caricate ${this.remappingRules.size} regole da ${remappingPath}`);
       } catch (error) {
           console.error('❌ Errore finale remapping:', error.message);
       }
   }
 
-  parseVLCOpts(lines, currentIndex, extinf) {
+  parseVLCOpts(lines, currentIndex, extinf, initialKodiProps = {}) {
       let i = currentIndex;
       
       // Debug per vedere il contenuto delle linee
@@ -101,36 +109,44 @@ class PlaylistTransformer {
           });
       }
 
+      // Tra #EXTINF e l'URL possono comparire, in qualsiasi ordine, #EXTVLCOPT, #EXTHTTP e #KODIPROP
       const vlcHeaders = {};
-      while (i < lines.length && lines[i].startsWith('#EXTVLCOPT:')) {
-          const opt = lines[i].substring('#EXTVLCOPT:'.length).trim();
-          const [key, ...value] = opt.split('=');
-          const headerKey = key.replace('http-', '');
-          vlcHeaders[headerKey] = value.join('=');
-          i++;
-      }
-
       const httpHeaders = {};
-      if (i < lines.length && lines[i].startsWith('#EXTHTTP:')) {
-          try {
-              const parsed = JSON.parse(lines[i].substring('#EXTHTTP:'.length));
-              Object.assign(httpHeaders, parsed);
-              i++;
-          } catch (e) {
-              console.error('Error parsing EXTHTTP:', e);
+      const kodiProps = { ...initialKodiProps };
+      while (i < lines.length) {
+          const directive = lines[i].trim();
+          if (directive.startsWith('#EXTVLCOPT:')) {
+              const opt = directive.substring('#EXTVLCOPT:'.length).trim();
+              const [key, ...value] = opt.split('=');
+              const headerKey = key.replace('http-', '');
+              vlcHeaders[headerKey] = value.join('=');
+          } else if (directive.startsWith('#EXTHTTP:')) {
+              try {
+                  const parsed = JSON.parse(directive.substring('#EXTHTTP:'.length));
+                  Object.assign(httpHeaders, parsed);
+              } catch (e) {
+                  console.error('Error parsing EXTHTTP:', e);
+              }
+          } else if (directive.startsWith('#KODIPROP:')) {
+              Object.assign(kodiProps, this.parseKodiProp(directive));
+          } else {
+              break;
           }
+          i++;
       }
 
+      const kodiHeaders = this.getKodiStreamHeaders(kodiProps);
       const finalHeaders = {
           ...extinfHeaders,
+          ...kodiHeaders,
           ...vlcHeaders,
           ...httpHeaders
       };
 
       // Unifica user-agent con varie priorità
       finalHeaders['User-Agent'] = httpHeaders['User-Agent'] || httpHeaders['user-agent'] ||
-                                  vlcHeaders['user-agent'] || extinfHeaders['user-agent'] ||
-                                  config.defaultUserAgent;
+                                  vlcHeaders['user-agent'] || kodiHeaders['user-agent'] ||
+                                  extinfHeaders['user-agent'] || config.defaultUserAgent;
 
       // Normalizza referrer/referer - preferisci 'referrer' come nome finale
       if (vlcHeaders['referrer']) {
@@ -147,19 +163,85 @@ class PlaylistTransformer {
 
       // Debug degli header finali
 
-      return { headers: finalHeaders, nextIndex: i };
+      return { headers: finalHeaders, kodiProps, nextIndex: i };
+  }
+
+  // #KODIPROP:inputstream.adaptive.license_key=kid:key
+  parseKodiProp(line) {
+      const prop = line.substring('#KODIPROP:'.length).trim();
+      const separator = prop.indexOf('=');
+      if (separator <= 0) return {};
+      return { [prop.substring(0, separator).trim().toLowerCase()]: prop.substring(separator + 1).trim() };
+  }
+
+  // inputstream.adaptive.stream_headers usa il formato query string: User-Agent=...&Referer=...
+  getKodiStreamHeaders(kodiProps = {}) {
+      const streamHeaders = kodiProps['inputstream.adaptive.stream_headers'];
+      if (!streamHeaders) return {};
+
+      const headers = {};
+      for (const [key, value] of new URLSearchParams(streamHeaders)) {
+          const lowerKey = key.toLowerCase();
+          headers[lowerKey === 'referer' ? 'referrer' : lowerKey] = value;
+      }
+      return headers;
+  }
+
+  // Converte un kid/key base64url (formato JWK) in esadecimale
+  toHexKey(value) {
+      const clean = String(value || '').trim();
+      if (/^[0-9a-f-]{32,36}$/i.test(clean)) return clean.replace(/-/g, '').toLowerCase();
+      return Buffer.from(clean, 'base64url').toString('hex');
+  }
+
+  /**
+   * Chiavi ClearKey dalle proprietà KODIPROP di inputstream.adaptive.
+   * license_key può essere kid:key (anche più coppie separate da virgola) o un JSON JWK {"keys": [...]}.
+   * @param {Object} kodiProps - Proprietà KODIPROP del canale
+   * @returns {{type: string, keyId: string, key: string}|null} - kid e key esadecimali, più coppie separate da virgola
+   */
+  getClearKeyInfo(kodiProps = {}) {
+      const licenseType = (kodiProps['inputstream.adaptive.license_type'] || '').toLowerCase();
+      const licenseKey = kodiProps['inputstream.adaptive.license_key'];
+      if (!licenseKey || (licenseType && !licenseType.includes('clearkey'))) return null;
+
+      let pairs = [];
+      if (licenseKey.startsWith('{')) {
+          try {
+              pairs = (JSON.parse(licenseKey).keys || []).map(jwk => [this.toHexKey(jwk.kid), this.toHexKey(jwk.k)]);
+          } catch (e) {
+              console.error('Error parsing KODIPROP license_key:', e.message);
+          }
+      } else if (/^https?:\/\//i.test(licenseKey)) {
+          // I server di licenza remoti non sono supportati: servono le chiavi in chiaro
+          console.warn('⚠️ KODIPROP: server di licenza ClearKey non supportato:', licenseKey);
+      } else {
+          pairs = licenseKey.split(',')
+              .map(pair => pair.trim().split(':'))
+              .filter(parts => parts.length === 2)
+              .map(([keyId, key]) => [this.toHexKey(keyId), this.toHexKey(key)]);
+      }
+
+      pairs = pairs.filter(([keyId, key]) => /^[0-9a-f]{32}$/.test(keyId) && /^[0-9a-f]{32}$/.test(key));
+      if (pairs.length === 0) return null;
+
+      return {
+          type: 'clearkey',
+          keyId: pairs.map(([keyId]) => keyId).join(','),
+          key: pairs.map(([, key]) => key).join(',')
+      };
   }
   
-  parseChannelFromLine(line, headers, config) {
+  parseChannelFromLine(line, headers, config, kodiProps = {}) {
       const metadata = line.substring(8).trim();
       const tvgData = {};
   
-      const tvgMatches = metadata.match(/([a-zA-Z-]+)="([^"]+)"/g) || [];
-      tvgMatches.forEach(match => {
-          const [key, value] = match.split('=');
+      // Il valore può contenere '=' (es. catchup-source="...?utc={utc}&lutc={lutc}")
+      const tvgMatches = metadata.matchAll(/([a-zA-Z-]+)="([^"]+)"/g);
+      for (const [, key, value] of tvgMatches) {
           const cleanKey = key.replace('tvg-', '');
-          tvgData[cleanKey] = value.replace(/"/g, '');
-      });
+          tvgData[cleanKey] = value;
+      }
 
       const groupMatch = metadata.match(/group-title="([^"]+)"/);
       let genres = [];
@@ -186,21 +268,15 @@ class PlaylistTransformer {
           name,
           group: genres,
           tvg: tvgData,
-          headers
+          headers,
+          kodiProps
       };
   }
 
+  // Le regole confrontano l'id così com'è nella playlist: le regole "base:" ignorano l'id_suffix
   getRemappedId(channel) {
-      const originalId = channel.tvg.id;
-      const suffix = config?.id_suffix || ''; // Ottieni il suffisso dalla configurazione
-      const normalizedId = this.normalizeId(originalId) + (suffix ? `.${suffix}` : ''); // Aggiungi il suffisso all'ID normalizzato
-      const remappedId = this.remappingRules.get(normalizedId);
-
-      if (remappedId) {
-          return this.normalizeId(remappedId);
-      }
-
-      return normalizedId; // Restituisci l'ID normalizzato con il suffisso
+      const normalizedId = this.normalizeId(channel.tvg.id);
+      return this.remappingRules.resolve(channel, this.idSuffix) || normalizedId;
   }
 
   createChannelObject(channel, channelId) {
@@ -218,8 +294,9 @@ class PlaylistTransformer {
           poster: channel.tvg?.logo,
           background: channel.tvg?.logo,
           logo: channel.tvg?.logo,
-          description: `Canale: ${cleanName} - ID: ${finalChannelId}`,
+          description: this.translate('channelSummary', { name: cleanName, id: finalChannelId }),
           runtime: 'LIVE',
+          playlistIndexes: [],
           behaviorHints: {
               defaultVideoId: `tv|${finalChannelId}`,
               isLive: true
@@ -235,7 +312,18 @@ class PlaylistTransformer {
       };
   }
 
-  addStreamToChannel(channel, url, name, genres, headers) {
+  // Attributi catch-up del singolo flusso (catchup, catchup-source, catchup-days)
+  getCatchupInfo(tvg = {}) {
+      if (!tvg.catchup && !tvg['catchup-source']) return null;
+
+      return {
+          type: (tvg.catchup || 'default').toLowerCase(),
+          source: tvg['catchup-source'] || '',
+          days: parseInt(tvg['catchup-days'], 10) || 1
+      };
+  }
+
+  addStreamToChannel(channel, url, name, genres, headers, catchup = null, drm = null) {
       if (genres) {
           genres.forEach(newGenre => {
               if (!channel.genre.includes(newGenre)) {
@@ -251,17 +339,261 @@ class PlaylistTransformer {
               headers
           });
       } else {
-          channel.streamInfo.urls.push({
+          const stream = {
               url,
               name,
               headers
-          });
+          };
+          if (catchup) {
+              stream.catchup = catchup;
+          }
+          if (drm) {
+              stream.drm = drm;
+          }
+          channel.streamInfo.urls.push(stream);
       }
   }
   
-  async parseM3UContent(content, config) {
+  /**
+   * Distingue canali live, film e episodi di serie: sono on-demand le voci con estensione
+   * video, percorso /movie/ o /series/ oppure gruppo VOD/Film; gli episodi hanno SxxEyy nel nome
+   * @returns {'tv'|'movie'|'series'}
+   */
+  getEntryType(currentChannel, url) {
+      const isVod = VOD_EXTENSION_PATTERN.test(url) ||
+          VOD_PATH_PATTERN.test(url) ||
+          currentChannel.group.some(group => VOD_GROUP_PATTERN.test(group));
+
+      if (!isVod) return 'tv';
+      return EPISODE_PATTERN.test(currentChannel.name) ? 'series' : 'movie';
+  }
+
+  addEntry(currentChannel, url, playlistIndex, genres) {
+      const entryType = url.toLowerCase() === 'null' ? 'tv' : this.getEntryType(currentChannel, url);
+
+      if (entryType === 'movie') {
+          this.addMovieEntry(currentChannel, url, playlistIndex);
+      } else if (entryType === 'series') {
+          this.addSeriesEpisode(currentChannel, url, playlistIndex);
+      } else {
+          this.addChannelEntry(currentChannel, url, playlistIndex, genres);
+      }
+  }
+
+  createVodObject(type, id, name, currentChannel) {
+      const yearMatch = name.match(YEAR_PATTERN);
+
+      return {
+          id: `${type}|${id}`,
+          type,
+          name: name.replace(YEAR_PATTERN, '').trim(),
+          genre: [...currentChannel.group],
+          posterShape: 'poster',
+          poster: currentChannel.tvg?.logo,
+          background: currentChannel.tvg?.logo,
+          releaseInfo: yearMatch ? yearMatch[1] : undefined,
+          playlistIndexes: [],
+          behaviorHints: {},
+          streamInfo: {
+              urls: []
+          }
+      };
+  }
+
+  addVodPlaylistIndex(item, playlistIndex) {
+      if (playlistIndex !== null && !item.playlistIndexes.includes(playlistIndex)) {
+          item.playlistIndexes.push(playlistIndex);
+      }
+  }
+
+  addMovieEntry(currentChannel, url, playlistIndex) {
+      const name = currentChannel.tvg?.name || currentChannel.name;
+      const movieId = this.normalizeId(this.cleanChannelName(name) + (name.match(YEAR_PATTERN)?.[1] || ''));
+      if (!movieId) return;
+
+      if (!this.moviesMap.has(movieId)) {
+          this.moviesMap.set(movieId, this.createVodObject('movie', movieId, name, currentChannel));
+      }
+
+      const movie = this.moviesMap.get(movieId);
+      this.addVodPlaylistIndex(movie, playlistIndex);
+      movie.streamInfo.urls.push({ url, name: currentChannel.name, headers: currentChannel.headers });
+  }
+
+  // "Serie S01E02 Titolo" -> serie "Serie", stagione 1, episodio 2, titolo "Titolo"
+  addSeriesEpisode(currentChannel, url, playlistIndex) {
+      const fullName = currentChannel.name;
+      const match = fullName.match(EPISODE_PATTERN);
+      const seriesName = fullName.substring(0, match.index).replace(/[\s\-:|.]+$/, '').trim() || fullName;
+
+      this.addSeriesVideo(currentChannel, seriesName, {
+          season: parseInt(match[1], 10),
+          episode: parseInt(match[2], 10),
+          title: fullName.substring(match.index + match[0].length).replace(/^[\s\-:|.]+/, '').trim(),
+          thumbnail: currentChannel.tvg?.logo
+      }, url, playlistIndex);
+  }
+
+  // Aggiunge il flusso di un episodio alla serie, creando serie ed episodio se non esistono ancora
+  addSeriesVideo(currentChannel, seriesName, { season, episode, title, thumbnail }, url, playlistIndex) {
+      const seriesId = this.normalizeId(this.cleanChannelName(seriesName));
+      if (!seriesId) return;
+
+      if (!this.seriesMap.has(seriesId)) {
+          const series = this.createVodObject('series', seriesId, seriesName, currentChannel);
+          delete series.streamInfo;
+          series.videos = [];
+          this.seriesMap.set(seriesId, series);
+      }
+
+      const series = this.seriesMap.get(seriesId);
+      this.addVodPlaylistIndex(series, playlistIndex);
+
+      const videoId = `${series.id}|${season}|${episode}`;
+      let video = series.videos.find(v => v.id === videoId);
+      if (!video) {
+          video = {
+              id: videoId,
+              title: title || `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`,
+              season,
+              episode,
+              thumbnail,
+              streams: []
+          };
+          series.videos.push(video);
+      }
+      video.streams.push({ url, name: currentChannel.name, headers: currentChannel.headers });
+  }
+
+  // Aggiunge un flusso al canale corrispondente, creando il canale se non esiste ancora
+  addChannelEntry(currentChannel, url, playlistIndex, genres) {
+      const remappedId = this.getRemappedId(currentChannel);
+      const normalizedId = this.normalizeId(remappedId);
+
+      if (!this.channelsMap.has(normalizedId)) {
+          const channelObj = this.createChannelObject(currentChannel, remappedId);
+          this.channelsMap.set(normalizedId, channelObj);
+          currentChannel.group.forEach(genre => genres.add(genre));
+      }
+
+      const channelObj = this.channelsMap.get(normalizedId);
+      // Tiene traccia delle playlist di origine (indice nella lista M3U separata da virgole)
+      if (playlistIndex !== null && !channelObj.playlistIndexes.includes(playlistIndex)) {
+          channelObj.playlistIndexes.push(playlistIndex);
+      }
+      this.addStreamToChannel(channelObj, url, currentChannel.name, currentChannel.group, currentChannel.headers,
+          this.getCatchupInfo(currentChannel.tvg), this.getClearKeyInfo(currentChannel.kodiProps));
+  }
+
+  /**
+   * Carica canali live, film e serie di una sorgente Xtream Codes tramite player_api.php
+   * @param {string} sourceUrl - Pseudo-URL xtream://
+   * @param {Object} userConfig - Configurazione utente
+   * @param {number} playlistIndex - Indice della sorgente nella lista M3U
+   * @returns {Promise<{genres: Array<string>, epgUrl: string}>}
+   */
+  async loadXtreamSource(sourceUrl, userConfig, playlistIndex = null) {
+      const client = new XtreamClient(parseXtreamSourceUrl(sourceUrl));
+      const { categories, streams, epgUrl } = await client.getLiveChannels();
+      const categoryNames = new Map(categories.map(category => [String(category.category_id), category.category_name]));
+      const genres = new Set(['Undefined']);
+      const headers = { 'User-Agent': config.defaultUserAgent };
+
+      streams.forEach(stream => {
+          const name = String(stream.name || '').trim();
+          if (!name || stream.stream_id === undefined) return;
+
+          const categoryName = categoryNames.get(String(stream.category_id));
+          const tvg = {
+              id: stream.epg_channel_id,
+              name,
+              logo: stream.stream_icon || undefined,
+              chno: stream.num ? String(stream.num) : undefined,
+              'category-id': stream.category_id ? String(stream.category_id) : undefined
+          };
+
+          if (Number(stream.tv_archive) === 1) {
+              tvg.catchup = 'xc';
+              tvg['catchup-days'] = String(stream.tv_archive_duration || 1);
+          }
+
+          if (!tvg.id) {
+              const suffix = userConfig?.id_suffix || '';
+              tvg.id = this.cleanChannelName(name) + (suffix ? `.${suffix}` : '');
+          }
+
+          Object.keys(tvg).forEach(key => tvg[key] === undefined && delete tvg[key]);
+
+          this.addChannelEntry({
+              name,
+              group: [categoryName || 'Altri Canali'],
+              tvg,
+              headers: { ...headers }
+          }, client.getStreamUrl(stream.stream_id), playlistIndex, genres);
+      });
+
+      // I film on-demand sono facoltativi: un errore non deve bloccare i canali live
+      try {
+          const vod = await client.getVodMovies();
+          const vodCategoryNames = new Map(vod.categories.map(category => [String(category.category_id), category.category_name]));
+
+          vod.streams.forEach(stream => {
+              const name = String(stream.name || '').trim();
+              if (!name || stream.stream_id === undefined) return;
+
+              this.addMovieEntry({
+                  name,
+                  group: [vodCategoryNames.get(String(stream.category_id)) || 'VOD'],
+                  tvg: { logo: stream.stream_icon || undefined },
+                  headers: { ...headers }
+              }, client.getMovieUrl(stream.stream_id, stream.container_extension), playlistIndex);
+          });
+      } catch (error) {
+          console.error('❌ Errore caricamento film Xtream:', error.message);
+      }
+
+      // Serie on-demand: come i film, facoltative
+      try {
+          const vod = await client.getVodSeries();
+          const seriesCategoryNames = new Map(vod.categories.map(category => [String(category.category_id), category.category_name]));
+
+          vod.series.forEach(({ info, episodes }) => {
+              const seriesName = String(info.name || '').trim();
+              if (!seriesName) return;
+
+              const seriesChannel = {
+                  group: [seriesCategoryNames.get(String(info.category_id)) || 'Serie TV'],
+                  tvg: { logo: info.cover || undefined },
+                  headers: { ...headers }
+              };
+
+              episodes.forEach(episode => {
+                  const label = `S${String(episode.season).padStart(2, '0')}E${String(episode.episode_num).padStart(2, '0')}`;
+                  // I pannelli spesso ripetono serie e numero nel titolo: "Serie - S01E02 - Titolo"
+                  const rawTitle = String(episode.title || '').trim();
+                  const match = rawTitle.match(EPISODE_PATTERN);
+                  this.addSeriesVideo({ ...seriesChannel, name: `${seriesName} ${label}` }, seriesName, {
+                      season: episode.season,
+                      episode: episode.episode_num,
+                      title: match ? rawTitle.substring(match.index + match[0].length).replace(/^[\s\-:|.]+/, '').trim() : rawTitle,
+                      thumbnail: episode.info?.movie_image || info.cover || undefined
+                  }, client.getEpisodeUrl(episode.id, episode.container_extension), playlistIndex);
+              });
+          });
+      } catch (error) {
+          console.error('❌ Errore caricamento serie Xtream:', error.message);
+      }
+
+      return {
+          genres: Array.from(genres),
+          epgUrl
+      };
+  }
+
+  async parseM3UContent(content, config, playlistIndex = null) {
       const lines = content.split('\n');
       let currentChannel = null;
+      let pendingKodiProps = {};
       const genres = new Set(['Undefined']);
   
       let epgUrl = null;
@@ -276,28 +608,21 @@ class PlaylistTransformer {
       for (let i = 0; i < lines.length; i++) {
           const line = lines[i].trim();
       
-          if (line.startsWith('#EXTINF:')) {
-              const { headers, nextIndex } = this.parseVLCOpts(lines, i + 1, line);
+          if (line.startsWith('#KODIPROP:')) {
+              // Alcune playlist dichiarano le KODIPROP prima di #EXTINF
+              Object.assign(pendingKodiProps, this.parseKodiProp(line));
+          } else if (line.startsWith('#EXTINF:')) {
+              const { headers, kodiProps, nextIndex } = this.parseVLCOpts(lines, i + 1, line, pendingKodiProps);
               i = nextIndex - 1;
-              currentChannel = this.parseChannelFromLine(line, headers, config);
+              currentChannel = this.parseChannelFromLine(line, headers, config, kodiProps);
+              pendingKodiProps = {};
 
               // Verifica la presenza di User-Agent, Referrer e Origin
               const channelName = currentChannel.tvg?.name || currentChannel.name;
 
 
           } else if ((line.startsWith('http') || line.toLowerCase() === 'null') && currentChannel) {
-              const remappedId = this.getRemappedId(currentChannel);
-              const normalizedId = this.normalizeId(remappedId);
-
-              if (!this.channelsMap.has(normalizedId)) {
-                  const channelObj = this.createChannelObject(currentChannel, remappedId);
-                  this.channelsMap.set(normalizedId, channelObj);
-                  currentChannel.group.forEach(genre => genres.add(genre));
-              }
-
-              const channelObj = this.channelsMap.get(normalizedId);
-              this.addStreamToChannel(channelObj, line, currentChannel.name, currentChannel.group, currentChannel.headers);
-  
+              this.addEntry(currentChannel, line, playlistIndex, genres);
               currentChannel = null;
           }
       }
@@ -341,9 +666,20 @@ class PlaylistTransformer {
       };
   }
 
-  async loadAndTransform(url, config = {}) {
+  /**
+   * Scarica e converte le playlist (URL separati da virgola, liste di URL o sorgenti Xtream)
+   * @param {string} url - Sorgenti M3U
+   * @param {Object} config - Configurazione utente
+   * @param {Function} readContent - Lettura di una sorgente (url => contenuto), sostituibile per tracciare i download
+   * @returns {Promise<Object>}
+   */
+  async loadAndTransform(url, config = {}, readContent = readSource) {
       try {
-          await this.loadRemappingRules(config);
+          this.idSuffix = config?.id_suffix || '';
+          this.translate = createTranslator(config?.language);
+          this.remappingRules = new RemappingRules();
+          await this.loadRemappingRules(config, readContent);
+          const { rules: channelRules } = await loadRules(config, readContent);
           
           // Supporto per URL multipli separati da virgola
           const urlList = url.split(',').map(u => u.trim()).filter(u => u);
@@ -353,24 +689,29 @@ class PlaylistTransformer {
           let playlistUrls = [];
           
           // Processa ogni URL fornito
-          for (const singleUrl of urlList) {
-              console.log('Controllo URL:', singleUrl);
+          for (const [sourceIndex, singleUrl] of urlList.entries()) {
+              if (isXtreamSource(singleUrl)) {
+                  playlistUrls.push({ url: singleUrl, sourceIndex, xtream: true });
+                  console.log('✓ Sorgente Xtream Codes trovata');
+                  continue;
+              }
+
+              console.log('Controllo URL:', describeSources(singleUrl));
               try {
-                  const response = await axios.get(singleUrl);
-                  const content = response.data;
+                  const content = await readContent(singleUrl);
                   
                   if (content.startsWith('#EXTM3U')) {
-                      // È un file M3U diretto
-                      playlistUrls.push(singleUrl);
-                      console.log('✓ File M3U diretto trovato:', singleUrl);
+                      // È un file M3U diretto: il contenuto scaricato viene riutilizzato
+                      playlistUrls.push({ url: singleUrl, sourceIndex, content });
+                      console.log('✓ File M3U diretto trovato:', describeSources(singleUrl));
                   } else {
                       // È una lista di URL
-                      const urls = content.split('\n').filter(line => line.trim() && line.startsWith('http'));
-                      playlistUrls.push(...urls);
+                      const urls = parseSourceList(content);
+                      playlistUrls.push(...urls.map(playlistUrl => ({ url: playlistUrl, sourceIndex })));
                       console.log('✓ Lista URL trovata, contiene', urls.length, 'playlist');
                   }
               } catch (error) {
-                  console.error('❌ Errore nel processare URL:', singleUrl, error.message);
+                  console.error('❌ Errore nel processare URL:', describeSources(singleUrl), error.message);
                   // Continua con gli altri URL anche se uno fallisce
               }
           }
@@ -380,10 +721,16 @@ class PlaylistTransformer {
           const allGenres = [];
           const allEpgUrls = new Set();
           
-          for (const playlistUrl of playlistUrls) {
-              console.log('\nProcesso playlist:', playlistUrl);
-              const playlistResponse = await axios.get(playlistUrl);
-              const result = await this.parseM3UContent(playlistResponse.data, config);
+          for (const { url: playlistUrl, sourceIndex, xtream, content } of playlistUrls) {
+              let result;
+              if (xtream) {
+                  console.log('\nProcesso sorgente Xtream Codes');
+                  result = await this.loadXtreamSource(playlistUrl, config, sourceIndex);
+              } else {
+                  console.log('\nProcesso playlist:', describeSources(playlistUrl));
+                  const playlistContent = content ?? await readContent(playlistUrl);
+                  result = await this.parseM3UContent(playlistContent, config, sourceIndex);
+              }
               
               result.genres.forEach(genre => {
                   if (!allGenres.includes(genre)) {
@@ -403,9 +750,15 @@ class PlaylistTransformer {
           const finalResult = {
               genres: allGenres,
               channels: Array.from(this.channelsMap.values()),
+              movies: Array.from(this.moviesMap.values()),
+              series: Array.from(this.seriesMap.values()),
               epgUrls: Array.from(allEpgUrls)
           };
 
+          finalResult.series.forEach(series => {
+              series.videos.sort((a, b) => a.season - b.season || a.episode - b.episode);
+          });
+
           finalResult.channels.forEach(channel => {
               if (channel.streamInfo.urls.length > 1) {
                   channel.streamInfo.urls = channel.streamInfo.urls.filter(
@@ -414,15 +767,44 @@ class PlaylistTransformer {
               }
           });
 
+          // Versioni SD/HD/FHD/4K dello stesso canale unite in un solo canale (merge_quality)
+          if (config?.merge_quality === 'true') {
+              const { channels, merged } = mergeQualityVariants(finalResult.channels);
+              finalResult.channels = channels;
+              console.log(`✓ Varianti di qualità unite: ${merged} canali`);
+          }
+
+          // Regole utente (rules_path), applicate dopo il parsing di tutte le playlist
+          if (channelRules.length > 0) {
+              const { channels, report } = applyRules(finalResult.channels, channelRules);
+              finalResult.channels = channels;
+              finalResult.genres = getRuleGenres(finalResult.genres, channels);
+              console.log(`✓ Regole canali applicate: ${report.channelsBefore} → ${report.channelsAfter} canali`);
+          }
+
+          // Numeri dal file numbering_map, usati dallo schema di numerazione "map"
+          await applyNumberMap(finalResult.channels, config, readContent);
+
+          this.remappingReport = this.remappingRules.getReport();
+          this.remappingReport.conflicts.forEach(conflict => console.warn(`⚠️ Remapping in conflitto: ${conflict}`));
+          if (this.remappingReport.unused.length > 0) {
+              console.log(`⚠️ Regole di remapping non utilizzate: ${this.remappingReport.unused.length}`);
+          }
+
           console.log('\nRiepilogo Processamento:');
           console.log(`✓ Totale canali processati: ${finalResult.channels.length}`);
           console.log(`✓ Totale generi trovati: ${finalResult.genres.length}`);
+          if (finalResult.movies.length > 0 || finalResult.series.length > 0) {
+              console.log(`✓ Film: ${finalResult.movies.length}, serie: ${finalResult.series.length}`);
+          }
           if (allEpgUrls.size > 0) {
               console.log(`✓ URL EPG trovati: ${allEpgUrls.size}`);
           }
           console.log('=== Processamento Completato ===\n');
 
           this.channelsMap.clear();
+          this.moviesMap.clear();
+          this.seriesMap.clear();
           this.channelsWithoutStreams = [];
           return finalResult;
 
@@ -5,6 +5,7 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
 const cron = require('node-cron');
+const config = require('./config');
 
 class PythonResolver {
     constructor() {
@@ -20,8 +21,8 @@ class PythonResolver {
         this.pythonCmd = process.platform === 'win32' ? 'python' : 'python3';
         
         // Crea la directory temp se non esiste
-        if (!fs.existsSync(path.join(__dirname, 'temp'))) {
-            fs.mkdirSync(path.join(__dirname, 'temp'));
+        if (!fs.existsSync(config.tempDir)) {
+            fs.mkdirSync(config.tempDir, { recursive: true });
         }
     }
 
@@ -123,8 +124,8 @@ class PythonResolver {
                 proxy_config: proxyConfig // Aggiungi la configurazione del proxy
             };
             
-            const inputFile = path.join(__dirname, 'temp', `input_${Date.now()}.json`);
-            const outputFile = path.join(__dirname, 'temp', `output_${Date.now()}.json`);
+            const inputFile = path.join(config.tempDir, `input_${Date.now()}.json`);
+            const outputFile = path.join(config.tempDir, `output_${Date.now()}.json`);
             
             fs.writeFileSync(inputFile, JSON.stringify(inputParams, null, 2));
             
@@ -5,6 +5,8 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
 const cron = require('node-cron');
+const config = require('./config');
+const { describeSources } = require('./source-reader');
 
 class PythonRunner {
     constructor() {
@@ -18,8 +20,8 @@ class PythonRunner {
         this.updateInterval = null;
 
         // Crea la directory temp se non esiste
-        if (!fs.existsSync(path.join(__dirname, 'temp'))) {
-            fs.mkdirSync(path.join(__dirname, 'temp'));
+        if (!fs.existsSync(config.tempDir)) {
+            fs.mkdirSync(config.tempDir, { recursive: true });
         }
     }
 
@@ -184,16 +186,19 @@ class PythonRunner {
                 // Dopo l'esecuzione dello script, aggiorna la cache se necessario
                 if (success) {
                     try {
-                        // Usa l'URL attualmente configurato nella cache
-                        const currentM3uUrl = global.CacheManager.cache.m3uUrl;
+                        // Ricostruisci le cache degli utenti che usano la playlist generata
+                        const managers = global.CacheManager.getManagers()
+                            .filter(manager => manager.cache?.m3uUrl?.includes('/generated-m3u'));
 
-                        if (currentM3uUrl) {
+                        if (managers.length > 0) {
                             console.log(`\n=== Ricostruzione cache dopo esecuzione automatica dello script ===`);
-                            console.log(`Utilizzo l'URL corrente: ${currentM3uUrl}`);
-                            await global.CacheManager.rebuildCache(currentM3uUrl);
+                            for (const manager of managers) {
+                                console.log(`Utilizzo l'URL corrente: ${describeSources(manager.cache.m3uUrl)}`);
+                                await manager.rebuildCache(manager.cache.m3uUrl);
+                            }
                             console.log(`✓ Cache ricostruita con successo dopo esecuzione automatica`);
                         } else {
-                            console.log(`❌ Nessun URL M3U configurato nella cache, impossibile ricostruire`);
+                            console.log(`❌ Nessuna cache utilizza la playlist generata, impossibile ricostruire`);
                         }
                     } catch (cacheError) {
                         console.error(`❌ Errore nella ricostruzione della cache dopo esecuzione automatica:`, cacheError);
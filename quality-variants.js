@@ -0,0 +1,130 @@
+const { mergeChannels, setChannelName } = require('./channel-rules');
+
+// Qualità riconosciute nei nomi, dalla migliore
+const QUALITY_LEVELS = ['UHD', 'FHD', 'HD', 'SD'];
+
+const QUALITY_PATTERNS = [
+    ['UHD', /\b(uhd|4k|2160[pi]?)\b/i],
+    ['FHD', /\b(fhd|full\s?hd|1080[pi]?)\b/i],
+    ['HD', /\b(hd|720[pi]?)\b/i],
+    ['SD', /\b(sd|576[pi]?|480[pi]?)\b/i]
+];
+
+// Varianti dello stesso flusso che non indicano una qualità
+const VARIANT_PATTERNS = [
+    ['HEVC', /\b(hevc|h\.?265|x265)\b/i],
+    ['Backup', /\b(backup|bkp|riserva)\b/i]
+];
+
+const ALL_PATTERNS = [...QUALITY_PATTERNS, ...VARIANT_PATTERNS].map(([, pattern]) => new RegExp(pattern.source, 'gi'));
+
+/**
+ * Qualità e varianti indicate nel nome di un canale ("Rai 1 FHD HEVC" -> FHD, HEVC)
+ * @param {string} name
+ * @returns {{quality: string|null, variants: Array<string>}}
+ */
+function detectQuality(name) {
+    const value = String(name || '');
+    const quality = QUALITY_PATTERNS.find(([, pattern]) => pattern.test(value));
+    return {
+        quality: quality ? quality[0] : null,
+        variants: VARIANT_PATTERNS.filter(([, pattern]) => pattern.test(value)).map(([label]) => label)
+    };
+}
+
+// "Rai 1 (FHD)" -> "Rai 1"
+function stripQualityTags(name) {
+    let value = String(name || '');
+    ALL_PATTERNS.forEach(pattern => {
+        value = value.replace(pattern, ' ');
+    });
+    return value
+        .replace(/[\(\[]\s*[\)\]]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s\-|:]+|[\s\-|:]+$/g, '')
+        .trim() || String(name || '').trim();
+}
+
+function getVariantKey(name) {
+    return stripQualityTags(name).toLowerCase().replace(/[^a-z0-9+]/g, '');
+}
+
+function labelStreams(channel) {
+    channel.streamInfo.urls.forEach(stream => {
+        const { quality, variants } = detectQuality(stream.name);
+        if (quality) stream.quality = quality;
+        if (variants.length > 0) stream.variants = variants;
+    });
+}
+
+/**
+ * Unisce i canali che differiscono solo per qualità o variante ("Rai 1", "Rai 1 HD", "RAI1 4K").
+ * Il canale risultante mantiene l'id della versione senza indicazioni di qualità (o della prima trovata)
+ * e ogni flusso in streamInfo.urls riceve quality e variants.
+ * @param {Array} channels - Canali prodotti dal parsing della playlist
+ * @returns {{channels: Array, merged: number}}
+ */
+function mergeQualityVariants(channels) {
+    const groups = new Map();
+    channels.forEach(channel => {
+        labelStreams(channel);
+        const key = getVariantKey(channel.name);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(channel);
+    });
+
+    let merged = 0;
+    const targets = new Set();
+    groups.forEach(group => {
+        const target = group.find(channel => {
+            const { quality, variants } = detectQuality(channel.name);
+            return !quality && variants.length === 0;
+        }) || group[0];
+        targets.add(target);
+
+        group.filter(channel => channel !== target).forEach(channel => {
+            mergeChannels(target, channel);
+            merged++;
+        });
+
+        if (group.length > 1) {
+            setChannelName(target, stripQualityTags(target.name));
+        }
+    });
+
+    // I canali uniti restano nella posizione del canale di destinazione
+    return { channels: channels.filter(channel => targets.has(channel)), merged };
+}
+
+/**
+ * Ordina i flussi partendo dalla qualità preferita, poi le qualità più vicine (a parità la migliore);
+ * i flussi di riserva vanno dopo quelli principali e quelli senza qualità in fondo. L'ordinamento è stabile.
+ * @param {Array} urls - Flussi del canale
+ * @param {string} preferredQuality - UHD, FHD, HD o SD
+ * @returns {Array} - Nuovo array ordinato
+ */
+function sortByQuality(urls = [], preferredQuality) {
+    const preferred = QUALITY_LEVELS.indexOf(String(preferredQuality || '').toUpperCase());
+    if (preferred === -1) return urls;
+
+    const rank = stream => {
+        const quality = stream.quality || detectQuality(stream.name).quality;
+        const level = QUALITY_LEVELS.indexOf(quality);
+        const backup = (stream.variants || detectQuality(stream.name).variants).includes('Backup') ? 1 : 0;
+        if (level === -1) return [QUALITY_LEVELS.length * 2, backup];
+        return [Math.abs(level - preferred) * 2 + (level > preferred ? 1 : 0), backup];
+    };
+
+    return urls
+        .map((stream, index) => ({ stream, index, rank: rank(stream) }))
+        .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.index - b.index)
+        .map(entry => entry.stream);
+}
+
+module.exports = {
+    QUALITY_LEVELS,
+    detectQuality,
+    stripQualityTags,
+    mergeQualityVariants,
+    sortByQuality
+};
@@ -0,0 +1,167 @@
+// Campi confrontati dalle regole: "id" (predefinito) è il tvg-id, "base" il tvg-id senza id_suffix,
+// "name" e "group" il nome e i gruppi del canale
+const RULE_FIELDS = ['id', 'base', 'name', 'group'];
+
+function normalizeId(id) {
+    return id?.toLowerCase().replace(/[^\w.]/g, '').trim() || '';
+}
+
+function normalizeText(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// "sky*hd" -> /^sky(.*)hd$/i: ogni * e ? diventa una cattura utilizzabile come $1, $2...
+function globToRegex(glob) {
+    const source = glob.split('').map(char => {
+        if (char === '*') return '(.*)';
+        if (char === '?') return '(.)';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function expandTemplate(template, match) {
+    return template.replace(/\$(\d+)/g, (placeholder, index) => match[parseInt(index, 10)] ?? '');
+}
+
+/**
+ * Regole di remapping degli id EPG (formato di link.epg.remapping, una regola per riga):
+ *   rai1=rai1.it                      id esatto
+ *   base:rai1=rai1.it                 id esatto, con o senza id_suffix
+ *   re:^sky(.*)hd$=sky$1.it           espressione regolare, con catture
+ *   skysport*=skysport$1.it           carattere jolly (* e ?), con catture
+ *   name:Rai 1 HD=rai1.it             nome del canale (anche name:re:... e name:*...)
+ *   group:re:^DAZN (\d+)$=dazn$1.it   gruppo del canale
+ * Le regole esatte hanno la precedenza; tra le altre vale la prima che corrisponde.
+ * @param {string} content - Contenuto del file di remapping
+ */
+class RemappingRules {
+    constructor(content = '') {
+        this.exact = new Map();
+        this.patterns = [];
+        this.errors = [];
+        this.conflicts = [];
+        this.patternConflicts = new Map();
+
+        String(content || '').split('\n').forEach((rawLine, index) => this.parseLine(rawLine.trim(), index + 1));
+    }
+
+    get size() {
+        return this.exact.size + this.patterns.length;
+    }
+
+    parseLine(line, lineNumber) {
+        if (!line || line.startsWith('#')) return;
+
+        // Gli id EPG non contengono "=": le espressioni regolari sì
+        const separator = line.lastIndexOf('=');
+        const source = line.substring(0, separator).trim();
+        const target = line.substring(separator + 1).trim();
+        if (separator <= 0 || !source || !target) {
+            this.errors.push(`Riga ${lineNumber}: formato non valido, atteso origine=id_epg`);
+            return;
+        }
+
+        let field = 'id';
+        let pattern = source;
+        const fieldMatch = source.match(/^(id|base|name|group):(.*)$/i);
+        if (fieldMatch) {
+            field = fieldMatch[1].toLowerCase();
+            pattern = fieldMatch[2].trim();
+        }
+
+        const rule = { line: lineNumber, text: line, field, target, used: 0 };
+
+        if (/^re:/i.test(pattern) || /[*?]/.test(pattern)) {
+            try {
+                rule.regex = /^re:/i.test(pattern) ? new RegExp(pattern.substring(3).trim(), 'i') : globToRegex(pattern);
+            } catch (error) {
+                this.errors.push(`Riga ${lineNumber}: espressione non valida (${error.message})`);
+                return;
+            }
+            this.patterns.push(rule);
+            return;
+        }
+
+        const key = `${field}|${field === 'name' || field === 'group' ? normalizeText(pattern) : normalizeId(pattern)}`;
+        rule.target = normalizeId(target);
+        const previous = this.exact.get(key);
+        if (previous && previous.target !== rule.target) {
+            this.conflicts.push(`Righe ${previous.line} e ${lineNumber}: "${pattern}" mappato sia a ${previous.target} sia a ${rule.target}, vale l'ultima`);
+        }
+        this.exact.set(key, rule);
+    }
+
+    getValues(channel, idSuffix) {
+        const id = normalizeId(channel.tvg?.id);
+        const suffix = idSuffix ? `.${normalizeId(idSuffix)}` : '';
+        return {
+            id: [id],
+            base: [suffix && id.endsWith(suffix) ? id.substring(0, id.length - suffix.length) : id],
+            name: [channel.name, channel.tvg?.name].filter(Boolean),
+            group: channel.group || []
+        };
+    }
+
+    /**
+     * Id EPG rimappato di un canale
+     * @param {Object} channel - Canale letto dalla playlist (name, group, tvg)
+     * @param {string} idSuffix - id_suffix della configurazione utente
+     * @returns {string|null} - Id normalizzato, null se nessuna regola corrisponde
+     */
+    resolve(channel, idSuffix = '') {
+        const values = this.getValues(channel, idSuffix);
+
+        for (const field of RULE_FIELDS) {
+            for (const value of values[field]) {
+                const normalized = field === 'name' || field === 'group' ? normalizeText(value) : value;
+                const rule = this.exact.get(`${field}|${normalized}`);
+                if (rule) {
+                    rule.used++;
+                    return rule.target;
+                }
+            }
+        }
+
+        let selected = null;
+        this.patterns.forEach(rule => {
+            const match = values[rule.field].map(value => String(value).match(rule.regex)).find(Boolean);
+            if (!match) return;
+
+            const target = normalizeId(expandTemplate(rule.target, match));
+            if (!target) return;
+
+            if (!selected) {
+                rule.used++;
+                selected = { rule, target };
+            } else if (target !== selected.target) {
+                // Ogni coppia di regole in conflitto viene segnalata una volta, con il primo canale coinvolto
+                const key = `${selected.rule.line}|${rule.line}`;
+                if (!this.patternConflicts.has(key)) {
+                    this.patternConflicts.set(key, `Righe ${selected.rule.line} e ${rule.line}: "${channel.name}" → ${selected.target} / ${target}, vale la prima`);
+                }
+            }
+        });
+
+        return selected ? selected.target : null;
+    }
+
+    /**
+     * Riepilogo dopo l'elaborazione della playlist
+     * @returns {{rules: number, errors: Array<string>, conflicts: Array<string>, unused: Array<string>}}
+     */
+    getReport() {
+        const rules = [...this.exact.values(), ...this.patterns].sort((a, b) => a.line - b.line);
+        return {
+            rules: rules.length,
+            errors: this.errors,
+            conflicts: [...this.conflicts, ...this.patternConflicts.values()],
+            unused: rules.filter(rule => rule.used === 0).map(rule => `Riga ${rule.line}: ${rule.text}`)
+        };
+    }
+}
+
+module.exports = {
+    RULE_FIELDS,
+    RemappingRules
+};
@@ -1,5 +1,7 @@
 const config = require('./config');
 const PythonResolver = require('./python-resolver');
+const { buildStreamBehaviorHints } = require('./stream-hints');
+const { createTranslator, getLanguageTag } = require('./messages');
 
 function getLanguageFromConfig(userConfig) {
     return userConfig.language || config.defaultLanguage || 'Italiano';
@@ -175,34 +177,29 @@ class ResolverStreamManager {
                     }
                     
                     const language = getLanguageFromConfig(userConfig);
+                    const t = createTranslator(language);
                     // Se l'URL è lo stesso (non è stato processato dal resolver perché non è Vavoo),
                     // restituisci comunque uno stream con l'URL originale
                     if (result.resolved_url === streamDetails.url) {
                         console.log(`ℹ️ URL non modificato dal resolver per: ${streamDetails.name}, lo manteniamo`);
                         return {
                             name: `${input.originalName}`,
-                            title: `📺 ${streamDetails.name} [${language.substring(0, 3).toUpperCase()}]`,
+                            title: `📺 ${streamDetails.name} [${getLanguageTag(language)}]`,
                             url: streamDetails.url,
                             headers: streamDetails.headers,
                             language: language,
-                            behaviorHints: {
-                                notWebReady: false,
-                                bingeGroup: "tv"
-                            }
+                            behaviorHints: buildStreamBehaviorHints(streamDetails.headers)
                         };
                     }
                     
 
                     return {
                         name: `${input.originalName}`,
-                        title: `🧩 ${streamDetails.name} [${language.substring(0, 3).toUpperCase()}]\n[Resolved]`,
+                        title: `🧩 ${streamDetails.name} [${getLanguageTag(language)}]\n[${t('resolved')}]`,
                         url: result.resolved_url,
                         headers: result.headers || streamDetails.headers,
                         language: language,
-                        behaviorHints: {
-                            notWebReady: false,
-                            bingeGroup: "tv"
-                        }
+                        behaviorHints: buildStreamBehaviorHints(result.headers || streamDetails.headers)
                     };
                 } catch (error) {
                     console.error('Errore elaborazione stream:', error.message);
@@ -0,0 +1,247 @@
+const config = require('./config');
+const { buildRequestHeaders, requestUpstream, fetchManifest, getFirstUri } = require('./upstream-request');
+
+// Stati possibili di un flusso: ok, dead, blocked (401/403: il server rifiuta la verifica,
+// ma il flusso può funzionare nel player); i flussi mai verificati non hanno riga nel database
+const STATUS_OK = 'ok';
+const STATUS_DEAD = 'dead';
+const STATUS_BLOCKED = 'blocked';
+
+// Limite di dimensione per playlist HLS scaricate durante la verifica
+const MAX_MANIFEST_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Verifica periodica dei flussi delle playlist: per ogni URL salva stato e latenza
+ * nel database della cache, condiviso tra tutte le cache utente.
+ */
+class StreamHealthProber {
+    constructor(pool) {
+        this.pool = pool;
+        this.settings = {
+            interval: 30 * 60 * 1000,
+            timeout: 8000,
+            concurrency: 5,
+            ...config.healthSettings
+        };
+        this.health = new Map();
+        this.isRunning = false;
+        this.lastRun = null;
+        this.timer = null;
+        this.startupTimer = null;
+    }
+
+    get db() {
+        return this.pool.db;
+    }
+
+    initializeTable() {
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS stream_health (
+                url TEXT PRIMARY KEY,
+                status TEXT NOT NULL,
+                latency INTEGER,
+                checked_at INTEGER NOT NULL,
+                error TEXT
+            );
+        `);
+
+        const result = this.db.exec('SELECT url, status, latency, checked_at, error FROM stream_health');
+        (result[0]?.values || []).forEach(([url, status, latency, checkedAt, error]) => {
+            this.health.set(url, { status, latency, checkedAt, error });
+        });
+    }
+
+    start() {
+        this.stop();
+        // Primo controllo poco dopo l'avvio, poi a intervalli regolari
+        this.startupTimer = setTimeout(() => this.probeAll(), 60 * 1000);
+        this.timer = setInterval(() => this.probeAll(), this.settings.interval);
+    }
+
+    stop() {
+        clearTimeout(this.startupTimer);
+        clearInterval(this.timer);
+        this.startupTimer = null;
+        this.timer = null;
+    }
+
+    getHealth(url) {
+        return this.health.get(url) || null;
+    }
+
+    // Per segmenti e flussi diretti interessa solo lo stato della risposta, non il contenuto
+    async request(method, url, headers) {
+        const response = await requestUpstream(url, { method, headers, timeout: this.settings.timeout });
+        response.data?.destroy?.();
+        return response;
+    }
+
+    // Errore con lo stato HTTP, per distinguere i rifiuti (401/403) dai flussi non raggiungibili
+    httpError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    isHlsResponse(url, contentType) {
+        return /\.m3u8(\?|$)/i.test(url) || /mpegurl/i.test(contentType);
+    }
+
+    /**
+     * HLS: scarica la master playlist, la prima variante e ne verifica il primo segmento.
+     * Altri flussi: HEAD, con ripiego su GET parziale se il server non supporta HEAD.
+     */
+    async probeStream(stream) {
+        const headers = buildRequestHeaders(stream.headers);
+
+        if (this.isHlsResponse(stream.url, '')) {
+            const options = { timeout: this.settings.timeout, maxContentLength: MAX_MANIFEST_SIZE };
+            let playlist = await fetchManifest(stream.url, headers, options);
+
+            if (playlist.content.includes('#EXT-X-STREAM-INF')) {
+                const variantUrl = getFirstUri(playlist.content, playlist.finalUrl);
+                if (!variantUrl) throw new Error('Master playlist senza varianti');
+                playlist = await fetchManifest(variantUrl, headers, options);
+            }
+
+            const segmentUrl = getFirstUri(playlist.content, playlist.finalUrl);
+            if (!segmentUrl) throw new Error('Playlist senza segmenti');
+
+            const segment = await this.request('get', segmentUrl, { ...headers, Range: 'bytes=0-1023' });
+            if (segment.status >= 400) throw this.httpError(`Segmento HTTP ${segment.status}`, segment.status);
+            return;
+        }
+
+        let response = await this.request('head', stream.url, headers);
+        if (response.status === 405 || response.status === 501 || response.status === 403) {
+            response = await this.request('get', stream.url, { ...headers, Range: 'bytes=0-1023' });
+        }
+        if (response.status >= 400) throw this.httpError(`HTTP ${response.status}`, response.status);
+    }
+
+    async probeUrl(stream) {
+        const startedAt = Date.now();
+        let result;
+
+        try {
+            await this.probeStream(stream);
+            result = { status: STATUS_OK, latency: Date.now() - startedAt, error: null };
+        } catch (error) {
+            const blocked = error.status === 401 || error.status === 403;
+            result = { status: blocked ? STATUS_BLOCKED : STATUS_DEAD, latency: null, error: error.message };
+        }
+
+        result.checkedAt = Date.now();
+        this.health.set(stream.url, result);
+        this.db.run(`
+            INSERT OR REPLACE INTO stream_health (url, status, latency, checked_at, error)
+            VALUES (?, ?, ?, ?, ?)
+        `, [stream.url, result.status, result.latency, result.checkedAt, result.error]);
+
+        return result;
+    }
+
+    // Flussi live delle cache che hanno abilitato la verifica, senza duplicati
+    collectStreams() {
+        const streams = new Map();
+        this.pool.getManagers()
+            .filter(manager => manager.config?.stream_health === 'true')
+            .forEach(manager => {
+                (manager.getCachedData().channels || []).forEach(channel => {
+                    (channel.streamInfo?.urls || []).forEach(stream => {
+                        if (stream.url && /^https?:\/\//i.test(stream.url) && !streams.has(stream.url)) {
+                            streams.set(stream.url, stream);
+                        }
+                    });
+                });
+            });
+        return Array.from(streams.values());
+    }
+
+    async probeAll() {
+        if (this.isRunning) {
+            console.log('⚠️ Verifica flussi già in corso, skip...');
+            return;
+        }
+
+        const streams = this.collectStreams();
+        if (streams.length === 0) return;
+
+        this.isRunning = true;
+        console.log(`\n=== Verifica Flussi (${streams.length} URL) ===`);
+
+        try {
+            let index = 0;
+            let alive = 0;
+            const worker = async () => {
+                while (index < streams.length) {
+                    const stream = streams[index++];
+                    const result = await this.probeUrl(stream);
+                    if (result.status === STATUS_OK) alive++;
+                }
+            };
+
+            await Promise.all(Array.from({ length: this.settings.concurrency }, worker));
+
+            this.lastRun = Date.now();
+            this.pruneOldResults();
+            this.pool.saveDatabase();
+            console.log(`✓ Flussi funzionanti: ${alive}/${streams.length}`);
+            console.log('=== Verifica Flussi Completata ===\n');
+        } catch (error) {
+            console.error('❌ Errore durante la verifica dei flussi:', error);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    // Rimuove i risultati di URL non più presenti nelle playlist da oltre una settimana
+    pruneOldResults() {
+        const limit = Date.now() - 7 * 24 * 60 * 60 * 1000;
+        this.db.run('DELETE FROM stream_health WHERE checked_at < ?', [limit]);
+        this.health.forEach((health, url) => {
+            if (health.checkedAt < limit) this.health.delete(url);
+        });
+    }
+
+    /**
+     * Ordina i flussi dal migliore: funzionanti per latenza, poi non verificati, rifiutati (401/403),
+     * infine non funzionanti
+     * @param {Array} urls - Flussi del canale (streamInfo.urls)
+     * @returns {Array} - Nuovo array ordinato
+     */
+    sortByHealth(urls = []) {
+        const rank = stream => {
+            const health = this.getHealth(stream.url);
+            if (!health) return [1, 0];
+            if (health.status === STATUS_OK) return [0, health.latency || 0];
+            return health.status === STATUS_BLOCKED ? [2, 0] : [3, 0];
+        };
+
+        return urls
+            .map((stream, index) => ({ stream, index, rank: rank(stream) }))
+            .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.index - b.index)
+            .map(entry => entry.stream);
+    }
+
+    // Un canale è considerato morto solo se tutti i suoi flussi sono stati verificati e falliti;
+    // i flussi rifiutati con 401/403 non bastano per nasconderlo
+    isChannelDead(channel) {
+        const urls = channel.streamInfo?.urls || [];
+        return urls.length > 0 && urls.every(stream => this.getHealth(stream.url)?.status === STATUS_DEAD);
+    }
+
+    getStatus() {
+        const values = Array.from(this.health.values());
+        return {
+            isRunning: this.isRunning,
+            lastRun: this.lastRun,
+            checked: values.length,
+            alive: values.filter(h => h.status === STATUS_OK).length,
+            dead: values.filter(h => h.status === STATUS_DEAD).length,
+            blocked: values.filter(h => h.status === STATUS_BLOCKED).length
+        };
+    }
+}
+
+module.exports = StreamHealthProber;
@@ -0,0 +1,65 @@
+const config = require('./config');
+
+// Nomi canonici degli header dichiarati nelle playlist (#EXTVLCOPT, #EXTHTTP, attributi http-*)
+const HEADER_NAMES = {
+    'user-agent': 'User-Agent',
+    'referer': 'Referer',
+    'referrer': 'Referer',
+    'origin': 'Origin',
+    'cookie': 'Cookie',
+    'authorization': 'Authorization'
+};
+
+function normalizeHeaders(headers = {}) {
+    const normalized = {};
+    Object.entries(headers || {}).forEach(([name, value]) => {
+        if (value === undefined || value === null || String(value).trim() === '') return;
+        const canonical = HEADER_NAMES[name.toLowerCase()] || name;
+        // Il nome canonico (es. User-Agent già unificato dal parser) prevale sulle varianti
+        if (name === canonical || !(canonical in normalized)) {
+            normalized[canonical] = String(value).trim();
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Header che il player deve inviare per riprodurre il flusso.
+ * Il solo User-Agent predefinito dell'addon non richiede nulla di particolare.
+ * @param {Object} headers - Header del flusso
+ * @returns {Object|null}
+ */
+function getRequiredHeaders(headers) {
+    const normalized = normalizeHeaders(headers);
+    const isCustom = Object.entries(normalized)
+        .some(([name, value]) => name !== 'User-Agent' || value !== config.defaultUserAgent);
+    return isCustom ? normalized : null;
+}
+
+/**
+ * behaviorHints di uno stream diretto: gli header richiesti vanno in proxyHeaders,
+ * che Stremio applica solo passando dal suo streaming server (da qui notWebReady)
+ * @param {Object} headers - Header del flusso
+ * @param {string} bingeGroup - Gruppo di riproduzione
+ * @returns {Object}
+ */
+function buildStreamBehaviorHints(headers, bingeGroup = 'tv') {
+    const behaviorHints = {
+        notWebReady: false,
+        bingeGroup
+    };
+
+    const request = getRequiredHeaders(headers);
+    if (request) {
+        behaviorHints.notWebReady = true;
+        behaviorHints.proxyHeaders = { request };
+    }
+
+    return behaviorHints;
+}
+
+module.exports = {
+    normalizeHeaders,
+    getRequiredHeaders,
+    buildStreamBehaviorHints
+};
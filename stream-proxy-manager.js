@@ -1,6 +1,9 @@
 const axios = require('axios');
 const { URL } = require('url');
 const config = require('./config');
+const InternalProxy = require('./internal-proxy');
+const { buildStreamBehaviorHints } = require('./stream-hints');
+const { createTranslator, getLanguageTag } = require('./messages');
 
 function getLanguageFromConfig(userConfig) {
     return userConfig.language || config.defaultLanguage || 'Italiano';
@@ -112,7 +115,7 @@ class StreamProxyManager {
         return isHealthy;
     }
 
-    async buildProxyUrl(streamUrl, headers = {}, userConfig = {}) {
+    async buildProxyUrl(streamUrl, headers = {}, userConfig = {}, drm = null) {
         if (!userConfig.proxy || !userConfig.proxy_pwd || !streamUrl || typeof streamUrl !== 'string') {
             console.warn('⚠️ buildProxyUrl: Parametri mancanti o non validi');
             return null;
@@ -150,6 +153,12 @@ class StreamProxyManager {
             streamType = 'PHP';
         }
     
+        // Chiavi ClearKey (KODIPROP) per i manifest DASH cifrati
+        if (streamType === 'DASH' && drm?.keyId && drm?.key) {
+            params.set('key_id', drm.keyId);
+            params.set('key', drm.key);
+        }
+
         // Costruisci l'URL del proxy basato sul tipo di stream
         let proxyUrl;
         if (streamType === 'HLS') {
@@ -165,9 +174,40 @@ class StreamProxyManager {
         return proxyUrl;
     }
 
+    isExternalProxyEnabled(userConfig = {}) {
+        return Boolean(userConfig.proxy && userConfig.proxy_pwd);
+    }
+
+    // Il proxy interno richiede l'URL pubblico dell'addon, passato dalle route degli stream
+    isInternalProxyEnabled(userConfig = {}) {
+        return userConfig.internal_proxy === 'true' && Boolean(userConfig.internal_proxy_base);
+    }
+
+    isProxyEnabled(userConfig = {}) {
+        return this.isExternalProxyEnabled(userConfig) || this.isInternalProxyEnabled(userConfig);
+    }
+
+    getInternalProxyStream(input, userConfig) {
+        const language = getLanguageFromConfig(userConfig);
+        const t = createTranslator(language);
+        const streamType = InternalProxy.getStreamType(input.url);
+
+        return {
+            name: input.name,
+            title: `🏠 ${input.originalName} [${getLanguageTag(language)}]\n[${t('internalProxy', { type: streamType })}]`,
+            url: InternalProxy.buildStreamUrl(userConfig.internal_proxy_base, input.url, input.headers || {}, input.drm),
+            language: language,
+            behaviorHints: {
+                notWebReady: false,
+                bingeGroup: "tv"
+            }
+        };
+    }
+
     async getProxyStreams(input, userConfig = {}) {
         // Blocca solo gli URL che sono già proxy
-        if (input.url.includes(userConfig.proxy)) {
+        if ((userConfig.proxy && input.url.includes(userConfig.proxy)) ||
+            (userConfig.internal_proxy_base && input.url.startsWith(`${userConfig.internal_proxy_base}/internal-proxy/`))) {
             return [];
         }
         
@@ -184,23 +224,31 @@ class StreamProxyManager {
             const language = getLanguageFromConfig(userConfig);
             return [{
                 name: input.name,
-                title: `${input.originalName} [${language.substring(0, 3).toUpperCase()}]`,
+                title: `${input.originalName} [${getLanguageTag(language)}]`,
                 url: input.url,
                 headers: input.headers,
                 language: language,
-                behaviorHints: {
-                    notWebReady: false,
-                    bingeGroup: "tv"
-                }
+                behaviorHints: buildStreamBehaviorHints(input.headers)
             }];
         }
         
-        // Se il proxy non è configurato, interrompe l'elaborazione
-        if (!userConfig.proxy || !userConfig.proxy_pwd) {
+        // Se nessun proxy è configurato, interrompe l'elaborazione
+        if (!this.isProxyEnabled(userConfig)) {
             console.log('⚠️ Proxy non configurato per:', input.name);
             return [];
         }
-    
+
+        const streams = [];
+        if (this.isExternalProxyEnabled(userConfig)) {
+            streams.push(...await this.getExternalProxyStreams(input, userConfig));
+        }
+        if (this.isInternalProxyEnabled(userConfig)) {
+            streams.push(this.getInternalProxyStream(input, userConfig));
+        }
+        return streams;
+    }
+
+    async getExternalProxyStreams(input, userConfig) {
         let streams = [];
         
         try {
@@ -212,7 +260,7 @@ class StreamProxyManager {
             }
     
             // Costruisce l'URL del proxy (questa chiamata già normalizza l'URL rimuovendo lo slash finale)
-            let proxyUrl = await this.buildProxyUrl(input.url, headers, userConfig);
+            let proxyUrl = await this.buildProxyUrl(input.url, headers, userConfig, input.drm);
     
             // Verifica se il proxy è attivo e funzionante
             let isHealthy = await this.checkProxyHealth(proxyUrl, headers);
@@ -223,7 +271,7 @@ class StreamProxyManager {
                 
                 // Aggiungi lo slash finale e riprova
                 const urlWithSlash = input.url.endsWith('/') ? input.url : input.url + '/';
-                const proxyUrlWithSlash = await this.buildProxyUrl(urlWithSlash, headers, userConfig);
+                const proxyUrlWithSlash = await this.buildProxyUrl(urlWithSlash, headers, userConfig, input.drm);
                 const isHealthyWithSlash = await this.checkProxyHealth(proxyUrlWithSlash, headers);
                 
                 if (isHealthyWithSlash) {
@@ -244,11 +292,12 @@ class StreamProxyManager {
             }
     
             const language = getLanguageFromConfig(userConfig);
+            const t = createTranslator(language);
             if (isHealthy) {
                 // Aggiunge lo stream proxato all'array
                 streams.push({
                     name: input.name,
-                    title: `🌐 ${input.originalName} [${language.substring(0, 3).toUpperCase()}]\n[Proxy ${streamType}]`,
+                    title: `🌐 ${input.originalName} [${getLanguageTag(language)}]\n[${t('externalProxy', { type: streamType })}]`,
                     url: proxyUrl,
                     language: language,
                     behaviorHints: {
@@ -263,14 +312,11 @@ class StreamProxyManager {
                 if (userConfig.force_proxy === 'true') {
                     streams.push({
                         name: input.name,
-                        title: `${input.originalName} [${language.substring(0, 3).toUpperCase()}]`,
+                        title: `${input.originalName} [${getLanguageTag(language)}]`,
                         url: input.url,
                         headers: input.headers,
                         language: language,
-                        behaviorHints: {
-                            notWebReady: false,
-                            bingeGroup: "tv"
-                        }
+                        behaviorHints: buildStreamBehaviorHints(input.headers)
                     });
                 }
             }
@@ -283,14 +329,11 @@ class StreamProxyManager {
                 const language = getLanguageFromConfig(userConfig);
                 streams.push({
                     name: input.name,
-                    title: `${input.originalName} [${language.substring(0, 3).toUpperCase()}]`,
+                    title: `${input.originalName} [${getLanguageTag(language)}]`,
                     url: input.url,
                     headers: input.headers,
                     language: language,
-                    behaviorHints: {
-                        notWebReady: false,
-                        bingeGroup: "tv"
-                    }
+                    behaviorHints: buildStreamBehaviorHints(input.headers)
                 });
             }
         }
@@ -0,0 +1,335 @@
+const xml2js = require('xml2js');
+const config = require('./config');
+const { buildRequestHeaders, fetchManifest } = require('./upstream-request');
+
+// Nomi leggibili dei codec indicati negli attributi CODECS (HLS) e codecs (DASH)
+const CODEC_NAMES = [
+    [/^avc[13]/i, 'H.264'],
+    [/^(hvc1|hev1)/i, 'HEVC'],
+    [/^av01/i, 'AV1'],
+    [/^vp0?9/i, 'VP9'],
+    [/^mp4a/i, 'AAC'],
+    [/^ac-3/i, 'AC3'],
+    [/^ec-3/i, 'EAC3'],
+    [/^opus/i, 'Opus']
+];
+
+function getCodecNames(codecs) {
+    const names = String(codecs || '').split(',')
+        .map(codec => CODEC_NAMES.find(([pattern]) => pattern.test(codec.trim()))?.[1])
+        .filter(Boolean);
+    return Array.from(new Set(names));
+}
+
+function formatBandwidth(bandwidth) {
+    if (!bandwidth) return null;
+    return bandwidth >= 1000000 ? `${(bandwidth / 1000000).toFixed(1)} Mbps` : `${Math.round(bandwidth / 1000)} kbps`;
+}
+
+// Lista di attributi HLS: RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2"
+function parseAttributes(line) {
+    const attributes = {};
+    const attributeList = line.substring(line.indexOf(':') + 1);
+    for (const [, key, value] of attributeList.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) {
+        attributes[key] = value.replace(/^"|"$/g, '');
+    }
+    return attributes;
+}
+
+function sortVariants(variants) {
+    return variants.sort((a, b) => (b.height || 0) - (a.height || 0) || (b.bandwidth || 0) - (a.bandwidth || 0));
+}
+
+/**
+ * Qualità dei flussi HLS e DASH letta dalla master playlist o dal manifest MPD
+ * (risoluzione, bitrate, codec e lingue audio), salvata per URL nel database della cache
+ * e usata per descrivere i flussi nei titoli.
+ */
+class StreamQualityProber {
+    constructor(pool) {
+        this.pool = pool;
+        this.settings = {
+            ttl: 6 * 60 * 60 * 1000,
+            timeout: 5000,
+            concurrency: 4,
+            ...config.qualitySettings
+        };
+        this.quality = new Map();
+        this.pending = new Map();
+        this.saveTimer = null;
+    }
+
+    get db() {
+        return this.pool.db;
+    }
+
+    initializeTable() {
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS stream_quality (
+                url TEXT PRIMARY KEY,
+                info TEXT,
+                checked_at INTEGER NOT NULL,
+                error TEXT
+            );
+        `);
+
+        this.pruneOldResults();
+        const result = this.db.exec('SELECT url, info, checked_at, error FROM stream_quality');
+        (result[0]?.values || []).forEach(([url, info, checkedAt, error]) => {
+            this.quality.set(url, { info: info ? JSON.parse(info) : null, checkedAt, error });
+        });
+    }
+
+    // Scrive subito i risultati in attesa di salvataggio
+    stop() {
+        if (!this.saveTimer) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.pool.saveDatabase();
+    }
+
+    isSupported(url) {
+        return /^https?:\/\//i.test(url || '') && /\.(m3u8|mpd)(\?|$)/i.test(url);
+    }
+
+    /**
+     * Ultimo risultato valido per un URL
+     * @param {string} url
+     * @returns {Object|null} - { type, variants, audio }
+     */
+    getQuality(url) {
+        return this.quality.get(url)?.info || null;
+    }
+
+    parseHlsMaster(content, baseUrl) {
+        const lines = content.split('\n').map(line => line.trim());
+        const variants = [];
+        const audio = [];
+
+        lines.forEach((line, index) => {
+            if (line.startsWith('#EXT-X-MEDIA:')) {
+                const attributes = parseAttributes(line);
+                if (attributes.TYPE !== 'AUDIO') return;
+                audio.push({
+                    group: attributes['GROUP-ID'] || null,
+                    language: attributes.LANGUAGE || null,
+                    name: attributes.NAME || null,
+                    // Le tracce con URI sono playlist separate: la variante da sola non ha quell'audio
+                    external: Boolean(attributes.URI)
+                });
+            } else if (line.startsWith('#EXT-X-STREAM-INF:')) {
+                const attributes = parseAttributes(line);
+                const uri = lines.slice(index + 1).find(next => next && !next.startsWith('#'));
+                if (!uri) return;
+
+                const [width, height] = (attributes.RESOLUTION || '').split('x').map(value => parseInt(value, 10));
+                variants.push({
+                    url: new URL(uri, baseUrl).toString(),
+                    width: width || null,
+                    height: height || null,
+                    bandwidth: parseInt(attributes['AVERAGE-BANDWIDTH'] || attributes.BANDWIDTH, 10) || null,
+                    codecs: attributes.CODECS || null,
+                    frameRate: parseFloat(attributes['FRAME-RATE']) || null,
+                    audioGroup: attributes.AUDIO || null
+                });
+            }
+        });
+
+        return { type: 'hls', variants: sortVariants(variants), audio };
+    }
+
+    async parseDashManifest(content) {
+        const manifest = await xml2js.parseStringPromise(content);
+        const variants = [];
+        const audio = [];
+
+        (manifest?.MPD?.Period || []).slice(0, 1).forEach(period => {
+            (period.AdaptationSet || []).forEach(adaptationSet => {
+                const set = adaptationSet.$ || {};
+                (adaptationSet.Representation || []).forEach(representation => {
+                    const attributes = { ...set, ...representation.$ };
+                    const kind = attributes.contentType || String(attributes.mimeType || '').split('/')[0];
+
+                    if (kind === 'audio') {
+                        if (!audio.some(track => track.language === (set.lang || null))) {
+                            audio.push({ group: set.id || null, language: set.lang || null, name: null, external: false });
+                        }
+                    } else if (kind === 'video') {
+                        const [numerator, denominator] = String(attributes.frameRate || '').split('/').map(Number);
+                        variants.push({
+                            url: null,
+                            width: parseInt(attributes.width, 10) || null,
+                            height: parseInt(attributes.height, 10) || null,
+                            bandwidth: parseInt(attributes.bandwidth, 10) || null,
+                            codecs: attributes.codecs || null,
+                            frameRate: numerator ? numerator / (denominator || 1) : null,
+                            audioGroup: null
+                        });
+                    }
+                });
+            });
+        });
+
+        return { type: 'dash', variants: sortVariants(variants), audio };
+    }
+
+    async probeStream(stream) {
+        const { content, finalUrl } = await fetchManifest(stream.url, buildRequestHeaders(stream.headers), {
+            timeout: this.settings.timeout,
+            maxContentLength: 2 * 1024 * 1024
+        });
+
+        if (content.includes('<MPD')) {
+            return this.parseDashManifest(content);
+        }
+        if (content.startsWith('#EXTM3U')) {
+            return this.parseHlsMaster(content, finalUrl);
+        }
+        throw new Error('Né playlist HLS né manifest DASH');
+    }
+
+    // Risultati ancora validi vengono riutilizzati; richieste contemporanee per lo stesso URL sono unificate
+    async probeUrl(stream) {
+        const cached = this.quality.get(stream.url);
+        if (cached && Date.now() - cached.checkedAt < this.settings.ttl) {
+            return cached.info;
+        }
+
+        if (!this.pending.has(stream.url)) {
+            const probe = this.probeStream(stream)
+                .then(info => ({ info, error: null }))
+                .catch(error => ({ info: null, error: error.message }))
+                .then(({ info, error }) => {
+                    const result = { info, checkedAt: Date.now(), error };
+                    this.quality.set(stream.url, result);
+                    this.db.run(`
+                        INSERT OR REPLACE INTO stream_quality (url, info, checked_at, error)
+                        VALUES (?, ?, ?, ?)
+                    `, [stream.url, info ? JSON.stringify(info) : null, result.checkedAt, error]);
+                    this.scheduleSave();
+                    return info;
+                })
+                .finally(() => this.pending.delete(stream.url));
+            this.pending.set(stream.url, probe);
+        }
+
+        return this.pending.get(stream.url);
+    }
+
+    /**
+     * Analizza i flussi HLS/DASH (con concorrenza limitata) e ne restituisce la qualità
+     * @param {Array} streams - Flussi con url e headers
+     * @returns {Promise<Map<string, Object>>} - URL -> { type, variants, audio }
+     */
+    async probeStreams(streams) {
+        const queue = streams.filter(stream => this.isSupported(stream.url));
+        const results = new Map();
+
+        let index = 0;
+        const worker = async () => {
+            while (index < queue.length) {
+                const stream = queue[index++];
+                const info = await this.probeUrl(stream);
+                if (info) results.set(stream.url, info);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.settings.concurrency, queue.length) }, worker));
+        return results;
+    }
+
+    /**
+     * Descrizione breve per il titolo dello stream: "1080p · 5.2 Mbps · H.264 AAC · 🔊 ITA, ENG"
+     * @param {Object} info - Qualità del flusso
+     * @param {Object} variant - Variante specifica (per i flussi separati), altrimenti la migliore
+     * @returns {string|null}
+     */
+    describe(info, variant = null) {
+        const variants = variant ? [variant] : info.variants;
+        if (variants.length === 0 && info.audio.length === 0) return null;
+
+        const parts = [];
+        const heights = Array.from(new Set(variants.map(v => v.height).filter(Boolean)));
+        if (heights.length > 0) {
+            parts.push(heights.length > 1 ? `${heights[0]}p-${heights[heights.length - 1]}p` : `${heights[0]}p`);
+        }
+
+        const bandwidth = formatBandwidth(variants[0]?.bandwidth);
+        if (bandwidth) parts.push(bandwidth);
+
+        const codecs = getCodecNames(variants.map(v => v.codecs).filter(Boolean).join(','));
+        if (codecs.length > 0) parts.push(codecs.join(' '));
+
+        const languages = Array.from(new Set(info.audio
+            .filter(track => !variant || !track.group || track.group === variant.audioGroup)
+            .map(track => (track.language || track.name || '').toUpperCase())
+            .filter(Boolean)));
+        if (languages.length > 0) parts.push(`🔊 ${languages.join(', ')}`);
+
+        return parts.length > 0 ? parts.join(' · ') : null;
+    }
+
+    // Una variante HLS è riproducibile da sola se l'audio non è in una playlist separata
+    isSplittable(info, variant) {
+        return Boolean(variant.url) &&
+            !info.audio.some(track => track.external && (!variant.audioGroup || track.group === variant.audioGroup));
+    }
+
+    /**
+     * Aggiunge ai dettagli dei flussi la descrizione della qualità (qualityLabel) e,
+     * con splitVariants, sostituisce le master playlist HLS con uno stream per ogni variante
+     * @param {Array} streamDetails - Dettagli dei flussi (name, originalName, url, headers)
+     * @param {boolean} splitVariants
+     * @returns {Promise<Array>} - Nuovo array di dettagli
+     */
+    async annotateStreams(streamDetails, splitVariants = false) {
+        const results = await this.probeStreams(streamDetails);
+
+        return streamDetails.flatMap(details => {
+            const info = results.get(details.url);
+            if (!info) return [details];
+
+            const splittable = splitVariants && info.type === 'hls' ? info.variants.filter(variant => this.isSplittable(info, variant)) : [];
+            if (splittable.length > 1) {
+                return splittable.map(variant => ({
+                    ...details,
+                    url: variant.url,
+                    originalName: `${details.originalName || details.name}${variant.height ? ` ${variant.height}p` : ''}`,
+                    qualityLabel: this.describe(info, variant)
+                }));
+            }
+
+            return [{ ...details, qualityLabel: this.describe(info) }];
+        });
+    }
+
+    // I risultati vengono scritti su disco al massimo ogni 30 secondi
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.pool.saveDatabase();
+        }, 30 * 1000);
+        this.saveTimer.unref?.();
+    }
+
+    // Rimuove i risultati più vecchi di una settimana
+    pruneOldResults() {
+        const limit = Date.now() - 7 * 24 * 60 * 60 * 1000;
+        this.db.run('DELETE FROM stream_quality WHERE checked_at < ?', [limit]);
+        this.quality.forEach((result, url) => {
+            if (result.checkedAt < limit) this.quality.delete(url);
+        });
+    }
+
+    getStatus() {
+        const values = Array.from(this.quality.values());
+        return {
+            checked: values.length,
+            detected: values.filter(result => result.info?.variants.length > 0).length,
+            failed: values.filter(result => result.error).length
+        };
+    }
+}
+
+module.exports = StreamQualityProber;
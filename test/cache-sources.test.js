@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omg-cache-'));
+process.env.LOCAL_SOURCE_DIRS = fixturesDir;
+process.env.DATA_DIR = path.join(fixturesDir, 'data');
+process.env.TEMP_DIR = path.join(fixturesDir, 'temp');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const CacheManagerFactory = require('../cache-manager');
+const EPGManager = require('../epg-manager');
+
+test.after(() => {
+    global.CacheManager?.cleanup();
+    EPGManager.cleanupJob?.stop();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+test('una modifica del file di remapping fa ricostruire la cache', async () => {
+    const playlist = path.join(fixturesDir, 'playlist.m3u');
+    const remapping = path.join(fixturesDir, 'epg.remapping');
+    fs.writeFileSync(playlist, '#EXTM3U\n#EXTINF:-1 tvg-id="rai1",Rai 1\nhttp://example.com/rai1.m3u8\n');
+    fs.writeFileSync(remapping, 'rai1=rai1.it\n');
+
+    global.CacheManager = await CacheManagerFactory(config);
+    const userConfig = { m3u: playlist, remapper_path: remapping };
+    const manager = await global.CacheManager.getManager(userConfig);
+    await manager.updateConfig(userConfig);
+    assert.strictEqual(manager.getCachedData().channels[0].streamInfo.tvg.id, 'rai1.it');
+
+    await manager.rebuildCache(playlist, userConfig);
+    assert.strictEqual(manager.getStatus().lastSourceCheck.skipped, true);
+
+    fs.writeFileSync(remapping, 'rai1=rai1.hd.it\n');
+    await manager.rebuildCache(playlist, userConfig);
+    assert.strictEqual(manager.getStatus().lastSourceCheck.skipped, false);
+    assert.strictEqual(manager.getCachedData().channels[0].streamInfo.tvg.id, 'rai1.hd.it');
+});
+
+test('la descrizione dei canali è salvata nella lingua della configurazione', async () => {
+    const playlist = path.join(fixturesDir, 'lingue.m3u');
+    fs.writeFileSync(playlist, '#EXTM3U\n#EXTINF:-1 tvg-id="la7.it",La7\nhttp://example.com/la7.m3u8\n');
+
+    const italian = await global.CacheManager.getManager({ m3u: playlist });
+    const english = await global.CacheManager.getManager({ m3u: playlist, language: 'English' });
+    assert.notStrictEqual(italian, english);
+
+    await italian.updateConfig({ m3u: playlist });
+    await english.updateConfig({ m3u: playlist, language: 'English' });
+    assert.strictEqual(italian.getCachedData().channels[0].description, 'Canale: La7 - ID: la7.it');
+    assert.strictEqual(english.getCachedData().channels[0].description, 'Channel: La7 - ID: la7.it');
+});
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Database e file temporanei in una directory di prova, non in data/ e temp/ del progetto
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omg-dati-'));
+process.env.DATA_DIR = path.join(workDir, 'data');
+process.env.TEMP_DIR = path.join(workDir, 'temp');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EPGManager = require('../epg-manager');
+const { buildManifestCatalogs } = require('../catalog-builder');
+
+test.after(() => {
+    EPGManager.cleanupJob?.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const cachedData = {
+    genres: ['Generalisti'],
+    channels: [{ id: 'tv|rai1.it', genre: ['Generalisti'] }],
+    movies: [{ id: 'vod|film', genre: ['Azione'] }],
+    series: [{ id: 'vod|serie', genre: ['Drammatico'] }]
+};
+
+function getCatalogNames(userConfig) {
+    return buildManifestCatalogs({
+        epg_enabled: 'true',
+        epg_now_catalog: 'true',
+        new_channels_catalog: 'true',
+        profile: 'casa',
+        ...userConfig
+    }, cachedData).slice(1).map(catalog => catalog.name.split(' - ').pop());
+}
+
+test('i nomi dei cataloghi seguono la lingua configurata', () => {
+    assert.deepStrictEqual(getCatalogNames({ language: 'English' }), [
+        'On air now', 'Favourites', 'New channels', 'Movies', 'Series'
+    ]);
+    assert.deepStrictEqual(getCatalogNames({ language: 'Français' }), [
+        'En direct maintenant', 'Favoris', 'Nouvelles chaînes', 'Films', 'Séries'
+    ]);
+    assert.deepStrictEqual(getCatalogNames({}), [
+        'In onda ora', 'Preferiti', 'Nuovi canali', 'Film', 'Serie'
+    ]);
+});
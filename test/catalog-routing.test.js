@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.LOCAL_SOURCE_DIRS = path.join(__dirname, 'fixtures');
+
+// Database e file temporanei in una directory di prova
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omg-dati-'));
+process.env.DATA_DIR = path.join(workDir, 'data');
+process.env.TEMP_DIR = path.join(workDir, 'temp');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../config');
+const CacheManagerFactory = require('../cache-manager');
+const EPGManager = require('../epg-manager');
+const { app } = require('../index');
+
+function getJson(server, requestPath) {
+    const { port } = server.address();
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: requestPath }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve(JSON.parse(body)));
+        }).on('error', reject);
+    });
+}
+
+test('l\'extra range del catalogo filtra i canali per numero', async t => {
+    global.CacheManager = await CacheManagerFactory(config);
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => {
+        server.close();
+        global.CacheManager.cleanup();
+        EPGManager.cleanupJob?.stop();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    const userConfig = new URLSearchParams({
+        m3u: path.join(__dirname, 'fixtures', 'numbered.m3u'),
+        numbering: 'chno'
+    }).toString();
+    const encodedConfig = Buffer.from(userConfig).toString('base64');
+    const catalogId = config.manifest.catalogs[0].id;
+
+    const manifest = await getJson(server, `/${encodedConfig}/manifest.json`);
+    const rangeExtra = manifest.catalogs[0].extra.find(extra => extra.name === 'range');
+    assert.deepStrictEqual(rangeExtra.options, ['1-99', '100-199', '200-299']);
+
+    const all = await getJson(server, `/${encodedConfig}/catalog/tv/${catalogId}.json`);
+    assert.deepStrictEqual(all.metas.map(meta => meta.name.split(' [')[0]), [
+        '1. Rai 1', '126. Cielo', '150. DAZN', '201. Sky Sport', 'Locale'
+    ]);
+
+    const range = await getJson(server, `/${encodedConfig}/catalog/tv/${catalogId}/range=100-199.json`);
+    assert.deepStrictEqual(range.metas.map(meta => meta.id), ['tv|cielo.it', 'tv|dazn.it']);
+
+    // Un gruppo non più presente nella playlist non mostra tutti i canali
+    const staleGroup = await getJson(server, `/${encodedConfig}/catalog/tv/${catalogId}_group_inesistente.json`);
+    assert.deepStrictEqual(staleGroup.metas, []);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    getCatchupDays,
+    getCatchupVideoId,
+    parseCatchupVideoId,
+    fillCatchupTemplate,
+    buildCatchupUrl
+} = require('../catchup-builder');
+
+// 10/03/2024 20:30-21:30 UTC, riprodotto alle 22:30
+const PROGRAM = { startTime: Date.UTC(2024, 2, 10, 20, 30), stopTime: Date.UTC(2024, 2, 10, 21, 30) };
+const START = PROGRAM.startTime / 1000;
+const NOW = PROGRAM.startTime + 2 * 60 * 60 * 1000;
+
+function stream(url, type, source) {
+    return { url, catchup: { type, source } };
+}
+
+test('giorni di archivio e id dei video di catch-up', () => {
+    const channel = {
+        id: 'tv|rai1.it',
+        streamInfo: { urls: [{ url: 'a' }, { url: 'b', catchup: { type: 'shift', days: 3 } }, { url: 'c', catchup: { type: 'ignoto', days: 9 } }] }
+    };
+    assert.strictEqual(getCatchupDays(channel), 3);
+    assert.strictEqual(getCatchupDays({ streamInfo: { urls: [] } }), 0);
+
+    const id = getCatchupVideoId(channel, PROGRAM);
+    assert.deepStrictEqual(parseCatchupVideoId(id), { channelId: 'rai1.it', startTime: PROGRAM.startTime });
+    assert.strictEqual(parseCatchupVideoId('tv|rai1.it'), null);
+    assert.strictEqual(parseCatchupVideoId('tv|rai1.it|catchup|abc'), null);
+});
+
+test('i segnaposto del template', () => {
+    assert.strictEqual(
+        fillCatchupTemplate('s={utc}&e=${end}&d={duration:60}&o={offset}&n={lutc}&x={ignoto}', PROGRAM, NOW),
+        `s=${START}&e=${START + 3600}&d=60&o=7200&n=${START + 7200}&x={ignoto}`
+    );
+    assert.strictEqual(fillCatchupTemplate('{utc:Y-m-d H:M:S}/{Y}{m}{d}', PROGRAM, NOW), '2024-03-10 20:30:00/20240310');
+});
+
+test('gli URL di replay per ogni modalità', () => {
+    assert.strictEqual(buildCatchupUrl(stream('http://tv/live.m3u8', 'default', 'http://tv/replay?s={utc}'), PROGRAM, NOW), `http://tv/replay?s=${START}`);
+    assert.strictEqual(buildCatchupUrl(stream('http://tv/live.m3u8', 'append', '?s={utc}'), PROGRAM, NOW), `http://tv/live.m3u8?s=${START}`);
+    assert.strictEqual(buildCatchupUrl(stream('http://tv/live.m3u8?t=1', 'shift'), PROGRAM, NOW), `http://tv/live.m3u8?t=1&utc=${START}&lutc=${START + 7200}`);
+    assert.strictEqual(buildCatchupUrl(stream('http://tv/rai1/index.m3u8?token=x', 'flussonic'), PROGRAM, NOW), `http://tv/rai1/index-${START}-3600.m3u8?token=x`);
+    assert.strictEqual(buildCatchupUrl(stream('http://tv/rai1/mpegts', 'fs'), PROGRAM, NOW), `http://tv/rai1/timeshift_abs-${START}.ts`);
+    assert.strictEqual(buildCatchupUrl(stream('http://tv:8080/live/u/p/123.m3u8', 'xc'), PROGRAM, NOW), 'http://tv:8080/timeshift/u/p/60/2024-03-10:20-30/123.m3u8');
+    assert.strictEqual(buildCatchupUrl(stream('http://tv/live.m3u8', 'default'), PROGRAM, NOW), null);
+    assert.strictEqual(buildCatchupUrl(stream('http://tv/canale', 'xc'), PROGRAM, NOW), null);
+});
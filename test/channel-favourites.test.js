@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const initSqlJs = require('sql.js');
+const ChannelFavourites = require('../channel-favourites');
+
+let favourites;
+
+test.before(async () => {
+    const SQL = await initSqlJs();
+    favourites = new ChannelFavourites({ db: new SQL.Database(), saveDatabase: () => {} });
+    favourites.initializeTable();
+});
+
+function channel(id) {
+    return { id: `tv|${id}`, name: id, streamInfo: { tvg: { id } } };
+}
+
+const CHANNELS = ['rai1.it', 'rai2.it', 'canale5.it', 'la7.it', 'rete4.it'].map(channel);
+
+function ids(channels) {
+    return channels.map(item => item.streamInfo.tvg.id);
+}
+
+test('le preferenze si salvano per profilo normalizzato', () => {
+    const saved = favourites.setPreferences('casa!', { order: ['La7.it', 'rai2.it'], favourites: ['rai1.it', 'la7.it'], hidden: ['rete4.it'] });
+    assert.deepStrictEqual(saved, { order: ['la7.it', 'rai2.it'], favourites: ['la7.it', 'rai1.it'], hidden: ['rete4.it'] });
+    assert.deepStrictEqual(favourites.getPreferences('casa'), saved);
+    assert.deepStrictEqual(favourites.getPreferences('altro'), { order: [], favourites: [], hidden: [] });
+    assert.throws(() => favourites.setPreferences('!!', {}), /Profilo richiesto/);
+});
+
+test('apply ordina, nasconde e filtra i preferiti', () => {
+    assert.deepStrictEqual(ids(favourites.apply('casa', CHANNELS)), ['la7.it', 'rai2.it', 'rai1.it', 'canale5.it']);
+    assert.deepStrictEqual(ids(favourites.apply('casa', CHANNELS, { favouritesOnly: true })), ['la7.it', 'rai1.it']);
+    assert.deepStrictEqual(ids(favourites.apply('casa', CHANNELS, { keepOrder: true })), ['rai1.it', 'rai2.it', 'canale5.it', 'la7.it']);
+    assert.deepStrictEqual(ids(favourites.apply('casa', CHANNELS, { includeHidden: true })), ['la7.it', 'rai2.it', 'rai1.it', 'canale5.it', 'rete4.it']);
+    // Senza preferenze la lista resta quella ricevuta
+    assert.strictEqual(favourites.apply('altro', CHANNELS), CHANNELS);
+
+    favourites.deleteProfile('casa');
+    assert.strictEqual(favourites.apply('casa', CHANNELS), CHANNELS);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const initSqlJs = require('sql.js');
+const ChannelHistory = require('../channel-history');
+
+let history;
+
+test.before(async () => {
+    const SQL = await initSqlJs();
+    history = new ChannelHistory({ db: new SQL.Database(), saveDatabase: () => {} });
+    history.initializeTable();
+});
+
+function channel(id, name, urls, group = 'Generalisti') {
+    return { id: `tv|${id}`, name, genre: [group], streamInfo: { urls: urls.map(url => ({ url })) } };
+}
+
+const PREVIOUS = [
+    channel('rai1.it', 'Rai 1', ['http://a/rai1']),
+    channel('rai2.it', 'Rai 2', ['http://a/rai2']),
+    channel('canale5.it', 'Canale 5', ['http://a/c5']),
+    channel('rete4.it', 'Rete 4', ['http://a/r4'])
+];
+
+const CURRENT = [
+    channel('rai1.it', 'Rai 1 HD', ['http://a/rai1', 'http://b/rai1']),
+    channel('raidue.it', 'Rai Due', ['http://a/rai2']),
+    channel('canale5.it', 'Canale 5', ['http://a/c5'], 'Mediaset'),
+    channel('la7.it', 'La7', ['http://a/la7'])
+];
+
+test('diff distingue aggiunte, rimozioni, rinomine, flussi e gruppi', () => {
+    const changes = history.diff(PREVIOUS, CURRENT);
+
+    assert.deepStrictEqual(changes.added, [{ id: 'tv|la7.it', name: 'La7' }]);
+    assert.deepStrictEqual(changes.removed, [{ id: 'tv|rete4.it', name: 'Rete 4' }]);
+    assert.deepStrictEqual(changes.renamed, [
+        { id: 'tv|rai1.it', previousId: 'tv|rai1.it', from: 'Rai 1', to: 'Rai 1 HD' },
+        { id: 'tv|raidue.it', previousId: 'tv|rai2.it', from: 'Rai 2', to: 'Rai Due' }
+    ]);
+    assert.deepStrictEqual(changes.streamsChanged, [{ id: 'tv|rai1.it', name: 'Rai 1 HD', added: ['http://b/rai1'], removed: [] }]);
+    assert.deepStrictEqual(changes.groupChanged, [{ id: 'tv|canale5.it', name: 'Canale 5', from: ['Generalisti'], to: ['Mediaset'] }]);
+});
+
+test('lo storico si registra per cache e segnala i canali nuovi', () => {
+    assert.strictEqual(history.record('cache-a', null, CURRENT), null);
+    assert.strictEqual(history.record('cache-a', PREVIOUS, PREVIOUS), null);
+
+    const entry = history.record('cache-a', PREVIOUS, CURRENT);
+    assert.strictEqual(entry.added.length, 1);
+
+    assert.strictEqual(history.getChanges('cache-a').length, 1);
+    assert.deepStrictEqual(history.getChanges('cache-b'), []);
+    assert.deepStrictEqual(Array.from(history.getNewChannelIds('cache-a').keys()).sort(), ['tv|la7.it', 'tv|raidue.it']);
+
+    history.settings.maxEntries = 2;
+    history.record('cache-a', CURRENT, PREVIOUS);
+    history.record('cache-a', PREVIOUS, CURRENT);
+    assert.strictEqual(history.getChanges('cache-a', { limit: 10 }).length, 2);
+
+    history.deleteCache('cache-a');
+    assert.deepStrictEqual(history.getChanges('cache-a'), []);
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Database e file temporanei in una directory di prova, non in data/ e temp/ del progetto
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omg-dati-'));
+process.env.DATA_DIR = path.join(workDir, 'data');
+process.env.TEMP_DIR = path.join(workDir, 'temp');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EPGManager = require('../epg-manager');
+const {
+    parseNumberMap,
+    applyNumberMap,
+    getChannelNumbers,
+    sortByNumber,
+    getNumberRanges,
+    filterByRange
+} = require('../channel-numbering');
+
+test.after(() => {
+    EPGManager.cleanupJob?.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function channel(id, group, chno) {
+    return { id: `tv|${id}`, name: id, genre: [group], streamInfo: { tvg: { id, chno } } };
+}
+
+const CHANNELS = [
+    channel('sky.it', 'Sport', '201'),
+    channel('rai1.it', 'Generalisti', '1'),
+    channel('cielo.it', 'Generalisti'),
+    channel('dazn.it', 'Sport', '150')
+];
+
+test('parseNumberMap legge id e nomi e segnala le righe non valide', () => {
+    const { byId, byName, errors } = parseNumberMap('# commento\nRai1.it=1\nname:Cielo  HD=26\nsenza numero=\nzero=0');
+    assert.deepStrictEqual(Array.from(byId), [['rai1.it', 1]]);
+    assert.deepStrictEqual(Array.from(byName), [['cielo hd', 26]]);
+    assert.strictEqual(errors.length, 2);
+});
+
+test('applyNumberMap assegna i numeri del file ai canali', async () => {
+    const channels = CHANNELS.map(item => ({ ...item }));
+    const numbered = await applyNumberMap(channels, { numbering_map: 'mappa.txt' }, async () => 'cielo.it=26\nname:dazn.it=7');
+    assert.strictEqual(numbered, 2);
+
+    const numbers = getChannelNumbers({ numbering: 'map' }, channels);
+    assert.deepStrictEqual(Array.from(numbers), [['tv|sky.it', 201], ['tv|rai1.it', 1], ['tv|cielo.it', 26], ['tv|dazn.it', 7]]);
+});
+
+test('la numerazione automatica segue l\'ordine dei gruppi', () => {
+    const numbers = getChannelNumbers({ numbering: 'auto', numbering_start: '10' }, CHANNELS, ['Generalisti', 'Sport']);
+    assert.deepStrictEqual(Array.from(numbers), [['tv|rai1.it', 10], ['tv|cielo.it', 11], ['tv|sky.it', 12], ['tv|dazn.it', 13]]);
+    assert.strictEqual(getChannelNumbers({ numbering: 'sconosciuto' }, CHANNELS).size, 0);
+});
+
+test('ordinamento, intervalli e filtro per numero', () => {
+    const numbers = getChannelNumbers({ numbering: 'chno' }, CHANNELS);
+
+    assert.deepStrictEqual(sortByNumber(CHANNELS, numbers).map(item => item.id), ['tv|rai1.it', 'tv|dazn.it', 'tv|sky.it', 'tv|cielo.it']);
+    assert.deepStrictEqual(getNumberRanges(numbers), ['1-99', '100-199', '200-299']);
+    assert.deepStrictEqual(filterByRange(CHANNELS, numbers, '100-250').map(item => item.id), ['tv|sky.it', 'tv|dazn.it']);
+    assert.strictEqual(filterByRange(CHANNELS, numbers, 'non valido'), CHANNELS);
+});
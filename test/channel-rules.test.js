@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRules, loadRules, applyRules, getRuleGenres } = require('../channel-rules');
+
+function channel(id, name, group, urls) {
+    return {
+        id: `tv|${id}`,
+        name,
+        genre: [group],
+        playlistIndexes: [0],
+        streamInfo: { tvg: { id, name }, urls: urls.map(url => ({ url })) }
+    };
+}
+
+function getChannels() {
+    return [
+        channel('rai1.it', 'Rai 1 HD', 'IT | Generalisti', ['http://a/rai1.m3u8']),
+        channel('rai1b.it', 'Rai 1', 'IT | Generalisti', ['http://b/rai1.m3u8', 'http://a/rai1.m3u8']),
+        channel('xxx.it', 'Adulti', 'XXX', ['http://a/xxx.m3u8']),
+        channel('sky.it', 'Sky Sport', 'IT | Sport', ['http://morto/sky.ts'])
+    ];
+}
+
+test('parseRules scarta e segnala le regole non valide', () => {
+    const { rules, errors } = parseRules(JSON.stringify({
+        rules: [
+            { action: 'hide', group: '^XXX$' },
+            { action: 'sconosciuta' },
+            { action: 'rename', name: 'Rai' },
+            { action: 'drop_streams' },
+            { action: 'group', name: '(' }
+        ]
+    }));
+    assert.strictEqual(rules.length, 1);
+    assert.strictEqual(errors.length, 4);
+    assert.match(errors[0], /^Regola 2: azione non valida/);
+    assert.throws(() => parseRules('{"regole": []}'), /array di regole/);
+});
+
+test('applyRules applica le azioni in ordine senza modificare l\'input', () => {
+    const channels = getChannels();
+    const { rules } = parseRules([
+        { action: 'hide', group: '^XXX$' },
+        { action: 'rename', pattern: '\\s*HD$', replace: '' },
+        { action: 'group', group: '^IT \\| (.*)$', to: '$1' },
+        { action: 'merge' },
+        { action: 'drop_streams', url: '^http://morto/' },
+        { action: 'logo', name: '^Rai 1$', logo: 'http://logo/rai1.png' }
+    ]);
+
+    const { channels: result, report } = applyRules(channels, rules);
+
+    assert.deepStrictEqual(result.map(item => [item.id, item.name, item.genre]), [['tv|rai1.it', 'Rai 1', ['Generalisti']]]);
+    assert.deepStrictEqual(result[0].streamInfo.urls.map(stream => stream.url), ['http://a/rai1.m3u8', 'http://b/rai1.m3u8']);
+    assert.strictEqual(result[0].logo, 'http://logo/rai1.png');
+    assert.deepStrictEqual(report.merged, [{ id: 'tv|rai1b.it', name: 'Rai 1', into: 'tv|rai1.it' }]);
+    assert.deepStrictEqual(report.hidden.map(item => item.id), ['tv|xxx.it', 'tv|sky.it']);
+    assert.strictEqual(report.channelsAfter, 1);
+    assert.deepStrictEqual(report.unusedRules, []);
+
+    assert.strictEqual(channels[0].name, 'Rai 1 HD');
+    assert.strictEqual(channels.length, 4);
+});
+
+test('getRuleGenres conserva l\'ordine e aggiunge i gruppi nuovi', () => {
+    const genres = getRuleGenres(['Sport', 'XXX', 'Generalisti'], [{ genre: ['Generalisti'] }, { genre: ['Nuovo'] }, { genre: ['Sport'] }]);
+    assert.deepStrictEqual(genres, ['Sport', 'Generalisti', 'Nuovo']);
+});
+
+test('loadRules non blocca la playlist se il file non è valido', async () => {
+    assert.deepStrictEqual(await loadRules({}), { rules: [], errors: [] });
+    const result = await loadRules({ rules_path: 'regole.json' }, async () => '{ non json');
+    assert.strictEqual(result.rules.length, 0);
+    assert.strictEqual(result.errors.length, 1);
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Database e file temporanei in una directory di prova, non in data/ e temp/ del progetto
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omg-dati-'));
+process.env.DATA_DIR = path.join(workDir, 'data');
+process.env.TEMP_DIR = path.join(workDir, 'temp');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../config');
+const EPGManager = require('../epg-manager');
+const { buildManifestCatalogs, resolveCatalogFilter } = require('../catalog-builder');
+
+function formatXmltvDate(time) {
+    return new Date(time).toISOString().replace(/[-:T]/g, '').slice(0, 14) + ' +0000';
+}
+
+function programme(channel, start, stop, title, category, extra = '') {
+    return `<programme start="${formatXmltvDate(start)}" stop="${formatXmltvDate(stop)}" channel="${channel}">` +
+        `<title>${title}</title>${extra}<category>${category}</category></programme>`;
+}
+
+// Rai 1: un programma in onda e uno tra un'ora; Canale 5: un programma tra cinque ore,
+// con il solo titolo inglese indicato dall'attributo lang
+function buildEpg() {
+    const now = Date.now();
+    const hour = 60 * 60 * 1000;
+    return '<?xml version="1.0" encoding="UTF-8"?>\n<tv>' +
+        '<channel id="rai1.it"><display-name>Rai 1</display-name></channel>' +
+        '<channel id="canale5.it"><display-name>Canale 5</display-name></channel>' +
+        programme('rai1.it', now - hour / 2, now + hour / 2, 'Telegiornale', 'Notizie') +
+        programme('rai1.it', now + hour / 2, now + 2 * hour, 'Film della sera', 'Film') +
+        programme('canale5.it', now + 5 * hour, now + 6 * hour, 'Quiz', 'Intrattenimento', '<title lang="en">Quiz show</title>') +
+        '</tv>';
+}
+
+let server;
+
+test.before(async () => {
+    while (!EPGManager.db) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    server = http.createServer((req, res) => res.end(buildEpg()));
+    server.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    await EPGManager.startEPGUpdate(`http://127.0.0.1:${server.address().port}/guida.xml`);
+});
+
+test.after(() => {
+    server.close();
+    EPGManager.cleanupJob?.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('programmi in onda e in partenza nella finestra richiesta', () => {
+    const current = EPGManager.getCurrentPrograms();
+    assert.strictEqual(current.get('rai1.it').title, 'Telegiornale');
+    assert.strictEqual(current.has('canale5.it'), false);
+
+    assert.deepStrictEqual(EPGManager.getProgramsStartingWithin(3).map(program => program.title), ['Film della sera']);
+    assert.deepStrictEqual(EPGManager.getProgramsStartingWithin(6).map(program => program.channelId), ['rai1.it', 'canale5.it']);
+    assert.deepStrictEqual(EPGManager.getProgramsStartingWithin(6, 'intrattenimento').map(program => program.title), ['Quiz']);
+    assert.deepStrictEqual(EPGManager.getUpcomingCategories(6), ['Film', 'Intrattenimento']);
+});
+
+test('una sola traduzione con lang viene conservata', () => {
+    assert.deepStrictEqual(EPGManager.getProgramsStartingWithin(6, 'intrattenimento', 'English').map(program => program.title), ['Quiz show']);
+    assert.deepStrictEqual(EPGManager.getProgramsStartingWithin(6, 'intrattenimento', 'Italiano').map(program => program.title), ['Quiz']);
+});
+
+test('i cataloghi della guida compaiono solo se abilitati', () => {
+    const baseId = config.manifest.catalogs[0].id;
+    const userConfig = { epg_enabled: 'true', epg_now_catalog: 'true', epg_upcoming_catalog: 'true', epg_upcoming_hours: '6' };
+    const catalogs = buildManifestCatalogs(userConfig, { channels: [], genres: [] });
+
+    const upcoming = catalogs.find(catalog => catalog.id === `${baseId}_epg_upcoming`);
+    assert.ok(catalogs.some(catalog => catalog.id === `${baseId}_epg_now`));
+    assert.deepStrictEqual(upcoming.extra.find(extra => extra.name === 'genre').options, ['Film', 'Intrattenimento']);
+
+    assert.deepStrictEqual(resolveCatalogFilter(`${baseId}_epg_now`, userConfig, {}), { epgCatalog: 'now' });
+    assert.deepStrictEqual(resolveCatalogFilter(`${baseId}_epg_upcoming`, userConfig, {}), { epgCatalog: 'upcoming', hours: 6 });
+    // Ore fuori dai limiti: valore predefinito e massimo
+    assert.strictEqual(resolveCatalogFilter(`${baseId}_epg_upcoming`, { epg_upcoming_hours: 'x' }, {}).hours, 3);
+    assert.strictEqual(resolveCatalogFilter(`${baseId}_epg_upcoming`, { epg_upcoming_hours: '100' }, {}).hours, 48);
+
+    const disabled = buildManifestCatalogs({ ...userConfig, epg_enabled: 'false' }, { channels: [], genres: [] });
+    assert.ok(!disabled.some(catalog => catalog.id.includes('_epg_')));
+});
+
+test('i collegamenti automatici per nome valgono solo per la cache che li ha prodotti', () => {
+    const m3uChannel = (id, name) => ({ id: `tv|${id}`, name, streamInfo: { tvg: { id } } });
+
+    EPGManager.checkMissingEPG([m3uChannel('ch1', 'Rai 1')], 'cache-a');
+    EPGManager.checkMissingEPG([m3uChannel('ch1', 'Canale 5')], 'cache-b');
+
+    assert.strictEqual(EPGManager.resolveChannelId('ch1', 'cache-a'), 'rai1.it');
+    assert.strictEqual(EPGManager.resolveChannelId('ch1', 'cache-b'), 'canale5.it');
+    assert.strictEqual(EPGManager.resolveChannelId('ch1'), 'ch1');
+    assert.strictEqual(EPGManager.getCurrentProgram('ch1', null, 'cache-a').title, 'Telegiornale');
+    assert.strictEqual(EPGManager.getCurrentProgram('ch1', null, 'cache-b'), null);
+
+    // Le regole manuali restano separate e hanno la precedenza
+    assert.deepStrictEqual(EPGManager.getRemappingRules(), []);
+    assert.strictEqual(EPGManager.getRemappingRules({ includeAuto: true }).length, 2);
+    EPGManager.setRemappingRule('ch1', 'canale5.it');
+    assert.strictEqual(EPGManager.resolveChannelId('ch1', 'cache-a'), 'canale5.it');
+    EPGManager.deleteRemappingRule('ch1');
+
+    assert.ok(EPGManager.getSuggestions('cache-a').includes('\nch1=rai1.it\n'));
+    assert.ok(EPGManager.getSuggestions('cache-b').includes('\nch1=canale5.it\n'));
+    // Il remapping unito contiene una sola riga per canale
+    assert.strictEqual(EPGManager.getSuggestions().split('\n').filter(line => line.startsWith('ch1=')).length, 1);
+
+    EPGManager.deleteCacheMatches('cache-a');
+    assert.strictEqual(EPGManager.resolveChannelId('ch1', 'cache-a'), 'ch1');
+    assert.ok(!EPGManager.getSuggestions().includes('rai1.it'));
+});
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omg-epg-'));
+process.env.LOCAL_SOURCE_DIRS = fixturesDir;
+process.env.DATA_DIR = path.join(fixturesDir, 'data');
+process.env.TEMP_DIR = path.join(fixturesDir, 'temp');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EPGManager = require('../epg-manager');
+
+function formatXmltvDate(time) {
+    return new Date(time).toISOString().replace(/[-:T]/g, '').slice(0, 14) + ' +0000';
+}
+
+function buildEpg() {
+    const now = Date.now();
+    return '<?xml version="1.0" encoding="UTF-8"?>\n<tv>' +
+        '<channel id="rai1.it"><display-name>Rai 1</display-name><lcn>1</lcn></channel>' +
+        `<programme start="${formatXmltvDate(now - 1800000)}" stop="${formatXmltvDate(now + 1800000)}" channel="rai1.it"><title>Telegiornale</title></programme>` +
+        '</tv>';
+}
+
+async function waitForDatabase() {
+    while (!EPGManager.db) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+test.after(() => {
+    EPGManager.cleanupJob?.stop();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+test('una sorgente invariata salta l\'aggiornamento e conserva gli LCN', async () => {
+    await waitForDatabase();
+    const source = path.join(fixturesDir, 'valid.xml');
+    fs.writeFileSync(source, buildEpg());
+
+    await EPGManager.startEPGUpdate(source);
+    assert.ok(EPGManager.getSourceState(source));
+    assert.strictEqual(EPGManager.lastSourceCheck.skipped, false);
+    assert.deepStrictEqual(Array.from(EPGManager.getChannelLcns()), [['rai1.it', 1]]);
+
+    await EPGManager.startEPGUpdate(source);
+    assert.strictEqual(EPGManager.lastSourceCheck.skipped, true);
+});
+
+test('una sorgente corrotta non salva i validatori e viene rielaborata', async () => {
+    await waitForDatabase();
+    const source = path.join(fixturesDir, 'truncated.xml.gz');
+    const compressed = zlib.gzipSync(buildEpg());
+    fs.writeFileSync(source, compressed.subarray(0, compressed.length - 20));
+
+    await EPGManager.startEPGUpdate(source);
+    assert.strictEqual(EPGManager.getSourceState(source), null);
+
+    await EPGManager.startEPGUpdate(source);
+    assert.strictEqual(EPGManager.lastSourceCheck.skipped, false);
+});
@@ -0,0 +1,87 @@
+process.env.INTERNAL_PROXY_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const InternalProxy = require('../internal-proxy');
+
+const MANIFEST_URL = 'https://cdn.example.com/live/channel/manifest.mpd';
+
+function request(server, requestPath) {
+    const { port } = server.address();
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: requestPath }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        }).on('error', reject);
+    });
+}
+
+test('i token firmati conservano URL, header e chiavi', () => {
+    const token = InternalProxy.createToken(MANIFEST_URL, { referer: 'https://site.example/' }, { keyId: 'ab', key: 'cd' });
+    const target = InternalProxy.parseToken(token);
+
+    assert.strictEqual(target.url, MANIFEST_URL);
+    assert.strictEqual(target.headers.Referer, 'https://site.example/');
+    assert.deepStrictEqual(target.drm, { keyId: 'ab', key: 'cd' });
+});
+
+test('i token alterati o non HTTP vengono rifiutati', () => {
+    const [payload, signature] = InternalProxy.createToken(MANIFEST_URL).split('.');
+    const otherPayload = Buffer.from(JSON.stringify({ u: 'http://evil.test/' })).toString('base64url');
+
+    assert.strictEqual(InternalProxy.parseToken(`${otherPayload}.${signature}`), null);
+    assert.strictEqual(InternalProxy.parseToken(payload), null);
+    assert.strictEqual(InternalProxy.parseToken(InternalProxy.createToken('file:///etc/passwd')), null);
+});
+
+test('i token scaduti o senza scadenza vengono rifiutati', () => {
+    const signed = data => {
+        const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+        return `${payload}.${InternalProxy.sign(payload)}`;
+    };
+
+    assert.strictEqual(InternalProxy.parseToken(signed({ u: MANIFEST_URL, exp: Date.now() - 1000 })), null);
+    assert.strictEqual(InternalProxy.parseToken(signed({ u: MANIFEST_URL })), null);
+    assert.strictEqual(InternalProxy.parseToken(signed({ u: MANIFEST_URL, exp: Date.now() + 60000 })).url, MANIFEST_URL);
+});
+
+test('resolveDashUrl resta nella directory firmata', () => {
+    assert.strictEqual(
+        InternalProxy.resolveDashUrl(MANIFEST_URL, 'video/seg-1.m4s?x=1'),
+        'https://cdn.example.com/live/channel/video/seg-1.m4s?x=1'
+    );
+    assert.strictEqual(InternalProxy.resolveDashUrl(MANIFEST_URL, 'http://evil.test/x'), null);
+    assert.strictEqual(InternalProxy.resolveDashUrl(MANIFEST_URL, '//169.254.169.254/latest'), null);
+    assert.strictEqual(InternalProxy.resolveDashUrl(MANIFEST_URL, '../other/manifest.mpd'), null);
+    assert.strictEqual(InternalProxy.resolveDashUrl(MANIFEST_URL, 'https://cdn.example.com/private'), null);
+});
+
+test('la route DASH rifiuta URL assoluti e protocol-relative', async () => {
+    const app = express();
+    app.use('/internal-proxy', InternalProxy.createRouter());
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+
+    try {
+        const token = InternalProxy.createToken(MANIFEST_URL);
+        assert.strictEqual(await request(server, `/internal-proxy/dash/${token}/http://evil.test/x`), 403);
+        assert.strictEqual(await request(server, `/internal-proxy/dash/${token}/%2F%2F169.254.169.254%2Flatest`), 403);
+        assert.strictEqual(await request(server, `/internal-proxy/dash/invalid.token/seg.m4s`), 403);
+    } finally {
+        server.close();
+    }
+});
+
+test('le playlist HLS vengono riscritte verso il relay', () => {
+    const playlist = '#EXTM3U\n#EXT-X-KEY:METHOD=AES-128,URI="key.bin"\n#EXT-X-STREAM-INF:BANDWIDTH=1\nlow/index.m3u8\nseg1.ts';
+    const lines = InternalProxy.rewriteHlsPlaylist(playlist, 'https://cdn.example.com/live/index.m3u8', {}, 'http://addon').split('\n');
+
+    assert.match(lines[1], /URI="http:\/\/addon\/internal-proxy\/segment\?t=/);
+    assert.match(lines[3], /^http:\/\/addon\/internal-proxy\/hls\/manifest\.m3u8\?t=/);
+    assert.match(lines[4], /^http:\/\/addon\/internal-proxy\/segment\?t=/);
+
+    const token = decodeURIComponent(lines[3].split('t=')[1]);
+    assert.strictEqual(InternalProxy.parseToken(token).url, 'https://cdn.example.com/live/low/index.m3u8');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MESSAGES, getLanguageCode, getLanguageTag, createTranslator } = require('../messages');
+
+test('codice della lingua dal campo language', () => {
+    assert.strictEqual(getLanguageCode('Italiana'), 'it');
+    assert.strictEqual(getLanguageCode('Français'), 'fr');
+    assert.strictEqual(getLanguageCode('EN-us'), 'en');
+    assert.strictEqual(getLanguageCode(''), 'it');
+});
+
+test('traduzioni con segnaposto e lingue di ripiego', () => {
+    assert.strictEqual(createTranslator('English')('channelSummary', { name: 'Rai 1', id: 'rai1.it' }), 'Channel: Rai 1 - ID: rai1.it');
+    assert.strictEqual(createTranslator('Español')('channelNumber', { number: 7 }), 'Canal 7');
+    // Lingua senza traduzione: inglese; chiave sconosciuta: la chiave stessa
+    assert.strictEqual(createTranslator('Deutsch')('live'), 'LIVE');
+    assert.strictEqual(createTranslator('Italiano')('chiaveInesistente'), 'chiaveInesistente');
+    assert.strictEqual(createTranslator()('channelId', {}), 'ID Canale: ');
+});
+
+test('sigle delle lingue e durate', () => {
+    assert.strictEqual(getLanguageTag('Italiana'), 'ITA');
+    assert.strictEqual(getLanguageTag('Español'), 'ESP');
+    assert.strictEqual(getLanguageTag('Deutsch'), 'DEU');
+    assert.strictEqual(createTranslator('Français')('hoursLeft', { hours: 1, minutes: '05' }), '1 h 05 min');
+    assert.strictEqual(createTranslator('English')('minutesLeft', { minutes: 12 }), '12 min');
+});
+
+test('ogni lingua traduce tutte le chiavi dell\'italiano', () => {
+    const keys = Object.keys(MESSAGES.it).sort();
+    Object.entries(MESSAGES).forEach(([language, messages]) => {
+        assert.deepStrictEqual(Object.keys(messages).sort(), keys, language);
+    });
+});
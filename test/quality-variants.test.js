@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectQuality, stripQualityTags, mergeQualityVariants, sortByQuality } = require('../quality-variants');
+
+function channel(id, name, group) {
+    return {
+        id: `tv|${id}`,
+        name,
+        genre: [group],
+        playlistIndexes: [0],
+        streamInfo: { tvg: { id, name }, urls: [{ url: `http://tv/${id}.m3u8`, name }] }
+    };
+}
+
+test('qualità e varianti riconosciute nel nome', () => {
+    assert.deepStrictEqual(detectQuality('Rai 1 FHD HEVC'), { quality: 'FHD', variants: ['HEVC'] });
+    assert.deepStrictEqual(detectQuality('RAI1 4K'), { quality: 'UHD', variants: [] });
+    assert.deepStrictEqual(detectQuality('Canale 5 (backup)'), { quality: null, variants: ['Backup'] });
+    assert.strictEqual(stripQualityTags('Rai 1 (FHD) - HEVC'), 'Rai 1');
+    assert.strictEqual(stripQualityTags('HD'), 'HD');
+});
+
+test('le varianti dello stesso canale diventano un solo canale', () => {
+    const { channels, merged } = mergeQualityVariants([
+        channel('rai1hd.it', 'Rai 1 HD', 'Generalisti'),
+        channel('rete4.it', 'Rete 4', 'Generalisti'),
+        channel('rai1.it', 'Rai 1', 'Generalisti'),
+        channel('rai14k.it', 'RAI1 4K', 'UHD')
+    ]);
+
+    assert.strictEqual(merged, 2);
+    assert.deepStrictEqual(channels.map(item => [item.id, item.name]), [['tv|rete4.it', 'Rete 4'], ['tv|rai1.it', 'Rai 1']]);
+    assert.deepStrictEqual(channels[1].streamInfo.urls.map(stream => stream.quality), [undefined, 'HD', 'UHD']);
+    assert.deepStrictEqual(channels[1].genre, ['Generalisti', 'UHD']);
+});
+
+test('i flussi partono dalla qualità preferita', () => {
+    const urls = ['Rai 1 SD', 'Rai 1', 'Rai 1 HD', 'Rai 1 4K', 'Rai 1 FHD backup', 'Rai 1 FHD'].map(name => ({ url: name, name }));
+
+    assert.deepStrictEqual(sortByQuality(urls, 'fhd').map(stream => stream.name), [
+        'Rai 1 FHD', 'Rai 1 FHD backup', 'Rai 1 4K', 'Rai 1 HD', 'Rai 1 SD', 'Rai 1'
+    ]);
+    assert.strictEqual(sortByQuality(urls, ''), urls);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RemappingRules } = require('../remapping-rules');
+
+const RULES = [
+    '# commento',
+    'rai1=rai1.it',
+    'base:canale5=canale5.it',
+    're:^sky(.*)hd$=sky$1.it',
+    'skysport*=skysport$1.it',
+    'name:Rete 4 HD=rete4.it',
+    'group:re:^DAZN (\\d+)$=dazn$1.it',
+    'riga senza separatore',
+    're:([=x'
+].join('\n');
+
+function channel(id, name = '', group = []) {
+    return { name, group, tvg: { id } };
+}
+
+test('le regole esatte, con suffisso, per nome e per gruppo', () => {
+    const rules = new RemappingRules(RULES);
+
+    assert.strictEqual(rules.resolve(channel('Rai1')), 'rai1.it');
+    assert.strictEqual(rules.resolve(channel('canale5.ita'), 'ita'), 'canale5.it');
+    assert.strictEqual(rules.resolve(channel('x', 'rete 4  hd')), 'rete4.it');
+    assert.strictEqual(rules.resolve(channel('y', 'Partita', ['DAZN 3'])), 'dazn3.it');
+    assert.strictEqual(rules.resolve(channel('sconosciuto')), null);
+});
+
+test('espressioni regolari e caratteri jolly con catture', () => {
+    const rules = new RemappingRules(RULES);
+
+    assert.strictEqual(rules.resolve(channel('skycinemahd')), 'skycinema.it');
+    assert.strictEqual(rules.resolve(channel('skysport24')), 'skysport24.it');
+});
+
+test('il riepilogo segnala righe non valide, conflitti e regole inutilizzate', () => {
+    const rules = new RemappingRules(`${RULES}\nrai1=rai1hd.it`);
+    rules.resolve(channel('rai1'));
+    // skysporthd corrisponde a due regole con destinazioni diverse: vale la prima
+    assert.strictEqual(rules.resolve(channel('skysporthd')), 'skysport.it');
+
+    const report = rules.getReport();
+    // La seconda regola per rai1 sostituisce la prima
+    assert.strictEqual(report.rules, 6);
+    assert.strictEqual(report.errors.length, 2);
+    assert.strictEqual(report.conflicts.length, 2);
+    assert.ok(report.unused.some(line => line.includes('canale5')));
+    assert.ok(!report.unused.some(line => line.includes('rai1')));
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const initSqlJs = require('sql.js');
+const StreamHealthProber = require('../stream-health-prober');
+
+// Flusso diretto, server senza HEAD, flusso inesistente e catena HLS master -> variante -> segmento
+const ROUTES = {
+    '/diretto.ts': (req, res) => res.end('ts'),
+    '/senza-head.ts': (req, res) => {
+        res.writeHead(req.method === 'HEAD' ? 405 : 206);
+        res.end();
+    },
+    '/hls/master.m3u8': (req, res) => res.end('#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nvariante.m3u8\n'),
+    '/hls/variante.m3u8': (req, res) => res.end('#EXTM3U\n#EXTINF:6,\nsegmento.ts\n'),
+    '/hls/segmento.ts': (req, res) => res.end('ts'),
+    '/hls/vuota.m3u8': (req, res) => res.end('#EXTM3U\n'),
+    '/protetto.ts': (req, res) => {
+        res.writeHead(403);
+        res.end();
+    },
+    '/hls/enorme.m3u8': (req, res) => res.end('#EXTM3U\n' + '#'.repeat(3 * 1024 * 1024))
+};
+
+let server;
+let baseUrl;
+let prober;
+
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        const route = ROUTES[req.url.split('?')[0]];
+        if (!route) {
+            res.writeHead(404);
+            return res.end();
+        }
+        return route(req, res);
+    });
+    server.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const SQL = await initSqlJs();
+    prober = new StreamHealthProber({ db: new SQL.Database(), saveDatabase: () => {} });
+    prober.initializeTable();
+});
+
+test.after(() => server.close());
+
+test('stato dei flussi diretti e HLS', async () => {
+    assert.strictEqual((await prober.probeUrl({ url: `${baseUrl}/diretto.ts`, headers: {} })).status, 'ok');
+    assert.strictEqual((await prober.probeUrl({ url: `${baseUrl}/senza-head.ts`, headers: {} })).status, 'ok');
+    assert.strictEqual((await prober.probeUrl({ url: `${baseUrl}/hls/master.m3u8`, headers: {} })).status, 'ok');
+
+    const missing = await prober.probeUrl({ url: `${baseUrl}/mancante.ts`, headers: {} });
+    assert.deepStrictEqual([missing.status, missing.error], ['dead', 'HTTP 404']);
+    const empty = await prober.probeUrl({ url: `${baseUrl}/hls/vuota.m3u8`, headers: {} });
+    assert.deepStrictEqual([empty.status, empty.error], ['dead', 'Playlist senza segmenti']);
+    // Le playlist oltre il limite di dimensione non vengono scaricate per intero
+    const huge = await prober.probeUrl({ url: `${baseUrl}/hls/enorme.m3u8`, headers: {} });
+    assert.strictEqual(huge.status, 'dead');
+    assert.match(huge.error, /maxContentLength/);
+
+    // Un rifiuto 403 anche sulla GET viene registrato con il motivo, ma non come flusso morto
+    const forbidden = await prober.probeUrl({ url: `${baseUrl}/protetto.ts`, headers: {} });
+    assert.deepStrictEqual([forbidden.status, forbidden.error], ['blocked', 'HTTP 403']);
+});
+
+test('ordinamento dei flussi e canali non funzionanti', () => {
+    const urls = [`${baseUrl}/mancante.ts`, `${baseUrl}/mai-verificato.ts`, `${baseUrl}/diretto.ts`].map(url => ({ url }));
+    assert.deepStrictEqual(prober.sortByHealth(urls).map(stream => stream.url), [urls[2].url, urls[1].url, urls[0].url]);
+
+    assert.strictEqual(prober.isChannelDead({ streamInfo: { urls: [urls[0]] } }), true);
+    assert.strictEqual(prober.isChannelDead({ streamInfo: { urls: [urls[0], urls[1]] } }), false);
+    assert.strictEqual(prober.isChannelDead({ streamInfo: { urls: [] } }), false);
+
+    const forbidden = { url: `${baseUrl}/protetto.ts` };
+    assert.strictEqual(prober.isChannelDead({ streamInfo: { urls: [forbidden] } }), false);
+    assert.strictEqual(prober.isChannelDead({ streamInfo: { urls: [urls[0], forbidden] } }), false);
+    assert.deepStrictEqual(prober.sortByHealth([urls[0], forbidden]).map(stream => stream.url), [forbidden.url, urls[0].url]);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const initSqlJs = require('sql.js');
+const StreamQualityProber = require('../stream-quality-prober');
+
+const HLS_MASTER = [
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",LANGUAGE="ita",NAME="Italiano"',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",LANGUAGE="eng",NAME="English"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=1500000,RESOLUTION=1280x720,CODECS="avc1.64001f,mp4a.40.2",AUDIO="aud"',
+    '720/index.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=5200000,RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2",AUDIO="aud"',
+    '1080/index.m3u8',
+    ''
+].join('\n');
+
+const DASH_MANIFEST = `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011">
+  <Period>
+    <AdaptationSet contentType="video" mimeType="video/mp4">
+      <Representation id="v1" width="1280" height="720" bandwidth="2000000" codecs="hev1.1.6.L93.B0" frameRate="25"/>
+      <Representation id="v2" width="3840" height="2160" bandwidth="15000000" codecs="hev1.2.4.L153.B0" frameRate="50/1"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" lang="ita" mimeType="audio/mp4">
+      <Representation id="a1" bandwidth="128000" codecs="ec-3"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+const ROUTES = {
+    '/live/master.m3u8': (req, res) => res.end(HLS_MASTER),
+    '/live/manifest.mpd': (req, res) => res.end(DASH_MANIFEST),
+    '/live/pagina.m3u8': (req, res) => res.end('<html></html>')
+};
+
+let server;
+let baseUrl;
+let prober;
+let requests = 0;
+
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        requests++;
+        const route = ROUTES[req.url];
+        if (!route) {
+            res.writeHead(404);
+            return res.end();
+        }
+        return route(req, res);
+    });
+    server.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const SQL = await initSqlJs();
+    prober = new StreamQualityProber({ db: new SQL.Database(), saveDatabase: () => {} });
+    prober.initializeTable();
+});
+
+test.after(() => {
+    prober.saveTimer && clearTimeout(prober.saveTimer);
+    server.close();
+});
+
+test('master playlist HLS: varianti ordinate e tracce audio', async () => {
+    const info = await prober.probeUrl({ url: `${baseUrl}/live/master.m3u8`, headers: {} });
+
+    assert.strictEqual(info.type, 'hls');
+    assert.deepStrictEqual(info.variants.map(v => [v.height, v.url]), [
+        [1080, `${baseUrl}/live/1080/index.m3u8`],
+        [720, `${baseUrl}/live/720/index.m3u8`]
+    ]);
+    assert.deepStrictEqual(info.audio.map(track => track.language), ['ita', 'eng']);
+    assert.strictEqual(prober.describe(info), '1080p-720p · 5.2 Mbps · H.264 AAC · 🔊 ITA, ENG');
+    assert.strictEqual(prober.describe(info, info.variants[1]), '720p · 1.5 Mbps · H.264 AAC · 🔊 ITA, ENG');
+    assert.strictEqual(prober.isSplittable(info, info.variants[0]), true);
+});
+
+test('manifest DASH: solo il primo periodo, audio per lingua', async () => {
+    const info = await prober.probeUrl({ url: `${baseUrl}/live/manifest.mpd`, headers: {} });
+
+    assert.strictEqual(info.type, 'dash');
+    assert.deepStrictEqual(info.variants.map(v => [v.height, v.frameRate]), [[2160, 50], [720, 25]]);
+    assert.deepStrictEqual(info.audio.map(track => track.language), ['ita']);
+    assert.strictEqual(prober.isSplittable(info, info.variants[0]), false);
+});
+
+test('errori e risultati riutilizzati entro il ttl', async () => {
+    assert.strictEqual(await prober.probeUrl({ url: `${baseUrl}/live/pagina.m3u8`, headers: {} }), null);
+    assert.strictEqual(prober.quality.get(`${baseUrl}/live/pagina.m3u8`).error, 'Né playlist HLS né manifest DASH');
+    assert.strictEqual(await prober.probeUrl({ url: `${baseUrl}/live/assente.m3u8`, headers: {} }), null);
+    assert.strictEqual(prober.quality.get(`${baseUrl}/live/assente.m3u8`).error, 'HTTP 404');
+
+    const before = requests;
+    await prober.probeUrl({ url: `${baseUrl}/live/master.m3u8`, headers: {} });
+    assert.strictEqual(requests, before);
+    assert.deepStrictEqual(prober.getStatus(), { checked: 4, detected: 2, failed: 2 });
+
+    assert.strictEqual(prober.isSupported('http://x/canale.ts'), false);
+    assert.strictEqual(prober.isSupported('http://x/canale.mpd?token=1'), true);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../config');
+const { buildRequestHeaders, fetchManifest, getFirstUri } = require('../upstream-request');
+const StreamHealthProber = require('../stream-health-prober');
+
+// Master playlist con redirect, una variante e un segmento
+const ROUTES = {
+    '/live/master.m3u8': (req, res) => {
+        res.writeHead(302, { Location: '/hls/master.m3u8' });
+        res.end();
+    },
+    '/hls/master.m3u8': (req, res) => res.end('#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nvariant/720.m3u8\n'),
+    '/hls/variant/720.m3u8': (req, res) => res.end('#EXTM3U\n#EXTINF:6,\nseg1.ts\n'),
+    '/hls/variant/seg1.ts': (req, res) => res.end('ts')
+};
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        const route = ROUTES[req.url.split('?')[0]];
+        if (!route) {
+            res.writeHead(404);
+            return res.end();
+        }
+        return route(req, res);
+    });
+    server.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test('buildRequestHeaders tiene User-Agent, Referer e Origin del canale', () => {
+    assert.deepStrictEqual(buildRequestHeaders({ referrer: 'https://sito.example/', origin: 'https://sito.example', Cookie: 'x=1' }), {
+        'User-Agent': config.defaultUserAgent,
+        'Referer': 'https://sito.example/',
+        'Origin': 'https://sito.example'
+    });
+    assert.strictEqual(buildRequestHeaders({ 'user-agent': 'Player/1.0' })['User-Agent'], 'Player/1.0');
+});
+
+test('fetchManifest segue i redirect e segnala gli errori HTTP', async () => {
+    const master = await fetchManifest(`${baseUrl}/live/master.m3u8`, buildRequestHeaders());
+    assert.strictEqual(master.finalUrl, `${baseUrl}/hls/master.m3u8`);
+    assert.strictEqual(getFirstUri(master.content, master.finalUrl), `${baseUrl}/hls/variant/720.m3u8`);
+
+    await assert.rejects(fetchManifest(`${baseUrl}/mancante.m3u8`, buildRequestHeaders()), /HTTP 404/);
+});
+
+test('la verifica dei flussi HLS scarica master, variante e primo segmento', async () => {
+    const prober = new StreamHealthProber({});
+    await prober.probeStream({ url: `${baseUrl}/live/master.m3u8`, headers: { Referer: 'https://sito.example/' } });
+    await assert.rejects(prober.probeStream({ url: `${baseUrl}/mancante.m3u8`, headers: {} }), /HTTP 404/);
+});
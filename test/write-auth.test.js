@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Database e file temporanei in una directory di prova, non in data/ e temp/ del progetto
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omg-dati-'));
+process.env.DATA_DIR = path.join(workDir, 'data');
+process.env.TEMP_DIR = path.join(workDir, 'temp');
+
+process.env.UPLOAD_PASSWORD = 'password-di-prova';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const CacheManagerFactory = require('../cache-manager');
+const EPGManager = require('../epg-manager');
+const { app } = require('../index');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    global.CacheManager = await CacheManagerFactory(config);
+    while (!EPGManager.db) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    global.CacheManager.cleanup();
+    EPGManager.cleanupJob?.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function request(method, requestPath, body, password) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (password !== undefined) headers['X-Upload-Password'] = password;
+    return fetch(baseUrl + requestPath, { method, headers, body: body && JSON.stringify(body) });
+}
+
+test('i preferiti si modificano solo con la password di caricamento', async () => {
+    const preferences = { favourites: ['rai1.it'], hidden: [], order: [] };
+
+    assert.strictEqual((await request('PUT', '/api/favourites/casa', preferences)).status, 401);
+    assert.strictEqual((await request('PUT', '/api/favourites/casa', preferences, 'sbagliata')).status, 401);
+    assert.strictEqual((await request('DELETE', '/api/favourites/casa')).status, 401);
+
+    const saved = await request('PUT', '/api/favourites/casa', preferences, 'password-di-prova');
+    assert.strictEqual(saved.status, 200);
+
+    const stored = await (await request('GET', '/api/favourites/casa')).json();
+    assert.deepStrictEqual(stored.favourites, ['rai1.it']);
+
+    assert.strictEqual((await request('DELETE', '/api/favourites/casa', undefined, 'password-di-prova')).status, 200);
+});
+
+test('le regole di remapping si modificano solo con la password di caricamento', async () => {
+    const rule = { m3uId: 'rai1.it', epgId: 'rai1.epg' };
+
+    assert.strictEqual((await request('POST', '/api/remapping', rule)).status, 401);
+    assert.strictEqual((await request('PUT', '/api/remapping/rai1.it', { epgId: 'rai1.epg' }, 'sbagliata')).status, 401);
+    assert.strictEqual((await request('DELETE', '/api/remapping/rai1.it')).status, 401);
+
+    assert.strictEqual((await request('POST', '/api/remapping', rule, 'password-di-prova')).status, 201);
+    const { rules } = await (await request('GET', '/api/remapping')).json();
+    assert.ok(rules.some(saved => saved.m3uId === 'rai1.it' && saved.epgId === 'rai1.epg'));
+
+    assert.strictEqual((await request('DELETE', '/api/remapping/rai1.it', undefined, 'password-di-prova')).status, 200);
+});
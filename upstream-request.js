@@ -0,0 +1,91 @@
+const axios = require('axios');
+const config = require('./config');
+
+/**
+ * Header da inviare al server dei flussi: User-Agent del canale (o quello predefinito),
+ * Referer e Origin se dichiarati nella playlist
+ * @param {Object} headers - Header del canale
+ * @returns {Object}
+ */
+function buildRequestHeaders(headers = {}) {
+    const requestHeaders = {
+        'User-Agent': headers['User-Agent'] || headers['user-agent'] || config.defaultUserAgent
+    };
+
+    const referer = headers['referrer'] || headers['referer'] || headers['Referer'] || headers['Referrer'];
+    if (referer) {
+        requestHeaders['Referer'] = referer;
+    }
+
+    const origin = headers['origin'] || headers['Origin'];
+    if (origin) {
+        requestHeaders['Origin'] = origin;
+    }
+
+    return requestHeaders;
+}
+
+/**
+ * Richiesta al server di un flusso; gli stati HTTP di errore non generano eccezioni
+ * @param {string} url
+ * @param {Object} options - method, headers, responseType (stream o text), timeout, maxContentLength
+ * @returns {Promise<{status: number, headers: Object, data: *, contentType: string, finalUrl: string}>}
+ */
+async function requestUpstream(url, { method = 'get', headers = {}, responseType = 'stream', timeout, maxContentLength = -1 } = {}) {
+    const response = await axios({
+        method,
+        url,
+        headers,
+        responseType,
+        timeout,
+        maxContentLength,
+        maxRedirects: 5,
+        validateStatus: () => true
+    });
+
+    return {
+        status: response.status,
+        headers: response.headers,
+        data: response.data,
+        contentType: String(response.headers['content-type'] || ''),
+        // URL dopo gli eventuali redirect, da usare come base per gli URI relativi
+        finalUrl: response.request?.res?.responseUrl || url
+    };
+}
+
+/**
+ * Scarica come testo una playlist HLS o un manifest DASH
+ * @param {string} url
+ * @param {Object} headers - Header della richiesta (buildRequestHeaders)
+ * @param {Object} options - timeout, maxContentLength
+ * @returns {Promise<{content: string, contentType: string, finalUrl: string}>}
+ */
+async function fetchManifest(url, headers, { timeout, maxContentLength } = {}) {
+    const response = await requestUpstream(url, { headers, responseType: 'text', timeout, maxContentLength });
+    if (response.status >= 400) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return {
+        content: String(response.data || ''),
+        contentType: response.contentType,
+        finalUrl: response.finalUrl
+    };
+}
+
+// Prima riga non di commento di una playlist HLS, risolta rispetto all'URL della playlist
+function getFirstUri(playlist, baseUrl) {
+    const line = String(playlist).split('\n')
+        .map(l => l.trim())
+        .find(l => l && !l.startsWith('#'));
+    return line ? new URL(line, baseUrl).toString() : null;
+}
+
+module.exports = {
+    buildRequestHeaders,
+    requestUpstream,
+    fetchManifest,
+    getFirstUri
+};
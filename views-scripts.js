@@ -28,6 +28,86 @@ const getViewScripts = (protocol, host) => {
             toggle.textContent = content.classList.contains('show') ? '▲' : '▼';
         }
 
+        // Password di caricamento (UPLOAD_PASSWORD), richiesta dalle operazioni che modificano dati sul server
+        function getUploadPassword() {
+            const field = document.getElementById('uploadPassword');
+            return field ? field.value : '';
+        }
+
+        // Carica un file sul server e ne aggiunge il percorso al campo M3U o EPG
+        async function uploadSource() {
+            const fileInput = document.getElementById('uploadFile');
+            const file = fileInput.files[0];
+            if (!file) {
+                alert('Seleziona un file da caricare');
+                return;
+            }
+
+            try {
+                showLoader('Caricamento file...');
+
+                const response = await fetch('/api/upload-source?name=' + encodeURIComponent(file.name), {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/octet-stream',
+                        'X-Upload-Password': getUploadPassword()
+                    },
+                    body: file
+                });
+
+                const data = await response.json();
+                hideLoader();
+
+                if (!data.success) {
+                    alert('Errore: ' + data.message);
+                    return;
+                }
+
+                const target = document.getElementById('uploadTarget').value;
+                const field = document.getElementById('configForm').elements[target];
+                const sources = field.value.split(',').map(value => value.trim()).filter(Boolean);
+                if (!sources.includes(data.url)) {
+                    sources.push(data.url);
+                }
+                // Regole canali e numerazione sono un solo file: sostituisce il valore precedente
+                field.value = target === 'rules_path' || target === 'numbering_map' ? data.url : sources.join(',');
+                fileInput.value = '';
+                alert('File caricato: ' + data.url);
+            } catch (error) {
+                hideLoader();
+                console.error('Errore:', error);
+                alert('Errore nel caricamento del file');
+            }
+        }
+
+        // Mostra i campi della sorgente scelta (playlist M3U o Xtream Codes)
+        function toggleSourceType() {
+            const select = document.querySelector('select[name="source_type"]');
+            const isXtream = select && select.value === 'xtream';
+            document.getElementById('m3uSourceSection').style.display = isXtream ? 'none' : 'block';
+            document.getElementById('xtreamSourceSection').style.display = isXtream ? 'block' : 'none';
+            document.querySelector('input[name="m3u"]').required = !isXtream;
+            ['xtream_server', 'xtream_username', 'xtream_password'].forEach(name => {
+                document.querySelector('input[name="' + name + '"]').required = isXtream;
+            });
+        }
+
+        // Campi checkbox del form, salvati come 'true'/'false' nella configurazione
+        const CHECKBOX_FIELDS = ['epg_enabled', 'force_proxy', 'resolver_enabled', 'epg_now_catalog', 'epg_upcoming_catalog',
+            'stream_health', 'hide_dead_channels', 'internal_proxy', 'new_channels_catalog', 'merge_quality',
+            'stream_quality', 'split_variants'];
+
+        // Configurazione del form come oggetto, con le checkbox in formato 'true'/'false'
+        function getFormConfig(form) {
+            const body = Object.fromEntries(new FormData(form).entries());
+            CHECKBOX_FIELDS.forEach(field => {
+                if (form.elements[field]) {
+                    body[field] = String(form.elements[field].checked);
+                }
+            });
+            return body;
+        }
+
         // Funzioni per la gestione della configurazione
         function getConfigQueryString() {
             const form = document.getElementById('configForm');
@@ -35,8 +115,8 @@ const getViewScripts = (protocol, host) => {
             const params = new URLSearchParams();
             
             formData.forEach((value, key) => {
-                if (value || key === 'epg_enabled' || key === 'force_proxy' || key === 'resolver_enabled') {
-                    if (key === 'epg_enabled' || key === 'force_proxy' || key === 'resolver_enabled') {
+                if (value || CHECKBOX_FIELDS.includes(key)) {
+                    if (CHECKBOX_FIELDS.includes(key)) {
                         params.append(key, form.elements[key].checked);
                     } else {
                         params.append(key, value);
@@ -91,9 +171,9 @@ const getViewScripts = (protocol, host) => {
             const queryString = getConfigQueryString();
             const params = Object.fromEntries(new URLSearchParams(queryString));
             
-            params.epg_enabled = params.epg_enabled === 'true';
-            params.force_proxy = params.force_proxy === 'true';
-            params.resolver_enabled = params.resolver_enabled === 'true';
+            CHECKBOX_FIELDS.forEach(field => {
+                params[field] = params[field] === 'true';
+            });
             params.resolver_update_interval = 
                 document.getElementById('resolverUpdateInterval').value || 
                 document.querySelector('input[name="resolver_update_interval"]')?.value || 
@@ -218,7 +298,7 @@ const getViewScripts = (protocol, host) => {
                     }
         
                     // NUOVO: Avvia esplicitamente la ricostruzione della cache
-                    if (config.m3u) {
+                    if (config.m3u || config.source_type === 'xtream') {
                         try {
                             const rebuildResponse = await fetch('/api/rebuild-cache', {
                                 method: 'POST',
@@ -256,6 +336,533 @@ const getViewScripts = (protocol, host) => {
             reader.readAsText(file);
         }
 
+        // Funzioni per la selezione delle righe di catalogo
+        let catalogRows = [];
+
+        function getSavedCatalogRows() {
+            const value = document.getElementById('hidden_catalog_rows').value;
+            if (!value) return [];
+            try {
+                const parsed = JSON.parse(value);
+                return Array.isArray(parsed) ? parsed.map(String) : [];
+            } catch (e) {
+                return value.split(',').map(v => v.trim()).filter(v => v);
+            }
+        }
+
+        function resetCatalogRows() {
+            const mode = document.querySelector('select[name="catalog_mode"]').value;
+            document.getElementById('catalogRowsSection').style.display = mode === 'single' ? 'none' : 'block';
+            document.getElementById('hidden_catalog_rows').value = '';
+            catalogRows = [];
+            renderCatalogRows();
+        }
+
+        async function loadCatalogRows() {
+            const form = document.getElementById('configForm');
+            const body = {
+                m3u: form.elements['m3u'].value,
+                source_type: form.elements['source_type']?.value || 'm3u',
+                xtream_server: form.elements['xtream_server'].value,
+                xtream_username: form.elements['xtream_username'].value,
+                xtream_password: form.elements['xtream_password'].value,
+                xtream_output: form.elements['xtream_output'].value,
+                id_suffix: form.elements['id_suffix'].value,
+                remapper_path: form.elements['remapper_path'].value,
+                rules_path: form.elements['rules_path'].value,
+                merge_quality: String(form.elements['merge_quality'].checked),
+                numbering_map: form.elements['numbering_map'].value,
+                catalog_mode: form.elements['catalog_mode'].value
+            };
+
+            if (body.source_type === 'xtream'
+                ? !(body.xtream_server && body.xtream_username && body.xtream_password)
+                : !body.m3u) {
+                alert('Inserisci prima la sorgente (URL M3U o dati Xtream Codes)');
+                return;
+            }
+
+            try {
+                showLoader('Caricamento righe disponibili...');
+
+                const response = await fetch('/api/catalog-rows', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(body)
+                });
+
+                const data = await response.json();
+                hideLoader();
+
+                if (!data.success) {
+                    alert('Errore: ' + data.message);
+                    return;
+                }
+
+                // Le righe già selezionate mantengono il loro ordine, le altre seguono non selezionate
+                const saved = getSavedCatalogRows();
+                const available = new Map(data.rows.map(row => [row.key, row]));
+                catalogRows = [
+                    ...saved.filter(key => available.has(key)).map(key => ({ ...available.get(key), selected: true })),
+                    ...data.rows.filter(row => !saved.includes(row.key)).map(row => ({ ...row, selected: saved.length === 0 }))
+                ];
+                renderCatalogRows();
+                updateCatalogRowsField();
+            } catch (error) {
+                hideLoader();
+                alert('Errore nella richiesta: ' + error.message);
+            }
+        }
+
+        function formatRulesReport(data) {
+            const report = data.report;
+            const lines = ['Canali: ' + report.channelsBefore + ' → ' + report.channelsAfter];
+            data.errors.forEach(error => lines.push('⚠️ ' + error));
+            report.rules.forEach(rule => lines.push('Regola ' + rule.rule + ' (' + rule.action + '): ' + rule.matched + ' canali'));
+
+            const sections = [
+                ['Nascosti', report.hidden, item => item.name],
+                ['Rinominati', report.renamed, item => item.from + ' → ' + item.to],
+                ['Gruppo modificato', report.regrouped, item => item.name + ': ' + item.from.join(', ') + ' → ' + item.to.join(', ')],
+                ['Logo impostato', report.logos, item => item.name],
+                ['tvg-id forzato', report.tvgIds, item => item.name + ': ' + item.from + ' → ' + item.to],
+                ['Flussi rimossi', report.droppedStreams, item => item.name + ': ' + item.url],
+                ['Uniti', report.merged, item => item.name + ' → ' + item.into]
+            ];
+            sections.filter(([, items]) => items.length > 0).forEach(([title, items, format]) => {
+                lines.push('', title + ' (' + items.length + '):');
+                items.forEach(item => lines.push('  ' + format(item)));
+            });
+            return lines.join('\\n');
+        }
+
+        async function previewChannelRules() {
+            const form = document.getElementById('configForm');
+            const body = getFormConfig(form);
+            if (!body.rules_path) {
+                alert('Inserisci prima il percorso del file delle regole');
+                return;
+            }
+
+            try {
+                showLoader('Applicazione delle regole alla playlist...');
+
+                const response = await fetch('/api/rules-preview', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(body)
+                });
+
+                const data = await response.json();
+                hideLoader();
+
+                if (!data.success) {
+                    alert('Errore: ' + data.message);
+                    return;
+                }
+
+                const previewEl = document.getElementById('rulesPreview');
+                previewEl.textContent = formatRulesReport(data);
+                previewEl.style.display = 'block';
+            } catch (error) {
+                hideLoader();
+                alert('Errore nella richiesta: ' + error.message);
+            }
+        }
+
+        // Editor del remapping EPG: canali della playlist e canali della guida
+        let remappingChannels = [];
+        let remappingFileReport = null;
+        const REMAPPING_MAX_ROWS = 300;
+
+        async function fetchRemappingChannels() {
+            const body = getFormConfig(document.getElementById('configForm'));
+            const response = await fetch('/api/remapping/channels', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.message);
+            }
+            remappingChannels = data.channels;
+            remappingFileReport = data.remappingFile;
+            return data;
+        }
+
+        async function loadRemappingEditor() {
+            try {
+                showLoader('Caricamento canali e guida...');
+
+                const data = await fetchRemappingChannels();
+                const epgResponse = await fetch('/api/remapping/epg-channels?limit=5000');
+                const epgData = await epgResponse.json();
+                hideLoader();
+
+                if (!data.epgAvailable) {
+                    alert('Guida EPG non disponibile: abilita l\\'EPG e attendi il primo aggiornamento');
+                }
+
+                const options = document.getElementById('epgChannelOptions');
+                options.innerHTML = '';
+                epgData.channels.forEach(channel => {
+                    const option = document.createElement('option');
+                    option.value = channel.id;
+                    option.label = channel.names.join(' / ') + (channel.hasPrograms ? '' : ' (senza programmi)');
+                    options.appendChild(option);
+                });
+
+                document.getElementById('remappingEditor').style.display = 'block';
+                renderRemappingTable();
+            } catch (error) {
+                hideLoader();
+                alert('Errore nella richiesta: ' + error.message);
+            }
+        }
+
+        function renderRemappingTable() {
+            const table = document.getElementById('remappingTable');
+            const query = document.getElementById('remappingFilter').value.toLowerCase().trim();
+            const onlyMissing = document.getElementById('remappingOnlyMissing').checked;
+
+            const channels = remappingChannels.filter(channel =>
+                (!onlyMissing || !channel.hasPrograms) &&
+                (!query || channel.name.toLowerCase().includes(query) || channel.tvgId.includes(query) || channel.epgId.includes(query))
+            );
+
+            table.innerHTML = '';
+            const header = table.insertRow();
+            ['Canale', 'tvg-id', 'EPG attuale', 'Programmi', 'Nuovo id EPG', ''].forEach(title => {
+                const cell = document.createElement('th');
+                cell.textContent = title;
+                cell.style.cssText = 'text-align: left; padding: 4px; border-bottom: 1px solid #666;';
+                header.appendChild(cell);
+            });
+
+            channels.slice(0, REMAPPING_MAX_ROWS).forEach(channel => {
+                const row = table.insertRow();
+                row.style.borderBottom = '1px solid #444';
+
+                const sourceLabel = channel.source === 'manual' ? ' (manuale)' : channel.source === 'auto' ? ' (automatico)' : '';
+                [channel.name, channel.tvgId, channel.epgId + sourceLabel, channel.hasPrograms ? '✓' : '✗'].forEach(text => {
+                    const cell = row.insertCell();
+                    cell.textContent = text;
+                    cell.style.padding = '4px';
+                });
+
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.setAttribute('list', 'epgChannelOptions');
+                input.placeholder = 'Cerca id EPG...';
+                input.value = channel.source === 'manual' ? channel.epgId : '';
+                input.style.marginBottom = '0';
+                row.insertCell().appendChild(input);
+
+                const actions = row.insertCell();
+                actions.style.whiteSpace = 'nowrap';
+
+                const save = document.createElement('button');
+                save.type = 'button';
+                save.textContent = '💾';
+                save.style.padding = '4px 10px';
+                save.onclick = () => saveRemappingRule(channel.tvgId, input.value.trim());
+                actions.appendChild(save);
+
+                if (channel.source === 'manual') {
+                    const remove = document.createElement('button');
+                    remove.type = 'button';
+                    remove.textContent = '✖';
+                    remove.style.padding = '4px 10px';
+                    remove.onclick = () => deleteRemappingRule(channel.tvgId);
+                    actions.appendChild(remove);
+                }
+            });
+
+            const missing = remappingChannels.filter(channel => !channel.hasPrograms).length;
+            const summary = document.getElementById('remappingSummary');
+            summary.textContent =
+                'Canali: ' + remappingChannels.length + ', senza programmi: ' + missing +
+                (channels.length > REMAPPING_MAX_ROWS ? ' - mostrati i primi ' + REMAPPING_MAX_ROWS + ', usa la ricerca' : '');
+
+            // Conflitti e regole inutilizzate del file di remapping, elencati nel tooltip
+            if (remappingFileReport) {
+                const details = [...remappingFileReport.errors, ...remappingFileReport.conflicts, ...remappingFileReport.unused];
+                summary.textContent += ' - file di remapping: ' + remappingFileReport.rules + ' regole, ' +
+                    remappingFileReport.conflicts.length + ' in conflitto, ' + remappingFileReport.unused.length + ' non utilizzate';
+                summary.title = details.join('\\n');
+            }
+        }
+
+        async function saveRemappingRule(m3uId, epgId) {
+            if (!epgId) {
+                alert('Seleziona un id EPG');
+                return;
+            }
+
+            try {
+                const response = await fetch('/api/remapping/' + encodeURIComponent(m3uId), {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Upload-Password': getUploadPassword()
+                    },
+                    body: JSON.stringify({ epgId })
+                });
+                const data = await response.json();
+                if (!data.success) {
+                    alert('Errore: ' + data.message);
+                    return;
+                }
+                await fetchRemappingChannels();
+                renderRemappingTable();
+            } catch (error) {
+                alert('Errore nella richiesta: ' + error.message);
+            }
+        }
+
+        async function deleteRemappingRule(m3uId) {
+            try {
+                const response = await fetch('/api/remapping/' + encodeURIComponent(m3uId), {
+                    method: 'DELETE',
+                    headers: {
+                        'X-Upload-Password': getUploadPassword()
+                    }
+                });
+                const data = await response.json();
+                if (!data.success) {
+                    alert('Errore: ' + data.message);
+                    return;
+                }
+                await fetchRemappingChannels();
+                renderRemappingTable();
+            } catch (error) {
+                alert('Errore nella richiesta: ' + error.message);
+            }
+        }
+
+        // Preferiti, ordine personalizzato e canali nascosti del profilo
+        let favouriteChannels = [];
+        let favouritesOrderChanged = false;
+        let draggedFavouriteIndex = null;
+
+        function generateProfile() {
+            const field = document.getElementById('configForm').elements['profile'];
+            field.value = 'p' + Date.now().toString(36) + Math.random().toString(36).substring(2, 10);
+        }
+
+        async function loadFavouritesEditor() {
+            const body = getFormConfig(document.getElementById('configForm'));
+            if (!body.profile) {
+                alert('Inserisci prima il nome del profilo (o generane uno con 🎲)');
+                return;
+            }
+
+            try {
+                showLoader('Caricamento canali...');
+                const response = await fetch('/api/favourites/channels', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(body)
+                });
+                const data = await response.json();
+                hideLoader();
+
+                if (!data.success) {
+                    alert('Errore: ' + data.message);
+                    return;
+                }
+
+                favouriteChannels = data.channels;
+                favouritesOrderChanged = false;
+                document.getElementById('favouritesEditor').style.display = 'block';
+                renderFavouritesList();
+            } catch (error) {
+                hideLoader();
+                alert('Errore nella richiesta: ' + error.message);
+            }
+        }
+
+        function createFavouriteButton(text, title, onclick) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            button.title = title;
+            button.style.cssText = 'padding: 2px 8px; margin: 0;';
+            button.onclick = onclick;
+            return button;
+        }
+
+        function renderFavouritesList() {
+            const list = document.getElementById('favouritesList');
+            const query = document.getElementById('favouritesFilter').value.toLowerCase().trim();
+            list.innerHTML = '';
+
+            favouriteChannels.forEach((channel, index) => {
+                if (query && !channel.name.toLowerCase().includes(query)) return;
+
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 4px; border-bottom: 1px solid #444;' +
+                    (channel.hidden ? ' opacity: 0.5;' : '') + (query ? '' : ' cursor: move;');
+
+                // Il trascinamento è disponibile solo sulla lista completa, senza ricerca
+                if (!query) {
+                    row.draggable = true;
+                    row.ondragstart = () => { draggedFavouriteIndex = index; };
+                    row.ondragover = event => event.preventDefault();
+                    row.ondrop = event => {
+                        event.preventDefault();
+                        moveFavouriteChannel(draggedFavouriteIndex, index);
+                    };
+                }
+
+                const handle = document.createElement('span');
+                handle.textContent = query ? '' : '☰';
+                handle.style.color = '#999';
+                row.appendChild(handle);
+
+                const name = document.createElement('span');
+                name.textContent = channel.name + (channel.group ? ' (' + channel.group + ')' : '');
+                name.style.flex = '1';
+                row.appendChild(name);
+
+                row.appendChild(createFavouriteButton(channel.favourite ? '⭐' : '☆', 'Preferito', () => {
+                    channel.favourite = !channel.favourite;
+                    renderFavouritesList();
+                }));
+                row.appendChild(createFavouriteButton(channel.hidden ? '🚫' : '👁', 'Nascosto', () => {
+                    channel.hidden = !channel.hidden;
+                    renderFavouritesList();
+                }));
+
+                list.appendChild(row);
+            });
+
+            document.getElementById('favouritesSummary').textContent =
+                'Canali: ' + favouriteChannels.length +
+                ', preferiti: ' + favouriteChannels.filter(channel => channel.favourite).length +
+                ', nascosti: ' + favouriteChannels.filter(channel => channel.hidden).length +
+                (favouritesOrderChanged ? ' - ordine modificato, ricorda di salvare' : '');
+        }
+
+        function moveFavouriteChannel(from, to) {
+            if (from === null || from === to) return;
+            const [channel] = favouriteChannels.splice(from, 1);
+            favouriteChannels.splice(to, 0, channel);
+            draggedFavouriteIndex = null;
+            favouritesOrderChanged = true;
+            renderFavouritesList();
+        }
+
+        function resetFavouritesOrder() {
+            favouriteChannels.sort((a, b) => a.index - b.index);
+            favouriteChannels.forEach(channel => { channel.ordered = false; });
+            favouritesOrderChanged = false;
+            renderFavouritesList();
+        }
+
+        async function saveFavourites() {
+            const profile = document.getElementById('configForm').elements['profile'].value.trim();
+            // Senza trascinamenti resta l'ordine già salvato; dopo un trascinamento si salva l'intera lista
+            const order = favouritesOrderChanged
+                ? favouriteChannels.map(channel => channel.key)
+                : favouriteChannels.filter(channel => channel.ordered).map(channel => channel.key);
+
+            try {
+                const response = await fetch('/api/favourites/' + encodeURIComponent(profile), {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Upload-Password': getUploadPassword()
+                    },
+                    body: JSON.stringify({
+                        order,
+                        favourites: favouriteChannels.filter(channel => channel.favourite).map(channel => channel.key),
+                        hidden: favouriteChannels.filter(channel => channel.hidden).map(channel => channel.key)
+                    })
+                });
+                const data = await response.json();
+                if (!data.success) {
+                    alert('Errore: ' + data.message);
+                    return;
+                }
+
+                const orderedKeys = new Set(data.order);
+                favouriteChannels.forEach(channel => { channel.ordered = orderedKeys.has(channel.key); });
+                favouritesOrderChanged = false;
+                renderFavouritesList();
+                alert('Preferenze salvate. Aggiorna la configurazione in Stremio per vedere il catalogo "Preferiti".');
+            } catch (error) {
+                alert('Errore nella richiesta: ' + error.message);
+            }
+        }
+
+        function renderCatalogRows() {
+            const listEl = document.getElementById('catalogRowsList');
+            listEl.innerHTML = '';
+
+            catalogRows.forEach((row, index) => {
+                const item = document.createElement('div');
+                item.style.cssText = 'display: flex; align-items: center; gap: 10px; padding: 5px; border-bottom: 1px solid #444;';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = row.selected;
+                checkbox.onchange = () => {
+                    catalogRows[index].selected = checkbox.checked;
+                    updateCatalogRowsField();
+                };
+
+                const label = document.createElement('span');
+                label.style.flex = '1';
+                label.textContent = row.name + (row.count !== undefined ? ' (' + row.count + ')' : '');
+
+                const up = document.createElement('button');
+                up.type = 'button';
+                up.textContent = '▲';
+                up.style.padding = '4px 10px';
+                up.onclick = () => moveCatalogRow(index, -1);
+
+                const down = document.createElement('button');
+                down.type = 'button';
+                down.textContent = '▼';
+                down.style.padding = '4px 10px';
+                down.onclick = () => moveCatalogRow(index, 1);
+
+                item.append(checkbox, label, up, down);
+                listEl.appendChild(item);
+            });
+        }
+
+        function moveCatalogRow(index, direction) {
+            const target = index + direction;
+            if (target < 0 || target >= catalogRows.length) return;
+            [catalogRows[index], catalogRows[target]] = [catalogRows[target], catalogRows[index]];
+            renderCatalogRows();
+            updateCatalogRowsField();
+        }
+
+        function updateCatalogRowsField() {
+            const selected = catalogRows.filter(row => row.selected).map(row => row.key);
+            // Se sono selezionate tutte le righe nell'ordine naturale non serve salvare nulla
+            const field = document.getElementById('hidden_catalog_rows');
+            field.value = selected.length > 0 ? JSON.stringify(selected) : '';
+        }
+
+        function initializeCatalogRows() {
+            // Mostra la selezione salvata anche prima di caricare l'elenco completo
+            catalogRows = getSavedCatalogRows().map(key => ({ key, name: key, selected: true }));
+            renderCatalogRows();
+        }
+
         // Funzioni per lo script Python
         function showPythonStatus(data) {
             const statusEl = document.getElementById('pythonStatus');
@@ -792,6 +1399,8 @@ const getViewScripts = (protocol, host) => {
         window.addEventListener('DOMContentLoaded', function() {
             initializePythonFields();
             initializeResolverFields();
+            initializeCatalogRows();
+            toggleSourceType();
         });
     `;
 };
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { getViewScripts } = require('./views-scripts');
+const { isUploadEnabled } = require('./source-reader');
 
 const renderConfigPage = (protocol, host, query, manifest) => {
    // Verifica se il file addon-config.json esiste
@@ -117,6 +118,7 @@ const renderConfigPage = (protocol, host, query, manifest) => {
                .config-form input[type="text"],
                .config-form input[type="url"],
                .config-form input[type="password"],
+               .config-form input[type="number"],
                .config-form input[type="file"] {
                    width: 100%;
                    padding: 8px;
@@ -244,6 +246,15 @@ const renderConfigPage = (protocol, host, query, manifest) => {
                <div class="config-form">
                    <h2>Genera Configurazione</h2>
                    <form id="configForm" onsubmit="updateConfig(event)">
+                       ${m3uIsDisabled ? '' : `
+                       <label>Tipo Sorgente:</label>
+                       <select name="source_type" onchange="toggleSourceType()" style="width: 100%; padding: 8px; margin-bottom: 10px; border-radius: 4px; border: 1px solid #666; background: #333; color: white;">
+                           <option value="m3u" ${query.source_type !== 'xtream' ? 'selected' : ''}>Playlist M3U</option>
+                           <option value="xtream" ${query.source_type === 'xtream' ? 'selected' : ''}>Xtream Codes (server / utente / password)</option>
+                       </select>
+                       `}
+
+                       <div id="m3uSourceSection">
                        <label>M3U URL:</label>
                        <input type="text" name="m3u" 
                               value="${m3uIsDisabled ? m3uDefaultUrl : (query.m3u || '')}" 
@@ -253,6 +264,30 @@ const renderConfigPage = (protocol, host, query, manifest) => {
                        <small style="color: #999; display: block; margin-top: 5px;">
                            💡 Puoi inserire più URL M3U separandoli con una virgola (,)
                        </small>
+                       </div>
+
+                       <div id="xtreamSourceSection" style="display: none;">
+                       <label>Server Xtream:</label>
+                       <input type="text" name="xtream_server"
+                              value="${query.xtream_server || ''}"
+                              placeholder="http://server.example.com:8080">
+
+                       <label>Utente Xtream:</label>
+                       <input type="text" name="xtream_username" value="${query.xtream_username || ''}">
+
+                       <label>Password Xtream:</label>
+                       <input type="password" name="xtream_password" value="${query.xtream_password || ''}">
+
+                       <label>Formato Flussi:</label>
+                       <select name="xtream_output" style="width: 100%; padding: 8px; margin-bottom: 10px; border-radius: 4px; border: 1px solid #666; background: #333; color: white;">
+                           <option value="" ${!query.xtream_output ? 'selected' : ''}>Automatico (dal pannello)</option>
+                           <option value="ts" ${query.xtream_output === 'ts' ? 'selected' : ''}>MPEG-TS (.ts)</option>
+                           <option value="m3u8" ${query.xtream_output === 'm3u8' ? 'selected' : ''}>HLS (.m3u8)</option>
+                       </select>
+                       <small style="color: #999; display: block; margin-top: 5px;">
+                           💡 Categorie, canali, film, serie ed EPG vengono letti direttamente da player_api.php e xmltv.php
+                       </small>
+                       </div>
                        
                        <label>EPG URL:</label>
                        <input type="text" name="epg" 
@@ -261,12 +296,47 @@ const renderConfigPage = (protocol, host, query, manifest) => {
                        <small style="color: #999; display: block; margin-top: 5px;">
                            💡 Puoi inserire più URL EPG separandoli con una virgola (,)
                        </small>
+
+                       ${isUploadEnabled() ? `
+                       <div class="upload-section">
+                           <label>Carica Playlist o EPG:</label>
+                           <input type="file" id="uploadFile" accept=".m3u,.m3u8,.txt,.xml,.gz,.json">
+                           <select id="uploadTarget" style="width: 100%; padding: 8px; margin-bottom: 10px; border-radius: 4px; border: 1px solid #666; background: #333; color: white;">
+                               ${m3uIsDisabled ? '' : '<option value="m3u">Aggiungi a M3U URL</option>'}
+                               <option value="epg">Aggiungi a EPG URL</option>
+                               <option value="rules_path">Usa come regole canali</option>
+                               <option value="numbering_map">Usa come numerazione canali</option>
+                           </select>
+                           <input type="password" id="uploadPassword" placeholder="Password di caricamento">
+                           <button type="button" onclick="uploadSource()" style="width: 100%;">CARICA FILE</button>
+                           <small style="color: #999; display: block; margin-top: 5px;">
+                               💡 Il file viene salvato sul server in data/uploads e aggiunto alla configurazione come percorso file:// (un file con lo stesso nome non viene sovrascritto)
+                           </small>
+                       </div>
+                       ` : ''}
                        
                        <label>
                            <input type="checkbox" name="epg_enabled" ${query.epg_enabled === 'true' ? 'checked' : ''}>
                            Abilita EPG
                        </label>
 
+                       <label>
+                           <input type="checkbox" name="epg_now_catalog" ${query.epg_now_catalog === 'true' ? 'checked' : ''}>
+                           Catalogo "In onda ora"
+                       </label>
+
+                       <label>
+                           <input type="checkbox" name="epg_upcoming_catalog" ${query.epg_upcoming_catalog === 'true' ? 'checked' : ''}>
+                           Catalogo "Prossimi programmi"
+                       </label>
+
+                       <label>Ore del catalogo "Prossimi programmi":</label>
+                       <input type="number" name="epg_upcoming_hours" min="1" max="48"
+                              value="${query.epg_upcoming_hours || '3'}">
+                       <small style="color: #999; display: block; margin-top: 5px;">
+                           💡 I cataloghi guida TV richiedono l'EPG abilitato; il catalogo dei prossimi programmi si filtra per categoria EPG
+                       </small>
+
                        <label>Lingua Canali:</label>
                        <select name="language" style="width: 100%; padding: 8px; margin-bottom: 10px; border-radius: 4px; border: 1px solid #666; background: #333; color: white;">
                            <option value="Italiano" ${(query.language || 'Italiano') === 'Italiano' ? 'selected' : ''}>Italiano</option>
@@ -284,6 +354,21 @@ const renderConfigPage = (protocol, host, query, manifest) => {
                            <option value="한국어" ${query.language === '한국어' ? 'selected' : ''}>한국어</option>
                        </select>
 
+                       <label>Organizzazione Cataloghi:</label>
+                       <select name="catalog_mode" onchange="resetCatalogRows()" style="width: 100%; padding: 8px; margin-bottom: 10px; border-radius: 4px; border: 1px solid #666; background: #333; color: white;">
+                           <option value="single" ${(query.catalog_mode || 'single') === 'single' ? 'selected' : ''}>Catalogo unico con filtro generi</option>
+                           <option value="group" ${query.catalog_mode === 'group' ? 'selected' : ''}>Una riga per ogni gruppo (group-title)</option>
+                           <option value="playlist" ${query.catalog_mode === 'playlist' ? 'selected' : ''}>Una riga per ogni playlist M3U</option>
+                       </select>
+                       <div id="catalogRowsSection" style="display: ${['group', 'playlist'].includes(query.catalog_mode) ? 'block' : 'none'};">
+                           <button type="button" onclick="loadCatalogRows()" style="width: 100%;">CARICA RIGHE DISPONIBILI</button>
+                           <small style="color: #999; display: block; margin-top: 5px;">
+                               💡 Seleziona le righe da mostrare nella board di Stremio e ordinale con le frecce. Nessuna selezione = tutte le righe.
+                           </small>
+                           <div id="catalogRowsList" style="margin-top: 10px;"></div>
+                       </div>
+                       <input type="hidden" name="catalog_rows" id="hidden_catalog_rows" value="${(query.catalog_rows || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">
+
                        <div class="advanced-settings">
                            <div class="advanced-settings-header" onclick="toggleAdvancedSettings()">
                                <strong>Impostazioni Avanzate</strong>
@@ -301,15 +386,130 @@ const renderConfigPage = (protocol, host, query, manifest) => {
                                    Forza Proxy
                                </label>
 
+                               <label>
+                                   <input type="checkbox" name="internal_proxy" ${query.internal_proxy === 'true' ? 'checked' : ''}>
+                                   Proxy interno
+                               </label>
+                               <small style="color: #999;">Relay HLS/DASH integrato nell'addon: non richiede un'istanza MediaFlow separata</small>
+
                                <label>ID Suffix:</label>
                                <input type="text" name="id_suffix" value="${query.id_suffix || ''}" placeholder="Esempio: it">
 
                                <label>Percorso file remapper:</label>
                                <input type="text" name="remapper_path" value="${query.remapper_path || ''}" placeholder="Esempio: https://raw.githubusercontent.com/...">
 
+                               <label>Regole canali (file JSON):</label>
+                               <input type="text" name="rules_path" value="${query.rules_path || ''}" placeholder="Esempio: https://example.com/regole.json">
+                               <small style="color: #999; display: block; margin-top: 5px;">
+                                   💡 Azioni disponibili: hide, rename, group, logo, tvg_id, drop_streams, merge; le regole vengono applicate nell'ordine del file
+                               </small>
+                               <button type="button" onclick="previewChannelRules()" style="width: 100%;">ANTEPRIMA REGOLE</button>
+                               <pre id="rulesPreview" style="display: none; max-height: 300px; overflow: auto; background: #222; padding: 10px; border-radius: 4px; white-space: pre-wrap;"></pre>
+
+                               <label>Remapping EPG:</label>
+                               <button type="button" onclick="loadRemappingEditor()" style="width: 100%;">CARICA CANALI E GUIDA</button>
+                               <small style="color: #999; display: block; margin-top: 5px;">
+                                   💡 Le regole salvate qui ricollegano subito la guida ai canali, senza ricostruire la playlist; il salvataggio richiede la password di caricamento
+                               </small>
+                               <div id="remappingEditor" style="display: none; margin-top: 10px;">
+                                   <input type="text" id="remappingFilter" placeholder="Cerca canale o id..." oninput="renderRemappingTable()">
+                                   <label>
+                                       <input type="checkbox" id="remappingOnlyMissing" onchange="renderRemappingTable()">
+                                       Solo canali senza programmi
+                                   </label>
+                                   <datalist id="epgChannelOptions"></datalist>
+                                   <div style="max-height: 400px; overflow: auto;">
+                                       <table id="remappingTable" style="width: 100%; border-collapse: collapse; font-size: 0.9em;"></table>
+                                   </div>
+                                   <small id="remappingSummary" style="color: #999; display: block; margin-top: 5px;"></small>
+                               </div>
+
+                               <label>Profilo (preferiti e ordine canali):</label>
+                               <div style="display: flex; gap: 8px;">
+                                   <input type="text" name="profile" value="${(query.profile || '').replace(/"/g, '&quot;')}" placeholder="Esempio: casa" style="flex: 1;">
+                                   <button type="button" onclick="generateProfile()" title="Genera un profilo casuale" style="padding: 4px 12px; margin-bottom: 10px;">🎲</button>
+                               </div>
+                               <button type="button" onclick="loadFavouritesEditor()" style="width: 100%;">GESTISCI PREFERITI E ORDINE</button>
+                               <small style="color: #999; display: block; margin-top: 5px;">
+                                   💡 Trascina i canali per ordinarli, ⭐ li aggiunge al catalogo "Preferiti", 👁 li nasconde; le preferenze restano valide anche dopo l'aggiornamento della playlist; il salvataggio richiede la password di caricamento
+                               </small>
+                               <div id="favouritesEditor" style="display: none; margin-top: 10px;">
+                                   <input type="text" id="favouritesFilter" placeholder="Cerca canale..." oninput="renderFavouritesList()">
+                                   <div id="favouritesList" style="max-height: 400px; overflow: auto;"></div>
+                                   <div style="display: flex; gap: 8px; margin-top: 10px;">
+                                       <button type="button" onclick="resetFavouritesOrder()" style="flex: 1;">ORDINE PLAYLIST</button>
+                                       <button type="button" onclick="saveFavourites()" style="flex: 1;">SALVA PREFERENZE</button>
+                                   </div>
+                                   <small id="favouritesSummary" style="color: #999; display: block; margin-top: 5px;"></small>
+                               </div>
+
+                               <label>Numerazione canali:</label>
+                               <select name="numbering" style="width: 100%; padding: 8px; margin-bottom: 10px; border-radius: 4px; border: 1px solid #666; background: #333; color: white;">
+                                   <option value="" ${!query.numbering ? 'selected' : ''}>Solo tvg-chno, ordine della playlist</option>
+                                   <option value="chno" ${query.numbering === 'chno' ? 'selected' : ''}>tvg-chno della playlist</option>
+                                   <option value="lcn" ${query.numbering === 'lcn' ? 'selected' : ''}>LCN della guida EPG (&lt;lcn&gt;)</option>
+                                   <option value="auto" ${query.numbering === 'auto' ? 'selected' : ''}>Automatica per gruppo</option>
+                                   <option value="map" ${query.numbering === 'map' ? 'selected' : ''}>File di numerazione</option>
+                               </select>
+                               <label>Numero iniziale (numerazione automatica):</label>
+                               <input type="number" name="numbering_start" min="1" value="${query.numbering_start || '1'}">
+                               <label>File di numerazione:</label>
+                               <input type="text" name="numbering_map" value="${query.numbering_map || ''}" placeholder="Esempio: https://example.com/numeri.txt">
+                               <small style="color: #999; display: block; margin-top: 5px;">
+                                   💡 I canali vengono ordinati per numero; una riga per canale: tvg-id=numero oppure name:Nome canale=numero. Con LCN e file di numerazione i canali mancanti usano il tvg-chno
+                               </small>
+
+                               <label>
+                                   <input type="checkbox" name="merge_quality" ${query.merge_quality === 'true' ? 'checked' : ''}>
+                                   Unisci le versioni SD/HD/FHD/4K dello stesso canale
+                               </label>
+
+                               <label>Qualità preferita:</label>
+                               <select name="preferred_quality" style="width: 100%; padding: 8px; margin-bottom: 10px; border-radius: 4px; border: 1px solid #666; background: #333; color: white;">
+                                   <option value="" ${!query.preferred_quality ? 'selected' : ''}>Ordine della playlist</option>
+                                   <option value="UHD" ${query.preferred_quality === 'UHD' ? 'selected' : ''}>4K / UHD</option>
+                                   <option value="FHD" ${query.preferred_quality === 'FHD' ? 'selected' : ''}>Full HD</option>
+                                   <option value="HD" ${query.preferred_quality === 'HD' ? 'selected' : ''}>HD</option>
+                                   <option value="SD" ${query.preferred_quality === 'SD' ? 'selected' : ''}>SD</option>
+                               </select>
+                               <small style="color: #999; display: block; margin-top: 5px;">
+                                   💡 I flussi di ogni canale vengono ordinati partendo dalla qualità preferita
+                               </small>
+
+                               <label>
+                                   <input type="checkbox" name="stream_quality" ${query.stream_quality === 'true' ? 'checked' : ''}>
+                                   Mostra risoluzione, bitrate, codec e audio dei flussi
+                               </label>
+
+                               <label>
+                                   <input type="checkbox" name="split_variants" ${query.split_variants === 'true' ? 'checked' : ''}>
+                                   Uno stream per ogni variante HLS
+                               </label>
+                               <small style="color: #999; display: block; margin-top: 5px;">
+                                   💡 Le informazioni vengono lette dalle master playlist HLS e dai manifest DASH e conservate per 6 ore
+                               </small>
+
                                <label>Intervallo Aggiornamento Playlist:</label>
                                <input type="text" name="update_interval" value="${query.update_interval || '12:00'}" placeholder="HH:MM (predefinito 12:00)">
                                <small style="color: #999;">Formato HH:MM (es. 1:00 o 01:00), predefinito 12:00</small>
+
+                               <label>
+                                   <input type="checkbox" name="stream_health" ${query.stream_health === 'true' ? 'checked' : ''}>
+                                   Verifica periodica dei flussi (ordina dal migliore)
+                               </label>
+
+                               <label>
+                                   <input type="checkbox" name="hide_dead_channels" ${query.hide_dead_channels === 'true' ? 'checked' : ''}>
+                                   Nascondi canali senza flussi funzionanti
+                               </label>
+
+                               <label>
+                                   <input type="checkbox" name="new_channels_catalog" ${query.new_channels_catalog === 'true' ? 'checked' : ''}>
+                                   Catalogo "Nuovi canali"
+                               </label>
+                               <small style="color: #999; display: block; margin-top: 5px;">
+                                   💡 Canali comparsi nella playlist negli ultimi giorni; lo storico completo delle modifiche è su /api/changes
+                               </small>
                                
                                <label>URL Script Resolver Python:</label>
                                <input type="url" name="resolver_script" value="${query.resolver_script || ''}">
@@ -0,0 +1,257 @@
+const axios = require('axios');
+const config = require('./config');
+
+// Le sorgenti Xtream Codes viaggiano nella lista M3U come pseudo-URL:
+// xtream://<username>:<password>@<host[:porta]>[/percorso]?protocol=https&output=ts
+const XTREAM_SCHEME = 'xtream:';
+const XTREAM_OUTPUTS = ['ts', 'm3u8'];
+
+// Richieste get_series_info (una per serie) eseguite in parallelo
+const SERIES_INFO_CONCURRENCY = 4;
+
+function isXtreamSource(url) {
+    return typeof url === 'string' && url.trim().toLowerCase().startsWith(`${XTREAM_SCHEME}//`);
+}
+
+/**
+ * Costruisce il pseudo-URL della sorgente dai campi della configurazione
+ * @param {{server: string, username: string, password: string, output?: string}} source
+ * @returns {string|null}
+ */
+function buildXtreamSourceUrl({ server, username, password, output }) {
+    if (!server || !username || !password) return null;
+
+    let serverUrl;
+    try {
+        serverUrl = new URL(/^https?:\/\//i.test(server.trim()) ? server.trim() : `http://${server.trim()}`);
+    } catch {
+        return null;
+    }
+
+    const params = new URLSearchParams();
+    if (serverUrl.protocol === 'https:') {
+        params.set('protocol', 'https');
+    }
+    if (XTREAM_OUTPUTS.includes(output)) {
+        params.set('output', output);
+    }
+
+    const basePath = serverUrl.pathname.replace(/\/(player_api\.php|get\.php)?$/, '');
+    const query = params.toString();
+    return `xtream://${encodeURIComponent(username)}:${encodeURIComponent(password)}@${serverUrl.host}${basePath}${query ? `?${query}` : ''}`;
+}
+
+function parseXtreamSourceUrl(sourceUrl) {
+    const parsed = new URL(sourceUrl.trim());
+    const protocol = parsed.searchParams.get('protocol') === 'https' ? 'https' : 'http';
+    const output = parsed.searchParams.get('output');
+
+    return {
+        server: `${protocol}://${parsed.host}${parsed.pathname.replace(/\/$/, '')}`,
+        username: decodeURIComponent(parsed.username),
+        password: decodeURIComponent(parsed.password),
+        output: XTREAM_OUTPUTS.includes(output) ? output : null
+    };
+}
+
+/**
+ * Se la configurazione usa una sorgente Xtream Codes, la converte nel campo m3u
+ * così che cache, cataloghi e handler la trattino come una qualsiasi playlist
+ * @param {Object} userConfig - Configurazione utente
+ * @returns {Object} - La stessa configurazione, eventualmente con m3u valorizzato
+ */
+function applyXtreamSource(userConfig) {
+    if (!userConfig || userConfig.source_type !== 'xtream') return userConfig;
+
+    const sourceUrl = buildXtreamSourceUrl({
+        server: userConfig.xtream_server,
+        username: userConfig.xtream_username,
+        password: userConfig.xtream_password,
+        output: userConfig.xtream_output
+    });
+
+    if (sourceUrl) {
+        userConfig.m3u = sourceUrl;
+    }
+    return userConfig;
+}
+
+class XtreamClient {
+    constructor(source) {
+        this.server = source.server;
+        this.username = source.username;
+        this.password = source.password;
+        this.output = source.output;
+        this.timeout = 30000;
+    }
+
+    getCredentialsQuery() {
+        return new URLSearchParams({ username: this.username, password: this.password }).toString();
+    }
+
+    async callApi(action = null, params = {}) {
+        const extra = new URLSearchParams(params).toString();
+        const url = `${this.server}/player_api.php?${this.getCredentialsQuery()}${action ? `&action=${action}` : ''}${extra ? `&${extra}` : ''}`;
+        const response = await axios.get(url, {
+            timeout: this.timeout,
+            headers: { 'User-Agent': config.defaultUserAgent }
+        });
+        return response.data;
+    }
+
+    async authenticate() {
+        const data = await this.callApi();
+        if (!data?.user_info || Number(data.user_info.auth) !== 1) {
+            throw new Error('Credenziali Xtream Codes non valide');
+        }
+
+        if (data.user_info.status && data.user_info.status !== 'Active') {
+            console.warn(`⚠️ Account Xtream in stato: ${data.user_info.status}`);
+        }
+
+        // Senza una scelta esplicita usa il formato consentito dal pannello, preferendo ts
+        if (!this.output) {
+            const allowed = data.user_info.allowed_output_formats || [];
+            this.output = allowed.length === 0 || allowed.includes('ts') ? 'ts' : 'm3u8';
+        }
+
+        return data;
+    }
+
+    async getLiveCategories() {
+        const categories = await this.callApi('get_live_categories');
+        return Array.isArray(categories) ? categories : [];
+    }
+
+    async getLiveStreams() {
+        const streams = await this.callApi('get_live_streams');
+        return Array.isArray(streams) ? streams : [];
+    }
+
+    async getVodCategories() {
+        const categories = await this.callApi('get_vod_categories');
+        return Array.isArray(categories) ? categories : [];
+    }
+
+    async getVodStreams() {
+        const streams = await this.callApi('get_vod_streams');
+        return Array.isArray(streams) ? streams : [];
+    }
+
+    async getSeriesCategories() {
+        const categories = await this.callApi('get_series_categories');
+        return Array.isArray(categories) ? categories : [];
+    }
+
+    async getSeriesList() {
+        const series = await this.callApi('get_series');
+        return Array.isArray(series) ? series : [];
+    }
+
+    /**
+     * Episodi di una serie, in un unico elenco ordinato per stagione ed episodio
+     * @param {number|string} seriesId - series_id restituito da get_series
+     * @returns {Promise<Array>}
+     */
+    async getSeriesEpisodes(seriesId) {
+        const data = await this.callApi('get_series_info', { series_id: seriesId });
+        // episodes è un oggetto { "1": [...], "2": [...] } indicizzato per stagione (a volte un array)
+        const seasons = data?.episodes ? Object.values(data.episodes) : [];
+        return seasons
+            .flat()
+            .filter(episode => episode && episode.id !== undefined)
+            .map(episode => ({
+                ...episode,
+                season: parseInt(episode.season, 10) || 1,
+                episode_num: parseInt(episode.episode_num, 10) || 1
+            }))
+            .sort((a, b) => a.season - b.season || a.episode_num - b.episode_num);
+    }
+
+    getMovieUrl(streamId, extension) {
+        return `${this.server}/movie/${encodeURIComponent(this.username)}/${encodeURIComponent(this.password)}/${streamId}.${extension || 'mp4'}`;
+    }
+
+    getEpisodeUrl(episodeId, extension) {
+        return `${this.server}/series/${encodeURIComponent(this.username)}/${encodeURIComponent(this.password)}/${episodeId}.${extension || 'mp4'}`;
+    }
+
+    getStreamUrl(streamId) {
+        return `${this.server}/live/${encodeURIComponent(this.username)}/${encodeURIComponent(this.password)}/${streamId}.${this.output || 'ts'}`;
+    }
+
+    getXmltvUrl() {
+        return `${this.server}/xmltv.php?${this.getCredentialsQuery()}`;
+    }
+
+    /**
+     * Scarica categorie e canali live del pannello
+     * @returns {Promise<{categories: Array, streams: Array, epgUrl: string}>}
+     */
+    async getLiveChannels() {
+        await this.authenticate();
+        const [categories, streams] = await Promise.all([
+            this.getLiveCategories(),
+            this.getLiveStreams()
+        ]);
+
+        console.log(`✓ Xtream: ${categories.length} categorie, ${streams.length} canali live`);
+        return { categories, streams, epgUrl: this.getXmltvUrl() };
+    }
+
+    /**
+     * Scarica categorie e film on-demand del pannello (da chiamare dopo authenticate)
+     * @returns {Promise<{categories: Array, streams: Array}>}
+     */
+    async getVodMovies() {
+        const [categories, streams] = await Promise.all([
+            this.getVodCategories(),
+            this.getVodStreams()
+        ]);
+
+        console.log(`✓ Xtream: ${streams.length} film on-demand`);
+        return { categories, streams };
+    }
+
+    /**
+     * Scarica categorie e serie on-demand con i loro episodi (da chiamare dopo authenticate).
+     * Gli episodi richiedono una chiamata get_series_info per serie: le serie che non rispondono
+     * vengono saltate
+     * @returns {Promise<{categories: Array, series: Array<{info: Object, episodes: Array}>}>}
+     */
+    async getVodSeries() {
+        const [categories, list] = await Promise.all([
+            this.getSeriesCategories(),
+            this.getSeriesList()
+        ]);
+        const queue = list.filter(item => item?.series_id !== undefined);
+        const series = new Array(queue.length);
+
+        let index = 0;
+        const worker = async () => {
+            while (index < queue.length) {
+                const position = index++;
+                const info = queue[position];
+                try {
+                    series[position] = { info, episodes: await this.getSeriesEpisodes(info.series_id) };
+                } catch (error) {
+                    console.warn(`⚠️ Xtream: episodi non disponibili per la serie ${info.series_id}: ${error.message}`);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(SERIES_INFO_CONCURRENCY, queue.length) }, worker));
+
+        const loaded = series.filter(Boolean);
+        console.log(`✓ Xtream: ${loaded.length} serie on-demand`);
+        return { categories, series: loaded };
+    }
+}
+
+module.exports = {
+    XtreamClient,
+    isXtreamSource,
+    buildXtreamSourceUrl,
+    parseXtreamSourceUrl,
+    applyXtreamSource
+};